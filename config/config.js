@@ -27,6 +27,7 @@ const config = {
   },
   server: {
     port: process.env.PORT || 3001,
+    url: process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`,
   },
   client: {
     url: process.env.CLIENT_URL || 'http://localhost:3000',
@@ -40,6 +41,11 @@ const config = {
     user: process.env.EMAIL_USER,
     password: process.env.EMAIL_PASSWORD,
     from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    transport: process.env.EMAIL_TRANSPORT || 'service',
+    host: process.env.EMAIL_HOST || 'localhost',
+    port: parseInt(process.env.EMAIL_PORT) || 1025,
+    secure: process.env.EMAIL_SECURE === 'true',
+    fileDir: process.env.EMAIL_FILE_DIR || path.resolve(__dirname, '..', 'logs', 'mail'),
   },
   recaptcha: {
     secretKey: process.env.RECAPTCHA_SECRET_KEY,
@@ -53,6 +59,12 @@ const config = {
     bucketName: process.env.DO_SPACES_BUCKET_NAME,
     cdnEndpoint: process.env.DO_SPACES_CDN_ENDPOINT
   },
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false' && environment !== 'test',
+    intervalMinutes: parseInt(process.env.SCHEDULER_INTERVAL_MINUTES) || 15,
+    reminderIntervalMinutes: parseInt(process.env.REMINDER_INTERVAL_MINUTES) || 5,
+    exportIntervalMinutes: parseInt(process.env.EXPORT_INTERVAL_MINUTES) || 1
+  },
   isProduction: environment === 'production',
   isDevelopment: environment === 'development',
   isTest: environment === 'test',
@@ -1,5 +1,9 @@
-import { supabase, createAuthenticatedClient } from '../utils/db.js';
+import { supabase, supabaseAdmin, createAuthenticatedClient } from '../utils/db.js';
 import { formatErrorResponse } from '../utils/formatResponse.js';
+import { getUserToday } from '../utils/dates.js';
+import { getEditVersion } from '../utils/versions.js';
+import { hasValidRelativeSchedule } from '../utils/schedule.js';
+import { getPageParams, applyCursor, getPage, formatPageResponse } from '../utils/pagination.js';
 
 /* CREATE */
 export const createActivity = async (req, res) => {
@@ -37,7 +41,37 @@ export const createActivity = async (req, res) => {
             return res.status(403).json({ message: "Not authorized to modify this program" });
         }
         
-        const activitiesWithData = [];
+        // Changes go into a new program version if anyone follows the current one
+        const { version, error: versionError } = await getEditVersion(userSupabase, supabaseAdmin, program);
+        
+        if (versionError) {
+            console.error('Error starting program version:', versionError);
+            return res.status(500).json({ message: "Error saving activities" });
+        }
+        
+        // Activities from earlier versions are replaced rather than changed in place
+        const existingIds = activities.filter(activity => activity.id).map(activity => activity.id);
+        let retiredIds = [];
+        
+        if (existingIds.length > 0) {
+            const { data: existingActivities, error: existingError } = await userSupabase
+                .from('activities')
+                .select('id, version_added')
+                .eq('program_id', programId)
+                .in('id', existingIds);
+                
+            if (existingError) {
+                console.error('Error fetching activities:', existingError);
+                return res.status(500).json({ message: "Error saving activities" });
+            }
+            
+            retiredIds = existingActivities
+                .filter(activity => activity.version_added < version)
+                .map(activity => activity.id);
+        }
+        
+        const activitiesToUpdate = [];
+        const activitiesToInsert = [];
         
         for (const activity of activities) {
             if (!activity.title) {
@@ -53,35 +87,79 @@ export const createActivity = async (req, res) => {
                 title: activity.title,
                 description: activity.description || '',
                 cron: activity.cron,
+                relative_day: activity.relativeDay ?? null,
+                relative_week: activity.relativeWeek ?? null,
+                relative_weekday: activity.relativeWeekday ?? null,
+                version_added: version,
                 is_deleted: false,
                 created_at: new Date().toISOString(),
                 updated_at: new Date().toISOString()
             };
             
-            if (activity.id) {
+            if (activity.id && !retiredIds.includes(activity.id)) {
                 // Update existing activity
                 activityData.id = activity.id;
+                activitiesToUpdate.push(activityData);
+            } else {
+                activitiesToInsert.push(activityData);
+            }
+        }
+        
+        // Retire replaced activities; subscribers on earlier versions keep them
+        if (retiredIds.length > 0) {
+            const { error: retireError } = await userSupabase
+                .from('activities')
+                .update({
+                    is_deleted: true,
+                    version_removed: version,
+                    updated_at: new Date().toISOString()
+                })
+                .in('id', retiredIds);
+                
+            if (retireError) {
+                console.error('Error retiring activities:', retireError);
+                return res.status(500).json({ message: "Error saving activities" });
+            }
+        }
+        
+        const savedActivities = [];
+        
+        // Update activities of the current version
+        if (activitiesToUpdate.length > 0) {
+            const { data: updatedActivities, error: updateError } = await userSupabase
+                .from('activities')
+                .upsert(activitiesToUpdate, { 
+                    onConflict: 'id',
+                    returning: 'representation'
+                })
+                .select('*');
+                
+            if (updateError) {
+                console.error('Error saving activities:', updateError);
+                return res.status(500).json({ message: "Error saving activities" });
             }
             
-            activitiesWithData.push(activityData);
+            savedActivities.push(...updatedActivities);
         }
         
-        // Insert or update activities
-        const { data: savedActivities, error: saveError } = await userSupabase
-            .from('activities')
-            .upsert(activitiesWithData, { 
-                onConflict: 'id',
-                returning: 'representation'
-            })
-            .select('*');
+        // Insert new and replacement activities
+        if (activitiesToInsert.length > 0) {
+            const { data: insertedActivities, error: insertError } = await userSupabase
+                .from('activities')
+                .insert(activitiesToInsert)
+                .select('*');
+                
+            if (insertError) {
+                console.error('Error saving activities:', insertError);
+                return res.status(500).json({ message: "Error saving activities" });
+            }
             
-        if (saveError) {
-            console.error('Error saving activities:', saveError);
-            return res.status(500).json({ message: "Error saving activities" });
+            savedActivities.push(...insertedActivities);
         }
         
         res.status(200).json({
             message: "Activities created successfully",
+            version,
             activities: savedActivities
         });
     } catch (error) {
@@ -146,6 +224,11 @@ export const getProgramActivities = async (req, res) => {
         if (!programId) {
             return res.status(400).json(formatErrorResponse('Program ID is required'));
         }
+
+        const { limit, cursor, error: cursorError } = getPageParams(req.query);
+        if (cursorError) {
+            return res.status(400).json(formatErrorResponse(cursorError));
+        }
         
         // Get the user's JWT token from the Authorization header
         const token = req.header("Authorization").replace("Bearer ", "");
@@ -178,19 +261,24 @@ export const getProgramActivities = async (req, res) => {
             }
         }
         
-        // Get activities for this program
-        const { data: activities, error } = await userSupabase
+        // Get activities for this program, oldest first
+        const query = userSupabase
             .from('activities')
             .select('*')
             .eq('program_id', programId)
-            .eq('is_deleted', false);
+            .eq('is_deleted', false)
+            .order('created_at', { ascending: true });
+
+        const { data: rows, error } = await applyCursor(query, { column: 'created_at', ascending: true, cursor, limit });
             
         if (error) {
             console.error('Error fetching activities:', error);
             return res.status(500).json(formatErrorResponse('Error fetching activities'));
         }
+
+        const { items: activities, nextCursor } = getPage(rows, limit, 'created_at');
         
-        return res.status(200).json(activities || []);
+        return res.status(200).json(formatPageResponse('Activities retrieved successfully', activities, { limit, cursor: req.query.cursor, nextCursor }));
     } catch (error) {
         console.error('Error getting program activities:', error);
         return res.status(500).json(formatErrorResponse('Internal server error'));
@@ -201,7 +289,7 @@ export const getProgramActivities = async (req, res) => {
 export const editActivity = async (req, res) => {
     try {
         const { activityId } = req.params;
-        const { title, description, cron } = req.body;
+        const { title, description, cron, relativeDay, relativeWeek, relativeWeekday } = req.body;
         const userId = req.user.id;
         
         // Get the user's JWT token from the Authorization header
@@ -213,7 +301,7 @@ export const editActivity = async (req, res) => {
             .from('activities')
             .select(`
                 *,
-                program:program_id (creator_id)
+                program:program_id (id, creator_id, current_version)
             `)
             .eq('id', activityId)
             .eq('is_deleted', false)
@@ -229,33 +317,93 @@ export const editActivity = async (req, res) => {
             return res.status(403).json(formatErrorResponse('You do not have permission to edit this activity'));
         }
         
-        // Update the activity
-        const { data: updatedActivity, error: updateError } = await userSupabase
-            .from('activities')
-            .update({
-                title: title || activity.title,
-                description: description !== undefined ? description : activity.description,
-                cron: cron || activity.cron,
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', activityId)
-            .select()
-            .single();
-            
-        if (updateError) {
-            console.error('Error updating activity:', updateError);
+        const changes = {
+            title: title || activity.title,
+            description: description !== undefined ? description : activity.description,
+            cron: cron || activity.cron,
+            relative_day: relativeDay !== undefined ? relativeDay : activity.relative_day,
+            relative_week: relativeWeek !== undefined ? relativeWeek : activity.relative_week,
+            relative_weekday: relativeWeekday !== undefined ? relativeWeekday : activity.relative_weekday,
+            updated_at: new Date().toISOString()
+        };
+        
+        // Check the relative fields as they will be saved, with the ones left unchanged
+        if (!hasValidRelativeSchedule(changes)) {
+            return res.status(400).json(formatErrorResponse('An activity can have a relative day or a relative week with a weekday, but not both'));
+        }
+        
+        // Changes go into a new program version if anyone follows the current one
+        const { version, error: versionError } = await getEditVersion(userSupabase, supabaseAdmin, activity.program);
+        
+        if (versionError) {
+            console.error('Error starting program version:', versionError);
             return res.status(500).json(formatErrorResponse('Error updating activity'));
         }
+        
+        let updatedActivity;
+        if (activity.version_added === version) {
+            // Nobody else follows this version yet, so update the activity in place
+            const { data, error: updateError } = await userSupabase
+                .from('activities')
+                .update(changes)
+                .eq('id', activityId)
+                .select()
+                .single();
+                
+            if (updateError) {
+                console.error('Error updating activity:', updateError);
+                return res.status(500).json(formatErrorResponse('Error updating activity'));
+            }
+            
+            updatedActivity = data;
+        } else {
+            // Retire the activity and add its replacement; subscribers on earlier versions keep the original
+            const { error: retireError } = await userSupabase
+                .from('activities')
+                .update({
+                    is_deleted: true,
+                    version_removed: version,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', activityId);
+                
+            if (retireError) {
+                console.error('Error retiring activity:', retireError);
+                return res.status(500).json(formatErrorResponse('Error updating activity'));
+            }
+            
+            const { data, error: insertError } = await userSupabase
+                .from('activities')
+                .insert({
+                    ...changes,
+                    program_id: activity.program_id,
+                    version_added: version,
+                    is_deleted: false,
+                    created_at: new Date().toISOString()
+                })
+                .select()
+                .single();
+                
+            if (insertError) {
+                console.error('Error inserting activity:', insertError);
+                return res.status(500).json(formatErrorResponse('Error updating activity'));
+            }
+            
+            updatedActivity = data;
+        }
 
-        // Mark all future tasks from this activity as deleted
+        // Mark the creator's future tasks from this activity as deleted; other
+        // subscribers keep theirs until they upgrade to the new version
+        const today = await getUserToday(userSupabase, userId);
         const { error: taskUpdateError } = await userSupabase
             .from('tasks')
             .update({ 
                 is_deleted: true,
                 updated_at: new Date().toISOString()
             })
+            .eq('user_id', userId)
             .eq('activity_id', activityId)
-            .gte('due_date', new Date().toISOString().split('T')[0]);
+            .gte('due_date', today);
             
         if (taskUpdateError) {
             console.error('Error updating tasks:', taskUpdateError);
@@ -283,7 +431,7 @@ export const deleteActivity = async (req, res) => {
             .from('activities')
             .select(`
                 *,
-                program:program_id (creator_id)
+                program:program_id (id, creator_id, current_version)
             `)
             .eq('id', activityId)
             .eq('is_deleted', false)
@@ -299,11 +447,20 @@ export const deleteActivity = async (req, res) => {
             return res.status(403).json(formatErrorResponse('You do not have permission to delete this activity'));
         }
         
-        // Soft delete the activity
+        // Changes go into a new program version if anyone follows the current one
+        const { version, error: versionError } = await getEditVersion(userSupabase, supabaseAdmin, activity.program);
+        
+        if (versionError) {
+            console.error('Error starting program version:', versionError);
+            return res.status(500).json(formatErrorResponse('Error deleting activity'));
+        }
+        
+        // Soft delete the activity from this version on; earlier versions keep it
         const { data, error: deleteError } = await userSupabase
             .from('activities')
             .update({
                 is_deleted: true,
+                version_removed: version,
                 updated_at: new Date().toISOString()
             })
             .eq('id', activityId);
@@ -313,15 +470,18 @@ export const deleteActivity = async (req, res) => {
             return res.status(500).json(formatErrorResponse('Error deleting activity'));
         }
 
-        // Mark all future tasks from this activity as deleted
+        // Mark the creator's future tasks from this activity as deleted; other
+        // subscribers keep theirs until they upgrade to the new version
+        const today = await getUserToday(userSupabase, userId);
         const { error: taskUpdateError } = await userSupabase
             .from('tasks')
             .update({ 
                 is_deleted: true,
                 updated_at: new Date().toISOString()
             })
+            .eq('user_id', userId)
             .eq('activity_id', activityId)
-            .gte('due_date', new Date().toISOString().split('T')[0]);
+            .gte('due_date', today);
             
         if (taskUpdateError) {
             console.error('Error updating tasks:', taskUpdateError);
@@ -1,16 +1,34 @@
+import { createClient } from '@supabase/supabase-js';
 import { supabase, supabaseAdmin } from '../utils/db.js';
 import { initializeStorageBuckets } from '../utils/storage.js';
 import config from '../config/config.js';
-import nodemailer from 'nodemailer';
+import { transporter } from '../utils/mailer.js';
 
-// Setup nodemailer transporter
-const transporter = nodemailer.createTransport({
-    service: config.email.service || 'gmail',
-    auth: {
-        user: config.email.user,
-        pass: config.email.password
+/**
+ * Check a user's password, e.g. before an action that needs them to re-authenticate
+ * @param {string} email - The user's email address
+ * @param {string} password - Password to check
+ * @returns {Promise<boolean>} - True if the password is correct
+ */
+export const verifyPassword = async (email, password) => {
+    // Use a separate client so the check doesn't replace the shared client's session
+    const client = createClient(config.supabase.url, config.supabase.anonKey, {
+        auth: {
+            autoRefreshToken: false,
+            persistSession: false
+        }
+    });
+    
+    const { data, error } = await client.auth.signInWithPassword({ email, password });
+    
+    if (error || !data?.session) {
+        return false;
     }
-});
+    
+    // End the session the check created
+    await client.auth.signOut({ scope: 'local' });
+    return true;
+};
 
 /**
  * Register a new user using Supabase Auth
@@ -271,6 +289,7 @@ export const logout = async (req, res) => {
 };
 
 export default {
+    verifyPassword,
     register,
     login,
     requestPasswordReset,
@@ -0,0 +1,148 @@
+import { supabaseAdmin, fetchAllRows } from '../utils/db.js';
+import { formatErrorResponse } from '../utils/formatResponse.js';
+import { addDays, getTodayInTimezone } from '../utils/dates.js';
+import { CURRENT_SUBSCRIPTION_STATUSES, SUBSCRIPTION_STATUS, getSubscriptionEndDate } from '../utils/subscriptions.js';
+import { isActivityInVersion } from '../utils/versions.js';
+import { buildCalendar } from '../utils/ical.js';
+import { buildTaskComponent, buildActivityComponent } from '../utils/calendar.js';
+import { getActiveUserIds } from '../utils/scheduler.js';
+
+// Days of past and upcoming tasks included in the feed
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 90;
+
+/**
+ * Get a user's tasks and program schedules as an iCalendar feed
+ * The token identifies the user, so calendar apps can subscribe without logging in.
+ * Tasks are to-dos unless `tasks=events` is given, for apps that only show events;
+ * tasks created from program activities are then left out, as the activities'
+ * recurring events already cover them.
+ */
+export const getCalendarFeed = async (req, res) => {
+    try {
+        const { token, tasks: taskMode } = req.query;
+        const tasksAsEvents = taskMode === 'events';
+
+        const { data: settings, error: settingsError } = await supabaseAdmin
+            .from('settings')
+            .select('user_id, timezone')
+            .eq('calendar_token', token)
+            .maybeSingle();
+
+        if (settingsError) {
+            console.error('Error fetching calendar settings:', settingsError);
+            return res.status(400).json(formatErrorResponse('Error fetching calendar'));
+        }
+
+        if (!settings) {
+            return res.status(404).json(formatErrorResponse('Calendar link is invalid'));
+        }
+
+        const userId = settings.user_id;
+
+        // Accounts pending deletion get no tasks, so their feed is turned off too
+        const activeUserIds = await getActiveUserIds([userId]);
+        if (!activeUserIds) {
+            return res.status(400).json(formatErrorResponse('Error fetching calendar'));
+        }
+
+        if (!activeUserIds.has(userId)) {
+            return res.status(404).json(formatErrorResponse('Calendar link is invalid'));
+        }
+        const today = getTodayInTimezone(settings.timezone || 'UTC');
+
+        // Get tasks around today
+        const { data: tasks, error: tasksError } = await fetchAllRows(() => supabaseAdmin
+            .from('tasks')
+            .select('id, title, description, activity_id, priority, due_date, due_time, is_completed, completed_at, created_at, updated_at')
+            .eq('user_id', userId)
+            .eq('is_deleted', false)
+            .gte('due_date', addDays(today, -FEED_PAST_DAYS))
+            .lte('due_date', addDays(today, FEED_FUTURE_DAYS))
+            .order('due_date', { ascending: true })
+            .order('id', { ascending: true }));
+
+        if (tasksError) {
+            console.error('Error fetching calendar tasks:', tasksError);
+            return res.status(400).json(formatErrorResponse('Error fetching calendar'));
+        }
+
+        // Get the programs the user follows, with their activities
+        const { data: subscriptions, error: subscriptionsError } = await supabaseAdmin
+            .from('subscriptions')
+            .select(`
+                id,
+                status,
+                resume_on,
+                start_date,
+                program_version,
+                program:program_id (
+                    id,
+                    title,
+                    duration,
+                    duration_unit,
+                    activities:activities (
+                        id,
+                        title,
+                        description,
+                        cron,
+                        relative_day,
+                        relative_week,
+                        relative_weekday,
+                        version_added,
+                        version_removed,
+                        is_deleted,
+                        created_at,
+                        updated_at
+                    )
+                )
+            `)
+            .eq('user_id', userId)
+            .in('status', CURRENT_SUBSCRIPTION_STATUSES);
+
+        if (subscriptionsError) {
+            console.error('Error fetching calendar subscriptions:', subscriptionsError);
+            return res.status(400).json(formatErrorResponse('Error fetching calendar'));
+        }
+
+        const components = tasks
+            .filter(task => task.due_date && !(tasksAsEvents && task.activity_id))
+            .map(task => buildTaskComponent(task, tasksAsEvents));
+
+        for (const subscription of subscriptions) {
+            // Paused programs without a resume date have no schedule
+            if (!subscription.program || (subscription.status === SUBSCRIPTION_STATUS.PAUSED && !subscription.resume_on)) {
+                continue;
+            }
+
+            subscription.endDate = getSubscriptionEndDate(subscription.start_date, subscription.program);
+
+            let activeFrom = subscription.start_date || today;
+            if (subscription.status === SUBSCRIPTION_STATUS.PAUSED && subscription.resume_on > activeFrom) {
+                activeFrom = subscription.resume_on;
+            }
+
+            const activities = (subscription.program.activities || [])
+                .filter(activity => activity.cron && isActivityInVersion(activity, subscription.program_version));
+
+            for (const activity of activities) {
+                const component = buildActivityComponent(activity, subscription, activeFrom);
+
+                if (component) {
+                    components.push(component);
+                }
+            }
+        }
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'inline; filename="regular.ics"');
+        res.status(200).send(buildCalendar('Regular', components));
+    } catch (error) {
+        console.error('Error in getCalendarFeed:', error);
+        res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
+export default {
+    getCalendarFeed
+};
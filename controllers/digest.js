@@ -0,0 +1,98 @@
+import { supabaseAdmin } from '../utils/db.js';
+import { escapeHtml } from '../utils/emailTemplates.js';
+import config from '../config/config.js';
+
+/**
+ * Build the link that unsubscribes a user from digest emails without logging in
+ * @param {string} digestToken - The user's digest token from their settings
+ * @returns {string} - Unsubscribe URL
+ */
+export const getDigestUnsubscribeUrl = (digestToken) => {
+    return `${config.server.url}/digest/unsubscribe?token=${encodeURIComponent(digestToken)}`;
+};
+
+// Page shown in the browser when following an unsubscribe link
+const renderPage = (message, form = '') => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Digest emails</title></head>
+<body style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: 40px auto;">
+<p>${escapeHtml(message)}</p>
+${form}
+</body>
+</html>`;
+
+/**
+ * Ask the user to confirm unsubscribing from digest emails
+ * Link scanners and prefetchers follow links in emails, so opening the link
+ * changes nothing; the page's button posts back to the same URL.
+ */
+export const showDigestUnsubscribe = async (req, res) => {
+    try {
+        const { token } = req.query;
+        
+        const { data: settings, error } = await supabaseAdmin
+            .from('settings')
+            .select('user_id')
+            .eq('digest_token', token)
+            .maybeSingle();
+            
+        if (error) {
+            console.error('Error fetching digest settings:', error);
+            return res.status(400).type('html').send(renderPage('Error unsubscribing from digest emails'));
+        }
+        
+        if (!settings) {
+            return res.status(404).type('html').send(renderPage('Unsubscribe link is invalid'));
+        }
+        
+        res.status(200).type('html').send(renderPage(
+            'Stop receiving daily and weekly digest emails?',
+            '<form method="post"><button type="submit">Unsubscribe</button></form>'
+        ));
+    } catch (error) {
+        console.error('Error in showDigestUnsubscribe:', error);
+        res.status(500).type('html').send(renderPage('Internal server error'));
+    }
+};
+
+/**
+ * Unsubscribe from digest emails using the token from an email link
+ * Posted by the confirmation page, and by mail clients offering one-click
+ * unsubscribe through the List-Unsubscribe-Post header.
+ */
+export const unsubscribeDigest = async (req, res) => {
+    try {
+        const { token } = req.query;
+        
+        // The token identifies the user, so no login is needed
+        const { data: settings, error } = await supabaseAdmin
+            .from('settings')
+            .update({
+                daily_digest_enabled: false,
+                weekly_digest_enabled: false,
+                updated_at: new Date().toISOString()
+            })
+            .eq('digest_token', token)
+            .select('user_id');
+            
+        if (error) {
+            console.error('Error unsubscribing from digest:', error);
+            return res.status(400).type('html').send(renderPage('Error unsubscribing from digest emails'));
+        }
+        
+        if (!settings || settings.length === 0) {
+            return res.status(404).type('html').send(renderPage('Unsubscribe link is invalid'));
+        }
+        
+        res.status(200).type('html').send(renderPage('You have been unsubscribed from digest emails.'));
+    } catch (error) {
+        console.error('Error in unsubscribeDigest:', error);
+        res.status(500).type('html').send(renderPage('Internal server error'));
+    }
+};
+
+export default {
+    getDigestUnsubscribeUrl,
+    showDigestUnsubscribe,
+    unsubscribeDigest
+};
@@ -1,11 +1,51 @@
-import { supabase, createAuthenticatedClient } from '../utils/db.js';
+import { supabase, supabaseAdmin, createAuthenticatedClient, fetchAllRows } from '../utils/db.js';
 import { v4 as uuidv4 } from 'uuid';
 import { formatErrorResponse } from '../utils/formatResponse.js';
+import { addDays, getDaysBetween, getTodayInTimezone, getUserTimezone, getUserToday, isValidDay } from '../utils/dates.js';
+import { CURRENT_SUBSCRIPTION_STATUSES, SUBSCRIPTION_STATUS, isCurrentSubscription, setPauseEnd, resumeSubscription, getSubscriptionEndDate } from '../utils/subscriptions.js';
+import { populateTasksForDays } from './tasks.js';
+import { calculateCompletionRate } from '../utils/streaks.js';
+import { isActivityInVersion } from '../utils/versions.js';
+import { getPageParams, applyCursor, getPage, formatPageResponse } from '../utils/pagination.js';
+import { getProgramStats } from '../utils/programStats.js';
+import { getSubscriberGrowth, formatActivityCompletion, getMostSkippedActivities } from '../utils/programAnalytics.js';
+import { canReviewProgram } from '../utils/reviews.js';
+
+// Format name and version written into program export documents
+const PROGRAM_EXPORT_FORMAT = 'regular-program';
+const PROGRAM_EXPORT_VERSION = 1;
+
+// Largest date range the program analytics endpoint will aggregate
+const MAX_ANALYTICS_RANGE_DAYS = 732;
+
+/**
+ * Check whether a user may see a program that RLS has already returned to them.
+ * Programs that aren't public are only visible to their creator and subscribers,
+ * including former subscribers so they can resubscribe.
+ * @param {Object} userSupabase - Supabase client acting as the user
+ * @param {Object} program - Program row with `id`, `creator_id` and `is_public`
+ * @param {string} userId - ID of the user
+ * @returns {Promise<boolean>} - True if the user may see the program
+ */
+export const canViewProgram = async (userSupabase, program, userId) => {
+    if (program.is_public || program.creator_id === userId) {
+        return true;
+    }
+    
+    const { data: subscription } = await userSupabase
+        .from('subscriptions')
+        .select('id')
+        .eq('program_id', program.id)
+        .eq('user_id', userId)
+        .maybeSingle();
+        
+    return !!subscription;
+};
 
 /* CREATE */
 export const createProgram = async (req, res) => {
     try {
-        const { title, description, isPrivate, isPersonal } = req.body;
+        const { title, description, isPrivate, isPersonal, duration, durationUnit } = req.body;
         const userId = req.user.id;
         const file = req.file;
         
@@ -48,6 +88,8 @@ export const createProgram = async (req, res) => {
                 image_url: publicUrl,
                 is_private: isPrivate === 'true',
                 is_personal: isPersonal === 'true',
+                duration: duration ? parseInt(duration) : null,
+                duration_unit: durationUnit || 'days',
                 created_at: new Date().toISOString(),
                 updated_at: new Date().toISOString(),
                 is_deleted: false
@@ -67,6 +109,183 @@ export const createProgram = async (req, res) => {
     }
 };
 
+/* Copy a program and its activities into a new program owned by the user */
+export const forkProgram = async (req, res) => {
+    try {
+        const { programId } = req.params;
+        const userId = req.user.id;
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        const { data: source, error: fetchError } = await userSupabase
+            .from('programs')
+            .select(`
+                *,
+                activities (*)
+            `)
+            .eq('id', programId)
+            .eq('is_deleted', false)
+            .single();
+            
+        if (fetchError) {
+            console.error('Error fetching program:', fetchError);
+            return res.status(404).json(formatErrorResponse('Program not found'));
+        }
+        
+        // Forking follows the same visibility rules as viewing the program
+        if (!await canViewProgram(userSupabase, source, userId)) {
+            return res.status(403).json(formatErrorResponse('You do not have access to this program'));
+        }
+        
+        if (source.is_personal) {
+            return res.status(403).json(formatErrorResponse('Personal programs cannot be forked'));
+        }
+        
+        // The fork starts out private so the user can make their changes first
+        const { data: program, error: createError } = await userSupabase
+            .from('programs')
+            .insert({
+                creator_id: userId,
+                title: source.title,
+                description: source.description,
+                category: source.category,
+                difficulty: source.difficulty,
+                image_url: source.image_url,
+                duration: source.duration,
+                duration_unit: source.duration_unit,
+                forked_from_id: source.id,
+                is_public: false,
+                is_personal: false,
+                is_deleted: false,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .select('*')
+            .single();
+            
+        if (createError) {
+            console.error('Error creating program:', createError);
+            return res.status(500).json(formatErrorResponse('Error creating program'));
+        }
+        
+        const activities = (source.activities || [])
+            .filter(activity => !activity.is_deleted)
+            .map(activity => ({
+                program_id: program.id,
+                title: activity.title,
+                description: activity.description,
+                cron: activity.cron,
+                relative_day: activity.relative_day,
+                relative_week: activity.relative_week,
+                relative_weekday: activity.relative_weekday,
+                is_deleted: false,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            }));
+            
+        let savedActivities = [];
+        if (activities.length > 0) {
+            const { data, error: activitiesError } = await userSupabase
+                .from('activities')
+                .insert(activities)
+                .select('*');
+                
+            if (activitiesError) {
+                console.error('Error copying activities:', activitiesError);
+                return res.status(500).json(formatErrorResponse('Error copying activities'));
+            }
+            
+            savedActivities = data;
+        }
+        
+        return res.status(201).json({
+            program: {
+                ...program,
+                activities: savedActivities
+            }
+        });
+    } catch (error) {
+        console.error('Error in forkProgram:', error);
+        return res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
+/* Recreate a program from an export document for the current user */
+export const importProgram = async (req, res) => {
+    try {
+        const { program: source, activities } = req.body;
+        const userId = req.user.id;
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        // Imported programs start out private, like forks
+        const { data: program, error: createError } = await userSupabase
+            .from('programs')
+            .insert({
+                creator_id: userId,
+                title: source.title,
+                description: source.description || '',
+                category: source.category || null,
+                difficulty: source.difficulty || 'beginner',
+                image_url: source.imageUrl || null,
+                duration: source.duration || null,
+                duration_unit: source.durationUnit || 'days',
+                is_public: false,
+                is_personal: false,
+                is_deleted: false,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .select('*')
+            .single();
+            
+        if (createError) {
+            console.error('Error creating program:', createError);
+            return res.status(500).json(formatErrorResponse('Error creating program'));
+        }
+        
+        let savedActivities = [];
+        if (activities.length > 0) {
+            const { data, error: activitiesError } = await userSupabase
+                .from('activities')
+                .insert(activities.map(activity => ({
+                    program_id: program.id,
+                    title: activity.title,
+                    description: activity.description || '',
+                    cron: activity.cron,
+                    relative_day: activity.relativeDay ?? null,
+                    relative_week: activity.relativeWeek ?? null,
+                    relative_weekday: activity.relativeWeekday ?? null,
+                    is_deleted: false,
+                    created_at: new Date().toISOString(),
+                    updated_at: new Date().toISOString()
+                })))
+                .select('*');
+                
+            if (activitiesError) {
+                console.error('Error importing activities:', activitiesError);
+                return res.status(500).json(formatErrorResponse('Error importing activities'));
+            }
+            
+            savedActivities = data;
+        }
+        
+        return res.status(201).json({
+            program: {
+                ...program,
+                activities: savedActivities
+            }
+        });
+    } catch (error) {
+        console.error('Error in importProgram:', error);
+        return res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
 /* READ */
 export const getProgram = async (req, res) => {
     try {
@@ -88,6 +307,11 @@ export const getProgram = async (req, res) => {
                     first_name,
                     last_name,
                     avatar_url
+                ),
+                forked_from:forked_from_id (
+                    id,
+                    title,
+                    creator_id
                 )
             `)
             .eq('id', programId)
@@ -100,17 +324,8 @@ export const getProgram = async (req, res) => {
         }
 
         // Check if user has access to this program
-        if (program.is_private && program.creator_id !== userId) {
-            const { data: subscription } = await userSupabase
-                .from('subscriptions')
-                .select('*')
-                .eq('program_id', programId)
-                .eq('user_id', userId)
-                .single();
-
-            if (!subscription) {
-                return res.status(403).json(formatErrorResponse('You do not have access to this program'));
-            }
+        if (!await canViewProgram(userSupabase, program, userId)) {
+            return res.status(403).json(formatErrorResponse('You do not have access to this program'));
         }
 
         // Get activities for this program
@@ -134,17 +349,21 @@ export const getProgram = async (req, res) => {
             .eq('user_id', userId)
             .single();
 
-        // Count subscribers
-        const { count: subscriberCount } = await userSupabase
-            .from('subscriptions')
-            .select('*', { count: 'exact', head: true })
-            .eq('program_id', programId);
+        // Count subscribers and get the program's rating
+        const { stats, error: statsError } = await getProgramStats(userSupabase, [programId]);
+        if (statsError) {
+            console.error('Error fetching program stats:', statsError);
+        }
 
         return res.status(200).json({
             program: {
                 ...program,
-                isSubscribed: !!userSubscription,
-                subscriberCount: subscriberCount || 0,
+                isSubscribed: isCurrentSubscription(userSubscription),
+                subscriptionStatus: userSubscription ? userSubscription.status : null,
+                subscriptionVersion: userSubscription ? userSubscription.program_version : null,
+                upgradeAvailable: isCurrentSubscription(userSubscription) && userSubscription.program_version < program.current_version,
+                canReview: canReviewProgram(program, userSubscription, userId),
+                ...stats[programId],
                 activities: activities || []
             }
         });
@@ -154,15 +373,132 @@ export const getProgram = async (req, res) => {
     }
 };
 
-export const getFeedPrograms = async (req, res) => {
+/* Export a program and its current activities as a portable JSON document */
+export const exportProgram = async (req, res) => {
     try {
+        const { programId } = req.params;
         const userId = req.user.id;
         
         // Get the user's JWT token from the Authorization header
         const token = req.header("Authorization").replace("Bearer ", "");
         const userSupabase = createAuthenticatedClient(token);
+        
+        const { data: program, error: fetchError } = await userSupabase
+            .from('programs')
+            .select(`
+                *,
+                activities (*)
+            `)
+            .eq('id', programId)
+            .eq('is_deleted', false)
+            .single();
+            
+        if (fetchError) {
+            console.error('Error fetching program:', fetchError);
+            return res.status(404).json(formatErrorResponse('Program not found'));
+        }
+        
+        if (!await canViewProgram(userSupabase, program, userId)) {
+            return res.status(403).json(formatErrorResponse('You do not have access to this program'));
+        }
+        
+        if (program.is_personal) {
+            return res.status(403).json(formatErrorResponse('Personal programs cannot be exported'));
+        }
+        
+        // Only write activities that importProgram accepts: those of the current
+        // version that have a schedule
+        const activities = (program.activities || [])
+            .filter(activity => activity.cron && isActivityInVersion(activity, program.current_version))
+            .map(activity => {
+                const exported = {
+                    title: activity.title,
+                    description: activity.description || '',
+                    cron: activity.cron
+                };
+                
+                // Relative schedule fields are only written when set
+                if (activity.relative_day != null) {
+                    exported.relativeDay = activity.relative_day;
+                }
+                if (activity.relative_week != null) {
+                    exported.relativeWeek = activity.relative_week;
+                    exported.relativeWeekday = activity.relative_weekday;
+                }
+                
+                return exported;
+            });
+            
+        res.setHeader('Content-Disposition', `attachment; filename="program-${program.id}.json"`);
+        return res.status(200).json({
+            format: PROGRAM_EXPORT_FORMAT,
+            version: PROGRAM_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            program: {
+                title: program.title,
+                description: program.description || '',
+                category: program.category || null,
+                difficulty: program.difficulty || null,
+                imageUrl: program.image_url || null,
+                duration: program.duration || null,
+                durationUnit: program.duration_unit || null
+            },
+            activities
+        });
+    } catch (error) {
+        console.error('Error in exportProgram:', error);
+        return res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
+/**
+ * Discover public programs, with an optional full-text search, category and
+ * difficulty filters, a sort order and cursor pagination. Filtering, sorting
+ * and subscriber counts are all done by the search_programs database function.
+ */
+export const getFeedPrograms = async (req, res) => {
+    try {
+        const { q, category, difficulty } = req.query;
+        const sort = req.query.sort || (q ? 'relevance' : 'newest');
+        const { limit, cursor, error: cursorError } = getPageParams(req.query);
+
+        // Feed cursors hold the numeric sort value of the search results
+        if (cursorError || (cursor && typeof cursor.value !== 'number')) {
+            return res.status(400).json(formatErrorResponse('Invalid cursor'));
+        }
+
+        if (sort === 'relevance' && !q) {
+            return res.status(400).json(formatErrorResponse('Sorting by relevance requires a search query'));
+        }
+
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+
+        // Ask for one extra row to find out whether there is another page
+        const { data: matches, error } = await userSupabase.rpc('search_programs', {
+            p_query: q || null,
+            p_category: category || null,
+            p_difficulty: difficulty || null,
+            p_sort: sort,
+            p_cursor_value: cursor ? cursor.value : null,
+            p_cursor_id: cursor ? cursor.id : null,
+            p_limit: limit + 1
+        });
+
+        if (error) {
+            console.error('Error searching feed programs:', error);
+            return res.status(500).json(formatErrorResponse('Error fetching programs'));
+        }
+
+        const { items: page, nextCursor } = getPage(matches, limit, 'sort_value');
+        const pagination = { limit, cursor: req.query.cursor, nextCursor };
+
+        if (page.length === 0) {
+            return res.status(200).json(formatPageResponse('Programs retrieved successfully', [], pagination));
+        }
 
-        const { data: programs, error } = await userSupabase
+        const { data: rows, error: programsError } = await userSupabase
             .from('programs')
             .select(`
                 *,
@@ -174,32 +510,28 @@ export const getFeedPrograms = async (req, res) => {
                     avatar_url
                 )
             `)
-            .eq('is_deleted', false)
-            .eq('is_personal', false)
-            .eq('is_public', true)
-            .order('created_at', { ascending: false });
+            .in('id', page.map(match => match.id));
 
-        if (error) {
-            console.error('Error fetching feed programs:', error);
+        if (programsError) {
+            console.error('Error fetching feed programs:', programsError);
             return res.status(500).json(formatErrorResponse('Error fetching programs'));
         }
 
-        // Get subscription counts for each program
-        for (const program of programs) {
-            const { count, error: countError } = await userSupabase
-                .from('subscriptions')
-                .select('id', { count: 'exact', head: true })
-                .eq('program_id', program.id);
-                
-            if (countError) {
-                console.error(`Error counting subscribers for program ${program.id}:`, countError);
-                program.subscriberCount = 0;
-            } else {
-                program.subscriberCount = count || 0;
-            }
+        const { stats, error: statsError } = await getProgramStats(userSupabase, page.map(match => match.id));
+        if (statsError) {
+            console.error('Error fetching program stats:', statsError);
         }
-        
-        res.status(200).json(programs);
+
+        // Keep the order of the search results
+        const programsById = new Map(rows.map(program => [program.id, program]));
+        const programs = page
+            .filter(match => programsById.has(match.id))
+            .map(match => ({
+                ...programsById.get(match.id),
+                ...stats[match.id]
+            }));
+
+        res.status(200).json(formatPageResponse('Programs retrieved successfully', programs, pagination));
     } catch (error) {
         console.error("Error fetching programs:", error);
         res.status(500).json({ message: error.message });
@@ -209,16 +541,28 @@ export const getFeedPrograms = async (req, res) => {
 export const getUserPrograms = async (req, res) => {
     try {
         const userId = req.user.id;
+        const { limit, cursor, error: cursorError } = getPageParams(req.query);
+
+        if (cursorError) {
+            return res.status(400).json(formatErrorResponse(cursorError));
+        }
         
         // Get the user's JWT token from the Authorization header
         const token = req.header("Authorization").replace("Bearer ", "");
         const userSupabase = createAuthenticatedClient(token);
         
-        // Get all subscriptions for the user, joining with programs and creators
-        const { data: subscriptions, error } = await userSupabase
+        // Get the user's subscriptions, newest first, joining with programs and creators
+        const query = userSupabase
             .from('subscriptions')
             .select(`
                 id,
+                created_at,
+                status,
+                subscribed_at,
+                start_date,
+                paused_at,
+                resume_on,
+                program_version,
                 program:program_id (
                     *,
                     creator:creator_id (
@@ -231,37 +575,46 @@ export const getUserPrograms = async (req, res) => {
                     )
                 )
             `)
-            .eq('user_id', userId);
+            .eq('user_id', userId)
+            .in('status', CURRENT_SUBSCRIPTION_STATUSES)
+            .order('created_at', { ascending: false });
+
+        const { data: rows, error } = await applyCursor(query, { column: 'created_at', cursor, limit });
             
         if (error) {
             console.error("Error fetching subscriptions:", error);
             return res.status(400).json({ message: error.message });
         }
+
+        const { items: subscriptions, nextCursor } = getPage(rows, limit, 'created_at');
         
         // Filter out personal programs and extract program objects
         //    .filter(sub => sub.program && !sub.program.is_personal) 
         const programs = subscriptions
             .map(sub => ({
                 ...sub.program,
-                id: sub.program.id
+                id: sub.program.id,
+                subscriptionStatus: sub.status,
+                subscribedAt: sub.subscribed_at,
+                startDate: sub.start_date,
+                pausedAt: sub.paused_at,
+                resumeOn: sub.resume_on,
+                endDate: getSubscriptionEndDate(sub.start_date, sub.program),
+                subscriptionVersion: sub.program_version,
+                upgradeAvailable: sub.program_version < sub.program.current_version
             }));
             
-        // Get subscription counts for each program
+        // Get subscriber counts and ratings for all the programs at once
+        const { stats, error: statsError } = await getProgramStats(userSupabase, programs.map(program => program.id));
+        if (statsError) {
+            console.error('Error fetching program stats:', statsError);
+        }
+
         for (const program of programs) {
-            const { count, error: countError } = await userSupabase
-                .from('subscriptions')
-                .select('id', { count: 'exact', head: true })
-                .eq('program_id', program.id);
-                
-            if (countError) {
-                console.error(`Error counting subscribers for program ${program.id}:`, countError);
-                program.subscriberCount = 0;
-            } else {
-                program.subscriberCount = count || 0;
-            }
+            Object.assign(program, stats[program.id]);
         }
         
-        res.status(200).json(programs);
+        res.status(200).json(formatPageResponse('Programs retrieved successfully', programs, { limit, cursor: req.query.cursor, nextCursor }));
     } catch (error) {
         console.error("Error fetching user programs:", error);
         res.status(500).json({ message: error.message });
@@ -272,42 +625,47 @@ export const getUserPrograms = async (req, res) => {
 export const getCreatorPrograms = async (req, res) => {
     try {
         const userId = req.user.id;
+        const { limit, cursor, error: cursorError } = getPageParams(req.query);
+
+        if (cursorError) {
+            return res.status(400).json(formatErrorResponse(cursorError));
+        }
         
         // Get the user's JWT token from the Authorization header
         const token = req.header("Authorization").replace("Bearer ", "");
         const userSupabase = createAuthenticatedClient(token);
         
-        // Get all programs created by this user
-        const { data: programs, error } = await userSupabase
+        // Get the programs created by this user, newest first
+        const query = userSupabase
             .from('programs')
             .select(`
                 *,
                 activities (*)
             `)
             .eq('creator_id', userId)
-            .eq('is_deleted', false);
+            .eq('is_deleted', false)
+            .order('created_at', { ascending: false });
+
+        const { data: rows, error } = await applyCursor(query, { column: 'created_at', cursor, limit });
             
         if (error) {
             console.error("Error fetching creator programs:", error);
             return res.status(400).json({ message: error.message });
         }
+
+        const { items: programs, nextCursor } = getPage(rows, limit, 'created_at');
         
-        // Get subscription counts for each program
+        // Get subscriber counts and ratings for all the programs at once
+        const { stats, error: statsError } = await getProgramStats(userSupabase, programs.map(program => program.id));
+        if (statsError) {
+            console.error('Error fetching program stats:', statsError);
+        }
+
         for (const program of programs) {
-            const { count, error: countError } = await userSupabase
-                .from('subscriptions')
-                .select('id', { count: 'exact', head: true })
-                .eq('program_id', program.id);
-                
-            if (countError) {
-                console.error(`Error counting subscribers for program ${program.id}:`, countError);
-                program.subscriberCount = 0;
-            } else {
-                program.subscriberCount = count || 0;
-            }
+            Object.assign(program, stats[program.id]);
         }
         
-        res.status(200).json(programs);
+        res.status(200).json(formatPageResponse('Programs retrieved successfully', programs, { limit, cursor: req.query.cursor, nextCursor }));
     } catch (error) {
         console.error("Error fetching creator programs:", error);
         res.status(500).json({ message: error.message });
@@ -363,7 +721,7 @@ export const getPersonalProgram = async (req, res) => {
             }
             
             // Create subscription to the personal program
-            const { error: subError } = await userSupabase
+            const { error: subError } = await supabaseAdmin
                 .from('subscriptions')
                 .insert({
                     user_id: userId,
@@ -388,7 +746,7 @@ export const getPersonalProgram = async (req, res) => {
 /* UPDATE */
 export const editProgram = async (req, res) => {
     try {
-        const { programId, title, description, category, link, isPrivate } = req.body;
+        const { programId, title, description, category, link, isPrivate, duration, durationUnit } = req.body;
         const userId = req.user.id;
         
         // Get the user's JWT token from the Authorization header
@@ -417,6 +775,8 @@ export const editProgram = async (req, res) => {
             description: description !== undefined ? description : program.description,
             category: category || program.category,
             is_public: isPrivate !== undefined ? !isPrivate : program.is_public,
+            duration: duration !== undefined ? (duration ? parseInt(duration) : null) : program.duration,
+            duration_unit: durationUnit || program.duration_unit,
             updated_at: new Date().toISOString()
         };
         
@@ -506,40 +866,6 @@ export const subscribeProgram = async (req, res) => {
         const token = req.header("Authorization").replace("Bearer ", "");
         const userSupabase = createAuthenticatedClient(token);
         
-        // Check if already subscribed
-        const { data: existingSub, error: checkError } = await userSupabase
-            .from('subscriptions')
-            .select('*')
-            .eq('user_id', userId)
-            .eq('program_id', programId)
-            .single();
-            
-        if (checkError) {
-            // If the error is not "not found", return the error
-            if (checkError.code !== 'PGRST116') {
-                console.error("Error checking subscription:", checkError);
-                return res.status(400).json({ message: checkError.message });
-            }
-        } else if (existingSub) {
-            return res.status(400).json({ message: "Already subscribed to this program" });
-        }
-        
-        // Create new subscription
-        const { data: newSubscription, error: createError } = await userSupabase
-            .from('subscriptions')
-            .insert({
-                user_id: userId,
-                program_id: programId,
-                created_at: new Date().toISOString()
-            })
-            .select()
-            .single();
-            
-        if (createError) {
-            console.error("Error creating subscription:", createError);
-            return res.status(400).json({ message: createError.message });
-        }
-        
         // Fetch program details
         const { data: program, error: programError } = await userSupabase
             .from('programs')
@@ -562,43 +888,141 @@ export const subscribeProgram = async (req, res) => {
             return res.status(400).json({ message: programError.message });
         }
         
-        res.status(201).json(program);
-    } catch (error) {
-        console.error("Error subscribing to program:", error);
-        res.status(500).json({ message: error.message });
-    }
-};
-
-export const unsubscribeProgram = async (req, res) => {
-    try {
-        const { programId } = req.params;
-        const userId = req.user.id;
-        
-        // Get the user's JWT token from the Authorization header
-        const token = req.header("Authorization").replace("Bearer ", "");
-        const userSupabase = createAuthenticatedClient(token);
+        // Archived programs keep their subscribers but take no new ones
+        if (program.is_archived) {
+            return res.status(400).json({ message: "This program is archived and no longer takes subscribers" });
+        }
         
-        // Get the program to check if it's personal
-        const { data: program, error: programError } = await userSupabase
-            .from('programs')
-            .select('is_personal')
-            .eq('id', programId)
+        // Check if already subscribed
+        const { data: existingSub, error: checkError } = await userSupabase
+            .from('subscriptions')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('program_id', programId)
             .single();
             
-        if (programError) {
-            console.error("Error fetching program:", programError);
-            return res.status(400).json({ message: programError.message });
-        }
-        
-        // Prevent unsubscribing from personal programs
-        if (program.is_personal) {
+        if (checkError) {
+            // If the error is not "not found", return the error
+            if (checkError.code !== 'PGRST116') {
+                console.error("Error checking subscription:", checkError);
+                return res.status(400).json({ message: checkError.message });
+            }
+        } else if (isCurrentSubscription(existingSub)) {
+            return res.status(400).json({ message: "Already subscribed to this program" });
+        }
+        
+        // Day 1 of the program for activities scheduled relative to the start
+        const today = await getUserToday(userSupabase, userId);
+        const startDate = req.body.startDate || today;
+        
+        if (!isValidDay(startDate) || startDate < today) {
+            return res.status(400).json({ message: "Start date must be a valid day that is not in the past" });
+        }
+        
+        const now = new Date().toISOString();
+        
+        if (existingSub) {
+            // Restore the ended subscription so the user's history stays attached to it
+            const { error: restoreError } = await supabaseAdmin
+                .from('subscriptions')
+                .update({
+                    status: SUBSCRIPTION_STATUS.ACTIVE,
+                    subscribed_at: now,
+                    start_date: startDate,
+                    paused_at: null,
+                    resume_on: null,
+                    ended_at: null,
+                    completed_at: null,
+                    updated_at: now
+                })
+                .eq('id', existingSub.id);
+                
+            if (restoreError) {
+                console.error("Error restoring subscription:", restoreError);
+                return res.status(400).json({ message: restoreError.message });
+            }
+            
+            // A pause the user left during ends when they come back
+            const { error: pauseError } = await setPauseEnd(supabaseAdmin, existingSub.id, today, today);
+            
+            if (pauseError) {
+                console.error("Error ending pause:", pauseError);
+                return res.status(400).json({ message: pauseError.message });
+            }
+            
+            // Log the resubscribe so creators can see returning subscribers
+            const { error: logError } = await userSupabase
+                .from('activity_logs')
+                .insert({
+                    user_id: userId,
+                    action_type: 'program_resubscribed',
+                    target_type: 'program',
+                    target_id: programId,
+                    metadata: { ended_at: existingSub.ended_at },
+                    created_at: now
+                });
+                
+            if (logError) {
+                console.error("Error logging resubscribe:", logError);
+                // Don't fail the request, just log the error
+            }
+        } else {
+            // Create new subscription
+            const { error: createError } = await supabaseAdmin
+                .from('subscriptions')
+                .insert({
+                    user_id: userId,
+                    program_id: programId,
+                    status: SUBSCRIPTION_STATUS.ACTIVE,
+                    subscribed_at: now,
+                    start_date: startDate,
+                    created_at: now,
+                    updated_at: now
+                });
+                
+            if (createError) {
+                console.error("Error creating subscription:", createError);
+                return res.status(400).json({ message: createError.message });
+            }
+        }
+        
+        res.status(201).json(program);
+    } catch (error) {
+        console.error("Error subscribing to program:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+export const unsubscribeProgram = async (req, res) => {
+    try {
+        const { programId } = req.params;
+        const userId = req.user.id;
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        // Get the program to check if it's personal
+        const { data: program, error: programError } = await userSupabase
+            .from('programs')
+            .select('is_personal')
+            .eq('id', programId)
+            .single();
+            
+        if (programError) {
+            console.error("Error fetching program:", programError);
+            return res.status(400).json({ message: programError.message });
+        }
+        
+        // Prevent unsubscribing from personal programs
+        if (program.is_personal) {
             return res.status(403).json({ message: "Cannot unsubscribe from personal program" });
         }
         
         // Find the subscription
         const { data: subscription, error: findError } = await userSupabase
             .from('subscriptions')
-            .select('id')
+            .select('id, status, subscribed_at')
             .eq('user_id', userId)
             .eq('program_id', programId)
             .maybeSingle();
@@ -608,16 +1032,16 @@ export const unsubscribeProgram = async (req, res) => {
             return res.status(400).json({ message: findError.message });
         }
         
-        if (!subscription) {
+        if (!isCurrentSubscription(subscription)) {
             return res.status(404).json({ message: "Subscription not found" });
         }
         
-        // Get all activities for this program
+        // Get all activities for this program, including ones retired in later
+        // versions that the user may still have tasks for
         const { data: activities, error: activitiesError } = await userSupabase
             .from('activities')
             .select('id')
-            .eq('program_id', programId)
-            .eq('is_deleted', false);
+            .eq('program_id', programId);
             
         if (activitiesError) {
             console.error("Error fetching program activities:", activitiesError);
@@ -625,30 +1049,51 @@ export const unsubscribeProgram = async (req, res) => {
         }
         
         // Delete all future tasks associated with these activities
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        const today = await getUserToday(userSupabase, userId);
         
         const { error: deleteError } = await userSupabase
             .from('tasks')
             .delete()
             .eq('user_id', userId)
             .in('activity_id', activities.map(a => a.id))
-            .gte('due_date', today.toISOString().split('T')[0]);
+            .gte('due_date', today);
             
         if (deleteError) {
             console.error("Error deleting tasks:", deleteError);
             return res.status(400).json({ message: deleteError.message });
         }
         
-        // Delete the subscription
-        const { error: subDeleteError } = await userSupabase
+        // End the subscription, keeping it so the user can resubscribe later
+        const now = new Date().toISOString();
+        const { error: subEndError } = await supabaseAdmin
             .from('subscriptions')
-            .delete()
+            .update({
+                status: SUBSCRIPTION_STATUS.ENDED,
+                ended_at: now,
+                updated_at: now
+            })
             .eq('id', subscription.id);
             
-        if (subDeleteError) {
-            console.error("Error deleting subscription:", subDeleteError);
-            return res.status(400).json({ message: subDeleteError.message });
+        if (subEndError) {
+            console.error("Error ending subscription:", subEndError);
+            return res.status(400).json({ message: subEndError.message });
+        }
+        
+        // Log the unsubscribe so creators can see churn
+        const { error: logError } = await userSupabase
+            .from('activity_logs')
+            .insert({
+                user_id: userId,
+                action_type: 'program_unsubscribed',
+                target_type: 'program',
+                target_id: programId,
+                metadata: { subscribed_at: subscription.subscribed_at },
+                created_at: now
+            });
+            
+        if (logError) {
+            console.error("Error logging unsubscribe:", logError);
+            // Don't fail the request, just log the error
         }
         
         res.status(200).json({ message: "Unsubscribed successfully" });
@@ -658,9 +1103,537 @@ export const unsubscribeProgram = async (req, res) => {
     }
 };
 
+/* Pause a subscription, optionally until a given day */
+export const pauseProgram = async (req, res) => {
+    try {
+        const { programId } = req.params;
+        const { resumeOn } = req.body;
+        const userId = req.user.id;
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        // Find the subscription along with its program
+        const { data: subscription, error: findError } = await userSupabase
+            .from('subscriptions')
+            .select(`
+                id,
+                status,
+                program:program_id (
+                    is_personal,
+                    activities:activities (id)
+                )
+            `)
+            .eq('user_id', userId)
+            .eq('program_id', programId)
+            .maybeSingle();
+            
+        if (findError) {
+            console.error("Error finding subscription:", findError);
+            return res.status(400).json({ message: findError.message });
+        }
+        
+        if (!isCurrentSubscription(subscription)) {
+            return res.status(404).json({ message: "Subscription not found" });
+        }
+        
+        // Prevent pausing personal programs
+        if (subscription.program.is_personal) {
+            return res.status(403).json({ message: "Cannot pause personal program" });
+        }
+        
+        const today = await getUserToday(userSupabase, userId);
+        if (resumeOn && !isValidDay(resumeOn)) {
+            return res.status(400).json({ message: "Resume date must be a valid day" });
+        }
+        
+        if (resumeOn && resumeOn <= today) {
+            return res.status(400).json({ message: "Resume date must be in the future" });
+        }
+        
+        const now = new Date().toISOString();
+        const isPaused = subscription.status === SUBSCRIPTION_STATUS.PAUSED;
+        const updateData = {
+            status: SUBSCRIPTION_STATUS.PAUSED,
+            resume_on: resumeOn || null,
+            updated_at: now
+        };
+        
+        // Pausing again keeps the original pause time and only changes the resume date
+        if (!isPaused) {
+            updateData.paused_at = now;
+        }
+        
+        const { data: updatedSubscription, error: updateError } = await supabaseAdmin
+            .from('subscriptions')
+            .update(updateData)
+            .eq('id', subscription.id)
+            .select()
+            .single();
+            
+        if (updateError) {
+            console.error("Error pausing subscription:", updateError);
+            return res.status(400).json({ message: updateError.message });
+        }
+        
+        // Keep the paused days on record so they stay free of tasks after resuming
+        const { error: pauseError } = isPaused
+            ? await setPauseEnd(supabaseAdmin, subscription.id, today, resumeOn || null)
+            : await supabaseAdmin
+                .from('subscription_pauses')
+                .insert({
+                    subscription_id: subscription.id,
+                    user_id: userId,
+                    paused_from: today,
+                    resume_on: resumeOn || null
+                });
+            
+        if (pauseError) {
+            console.error("Error recording pause:", pauseError);
+            return res.status(400).json({ message: pauseError.message });
+        }
+        
+        // Remove incomplete tasks from today onwards; completed tasks stay in the history
+        const activityIds = (subscription.program.activities || []).map(a => a.id);
+        const { error: deleteError } = await userSupabase
+            .from('tasks')
+            .delete()
+            .eq('user_id', userId)
+            .eq('is_completed', false)
+            .in('activity_id', activityIds)
+            .gte('due_date', today);
+            
+        if (deleteError) {
+            console.error("Error deleting tasks:", deleteError);
+            return res.status(400).json({ message: deleteError.message });
+        }
+        
+        res.status(200).json(updatedSubscription);
+    } catch (error) {
+        console.error("Error pausing program:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/* Resume a paused subscription */
+export const resumeProgram = async (req, res) => {
+    try {
+        const { programId } = req.params;
+        const userId = req.user.id;
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        const { data: subscription, error: findError } = await userSupabase
+            .from('subscriptions')
+            .select('id, status')
+            .eq('user_id', userId)
+            .eq('program_id', programId)
+            .maybeSingle();
+            
+        if (findError) {
+            console.error("Error finding subscription:", findError);
+            return res.status(400).json({ message: findError.message });
+        }
+        
+        if (!isCurrentSubscription(subscription)) {
+            return res.status(404).json({ message: "Subscription not found" });
+        }
+        
+        if (subscription.status !== SUBSCRIPTION_STATUS.PAUSED) {
+            return res.status(400).json({ message: "Subscription is not paused" });
+        }
+        
+        const today = await getUserToday(userSupabase, userId);
+        const { data: updatedSubscription, error: updateError } = await resumeSubscription(supabaseAdmin, subscription.id, today);
+        
+        if (updateError) {
+            console.error("Error resuming subscription:", updateError);
+            return res.status(400).json({ message: updateError.message });
+        }
+        
+        // Bring back today's tasks straight away rather than waiting for the next populate
+        const { error: populateError } = await populateTasksForDays(userSupabase, userId, [today], today);
+        
+        if (populateError) {
+            console.error("Error populating tasks after resume:", populateError);
+            // Don't fail the request, just log the error
+        }
+        
+        res.status(200).json(updatedSubscription);
+    } catch (error) {
+        console.error("Error resuming program:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/* Move a subscription to the latest version of its program */
+export const upgradeProgram = async (req, res) => {
+    try {
+        const { programId } = req.params;
+        const userId = req.user.id;
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        const { data: subscription, error: findError } = await userSupabase
+            .from('subscriptions')
+            .select(`
+                id,
+                status,
+                program_version,
+                program:program_id (
+                    current_version,
+                    activities:activities (
+                        id,
+                        version_added,
+                        version_removed,
+                        is_deleted
+                    )
+                )
+            `)
+            .eq('user_id', userId)
+            .eq('program_id', programId)
+            .maybeSingle();
+            
+        if (findError) {
+            console.error("Error finding subscription:", findError);
+            return res.status(400).json({ message: findError.message });
+        }
+        
+        if (!isCurrentSubscription(subscription)) {
+            return res.status(404).json({ message: "Subscription not found" });
+        }
+        
+        const { current_version: latestVersion, activities } = subscription.program;
+        if (subscription.program_version >= latestVersion) {
+            return res.status(400).json({ message: "Already on the latest version of this program" });
+        }
+        
+        const { data: updatedSubscription, error: updateError } = await supabaseAdmin
+            .from('subscriptions')
+            .update({
+                program_version: latestVersion,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', subscription.id)
+            .select()
+            .single();
+            
+        if (updateError) {
+            console.error("Error upgrading subscription:", updateError);
+            return res.status(400).json({ message: updateError.message });
+        }
+        
+        // Remove incomplete upcoming tasks of activities that are not in the latest version
+        const today = await getUserToday(userSupabase, userId);
+        const removedActivityIds = (activities || [])
+            .filter(activity => isActivityInVersion(activity, subscription.program_version) && !isActivityInVersion(activity, latestVersion))
+            .map(activity => activity.id);
+            
+        if (removedActivityIds.length > 0) {
+            const { error: deleteError } = await userSupabase
+                .from('tasks')
+                .delete()
+                .eq('user_id', userId)
+                .eq('is_completed', false)
+                .in('activity_id', removedActivityIds)
+                .gte('due_date', today);
+                
+            if (deleteError) {
+                console.error("Error deleting tasks:", deleteError);
+                return res.status(400).json({ message: deleteError.message });
+            }
+        }
+        
+        // Add today's tasks from the latest version straight away
+        const { error: populateError } = await populateTasksForDays(userSupabase, userId, [today], today);
+        
+        if (populateError) {
+            console.error("Error populating tasks after upgrade:", populateError);
+            // Don't fail the request, just log the error
+        }
+        
+        res.status(200).json(updatedSubscription);
+    } catch (error) {
+        console.error("Error upgrading program:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/* Get the versions of a program and how many subscribers follow each, for its creator */
+export const getProgramVersions = async (req, res) => {
+    try {
+        const { programId } = req.params;
+        const userId = req.user.id;
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        const { data: program, error: fetchError } = await userSupabase
+            .from('programs')
+            .select('id, creator_id, current_version, created_at')
+            .eq('id', programId)
+            .eq('is_deleted', false)
+            .single();
+            
+        if (fetchError) {
+            console.error("Error fetching program:", fetchError);
+            return res.status(404).json(formatErrorResponse('Program not found'));
+        }
+        
+        if (program.creator_id !== userId) {
+            return res.status(403).json(formatErrorResponse('Only the creator can view versions of this program'));
+        }
+        
+        const [versionsResult, activitiesResult, subscriptionsResult] = await Promise.all([
+            userSupabase
+                .from('program_versions')
+                .select('version, created_at')
+                .eq('program_id', programId),
+            userSupabase
+                .from('activities')
+                .select('id, version_added, version_removed, is_deleted')
+                .eq('program_id', programId),
+            fetchAllRows(() => userSupabase
+                .from('subscriptions')
+                .select('program_version')
+                .eq('program_id', programId)
+                .neq('user_id', userId)
+                .in('status', CURRENT_SUBSCRIPTION_STATUSES)
+                .order('id', { ascending: true }))
+        ]);
+        
+        const error = versionsResult.error || activitiesResult.error || subscriptionsResult.error;
+        if (error) {
+            console.error('Error fetching program versions:', error);
+            return res.status(500).json(formatErrorResponse('Error fetching program versions'));
+        }
+        
+        // The first version is the program as it was created
+        const createdAtByVersion = { 1: program.created_at };
+        for (const row of versionsResult.data) {
+            createdAtByVersion[row.version] = row.created_at;
+        }
+        
+        const subscribersByVersion = {};
+        for (const subscription of subscriptionsResult.data) {
+            subscribersByVersion[subscription.program_version] = (subscribersByVersion[subscription.program_version] || 0) + 1;
+        }
+        
+        const versions = [];
+        for (let version = 1; version <= program.current_version; version++) {
+            versions.push({
+                version,
+                createdAt: createdAtByVersion[version] || null,
+                activityCount: activitiesResult.data.filter(activity => isActivityInVersion(activity, version)).length,
+                subscriberCount: subscribersByVersion[version] || 0
+            });
+        }
+        
+        return res.status(200).json({
+            programId,
+            currentVersion: program.current_version,
+            versions
+        });
+    } catch (error) {
+        console.error('Error in getProgramVersions:', error);
+        return res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
+/* Get a subscriber's completion summary for their run of a program */
+export const getProgramSummary = async (req, res) => {
+    try {
+        const { programId } = req.params;
+        const userId = req.user.id;
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        const { data: subscription, error: findError } = await userSupabase
+            .from('subscriptions')
+            .select(`
+                id,
+                status,
+                start_date,
+                completed_at,
+                program:program_id (
+                    id,
+                    title,
+                    duration,
+                    duration_unit
+                )
+            `)
+            .eq('user_id', userId)
+            .eq('program_id', programId)
+            .maybeSingle();
+            
+        if (findError) {
+            console.error("Error finding subscription:", findError);
+            return res.status(400).json({ message: findError.message });
+        }
+        
+        if (!subscription) {
+            return res.status(404).json({ message: "Subscription not found" });
+        }
+        
+        // Only count tasks up to today, or the last day of a fixed-length program
+        const today = await getUserToday(userSupabase, userId);
+        const endDate = getSubscriptionEndDate(subscription.start_date, subscription.program);
+        const lastDay = endDate && endDate < today ? endDate : today;
+        
+        const { data: tasks, error: tasksError } = await fetchAllRows(() => userSupabase
+            .from('tasks')
+            .select('id, activity_id, title, is_completed')
+            .eq('user_id', userId)
+            .eq('program_id', programId)
+            .eq('is_deleted', false)
+            .gte('due_date', subscription.start_date)
+            .lte('due_date', lastDay)
+            .order('due_date', { ascending: true })
+            .order('id', { ascending: true }));
+            
+        if (tasksError) {
+            console.error("Error fetching program tasks:", tasksError);
+            return res.status(400).json({ message: tasksError.message });
+        }
+        
+        const occurrences = tasks.map(task => ({ completed: task.is_completed }));
+        
+        // Break the totals down per activity
+        const activitiesById = {};
+        for (const task of tasks) {
+            const key = task.activity_id || task.id;
+            if (!activitiesById[key]) {
+                activitiesById[key] = { activityId: task.activity_id, title: task.title, occurrences: [] };
+            }
+            activitiesById[key].occurrences.push({ completed: task.is_completed });
+        }
+        
+        const activities = Object.values(activitiesById).map(({ occurrences: activityOccurrences, ...activity }) => ({
+            ...activity,
+            completed: activityOccurrences.filter(occurrence => occurrence.completed).length,
+            total: activityOccurrences.length,
+            completionRate: calculateCompletionRate(activityOccurrences)
+        }));
+        
+        res.status(200).json({
+            programId,
+            title: subscription.program.title,
+            status: subscription.status,
+            startDate: subscription.start_date,
+            endDate,
+            completedAt: subscription.completed_at,
+            completed: occurrences.filter(occurrence => occurrence.completed).length,
+            total: occurrences.length,
+            completionRate: calculateCompletionRate(occurrences),
+            activities
+        });
+    } catch (error) {
+        console.error("Error fetching program summary:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/* Get anonymised analytics for a program, for its creator */
+export const getProgramAnalytics = async (req, res) => {
+    try {
+        const { programId } = req.params;
+        const { bucket = 'week' } = req.query;
+        const userId = req.user.id;
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        // Check if program exists and belongs to the current user
+        const { data: program, error: fetchError } = await userSupabase
+            .from('programs')
+            .select('id, title, creator_id, created_at')
+            .eq('id', programId)
+            .eq('is_deleted', false)
+            .single();
+            
+        if (fetchError) {
+            console.error("Error fetching program:", fetchError);
+            return res.status(404).json(formatErrorResponse('Program not found'));
+        }
+        
+        if (program.creator_id !== userId) {
+            return res.status(403).json(formatErrorResponse('Only the creator can view analytics for this program'));
+        }
+        
+        // Default to the last 90 days in the creator's timezone
+        const timezone = await getUserTimezone(userSupabase, userId);
+        const today = getTodayInTimezone(timezone);
+        const endDate = req.query.endDate || today;
+        const startDate = req.query.startDate || addDays(endDate, -89);
+        
+        if (!isValidDay(startDate) || !isValidDay(endDate) || endDate < startDate) {
+            return res.status(400).json(formatErrorResponse('Start and end dates must be valid days in order'));
+        }
+        
+        if (getDaysBetween(startDate, endDate) >= MAX_ANALYTICS_RANGE_DAYS) {
+            return res.status(400).json(formatErrorResponse(`Date range cannot exceed ${MAX_ANALYTICS_RANGE_DAYS} days`));
+        }
+        
+        // Aggregate in the database; the functions only return totals across subscribers
+        const [growthResult, activityResult] = await Promise.all([
+            userSupabase.rpc('program_subscriber_growth', {
+                p_program_id: programId,
+                p_start: startDate,
+                p_end: endDate,
+                p_bucket: bucket,
+                p_timezone: timezone
+            }),
+            userSupabase.rpc('program_activity_completion', {
+                p_program_id: programId,
+                p_start: startDate,
+                p_end: endDate
+            })
+        ]);
+        
+        const error = growthResult.error || activityResult.error;
+        if (error) {
+            console.error('Error fetching program analytics:', error);
+            return res.status(500).json(formatErrorResponse('Error fetching program analytics'));
+        }
+        
+        const { growth, subscriberCount, churn } = getSubscriberGrowth(growthResult.data, startDate, endDate, bucket);
+        const activities = formatActivityCompletion(activityResult.data);
+        
+        return res.status(200).json({
+            programId,
+            startDate,
+            endDate,
+            bucket,
+            subscriberCount,
+            growth,
+            churn,
+            activities,
+            mostSkipped: getMostSkippedActivities(activities)
+        });
+    } catch (error) {
+        console.error('Error in getProgramAnalytics:', error);
+        return res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
 export default {
     createProgram,
+    forkProgram,
+    importProgram,
+    exportProgram,
     getProgram,
+    getProgramAnalytics,
+    getProgramSummary,
+    getProgramVersions,
     getFeedPrograms,
     getUserPrograms,
     getCreatorPrograms,
@@ -668,5 +1641,8 @@ export default {
     editProgram,
     deleteProgram,
     subscribeProgram,
-    unsubscribeProgram
+    unsubscribeProgram,
+    pauseProgram,
+    resumeProgram,
+    upgradeProgram
 }; 
\ No newline at end of file
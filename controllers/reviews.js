@@ -0,0 +1,376 @@
+import { createAuthenticatedClient } from '../utils/db.js';
+import { formatErrorResponse, formatSuccessResponse } from '../utils/formatResponse.js';
+import { getPageParams, applyCursor, getPage, formatPageResponse } from '../utils/pagination.js';
+import { MIN_REVIEW_SUBSCRIPTION_DAYS, canReviewProgram } from '../utils/reviews.js';
+import { canViewProgram } from './programs.js';
+
+// Columns returned for a review, with its author and the creator's reply
+const REVIEW_COLUMNS = `
+    *,
+    reviewer:user_id (
+        id,
+        first_name,
+        last_name,
+        avatar_url
+    ),
+    reply:program_review_replies (
+        id,
+        body,
+        created_at,
+        updated_at
+    )
+`;
+
+/**
+ * Get a program the user can see
+ * @param {Object} userSupabase - Supabase client acting as the user
+ * @param {string} programId - ID of the program
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Object|null>} - The program row, or null if the user can't see it
+ */
+const fetchVisibleProgram = async (userSupabase, programId, userId) => {
+    const { data: program, error } = await userSupabase
+        .from('programs')
+        .select('id, creator_id, is_public')
+        .eq('id', programId)
+        .eq('is_deleted', false)
+        .maybeSingle();
+
+    if (error) {
+        console.error('Error fetching program:', error);
+        return null;
+    }
+
+    if (!program || !await canViewProgram(userSupabase, program, userId)) {
+        return null;
+    }
+
+    return program;
+};
+
+/**
+ * Get a review with the program it belongs to
+ * @param {Object} userSupabase - Supabase client acting as the user
+ * @param {string} reviewId - ID of the review
+ * @returns {Promise<Object|null>} - The review row with its `program`, or null if not found
+ */
+const fetchReview = async (userSupabase, reviewId) => {
+    const { data: review, error } = await userSupabase
+        .from('program_reviews')
+        .select('id, user_id, program:program_id (id, creator_id)')
+        .eq('id', reviewId)
+        .maybeSingle();
+
+    if (error) {
+        console.error('Error fetching review:', error);
+        return null;
+    }
+
+    return review;
+};
+
+// Replies are embedded as a list, though a review has at most one
+const formatReview = (review) => ({
+    ...review,
+    reply: Array.isArray(review.reply) ? review.reply[0] || null : review.reply
+});
+
+/* READ */
+/* Get a page of the reviews of a program, newest first */
+export const getProgramReviews = async (req, res) => {
+    try {
+        const { programId } = req.params;
+        const userId = req.user.id;
+        const { limit, cursor, error: cursorError } = getPageParams(req.query);
+
+        if (cursorError) {
+            return res.status(400).json(formatErrorResponse(cursorError));
+        }
+
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+
+        const program = await fetchVisibleProgram(userSupabase, programId, userId);
+        if (!program) {
+            return res.status(404).json(formatErrorResponse('Program not found'));
+        }
+
+        const query = userSupabase
+            .from('program_reviews')
+            .select(REVIEW_COLUMNS)
+            .eq('program_id', programId)
+            .eq('is_hidden', false)
+            .order('created_at', { ascending: false });
+
+        const { data: rows, error } = await applyCursor(query, { column: 'created_at', cursor, limit });
+
+        if (error) {
+            console.error('Error fetching reviews:', error);
+            return res.status(500).json(formatErrorResponse('Error fetching reviews'));
+        }
+
+        const { items: reviews, nextCursor } = getPage(rows, limit, 'created_at');
+
+        return res.status(200).json(formatPageResponse('Reviews retrieved successfully', reviews.map(formatReview), { limit, cursor: req.query.cursor, nextCursor }));
+    } catch (error) {
+        console.error('Error getting program reviews:', error);
+        return res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
+/* UPDATE */
+/* Rate and review a program, or change the user's existing review */
+export const saveReview = async (req, res) => {
+    try {
+        const { programId } = req.params;
+        const { rating, body } = req.body;
+        const userId = req.user.id;
+
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+
+        const program = await fetchVisibleProgram(userSupabase, programId, userId);
+        if (!program) {
+            return res.status(404).json(formatErrorResponse('Program not found'));
+        }
+
+        if (program.creator_id === userId) {
+            return res.status(403).json(formatErrorResponse('You cannot review your own program'));
+        }
+
+        const { data: subscription } = await userSupabase
+            .from('subscriptions')
+            .select('id, created_at')
+            .eq('program_id', programId)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (!canReviewProgram(program, subscription, userId)) {
+            return res.status(403).json(formatErrorResponse(
+                `You can review this program once you have followed it for ${MIN_REVIEW_SUBSCRIPTION_DAYS} days`
+            ));
+        }
+
+        const { data: existingReview, error: existingError } = await userSupabase
+            .from('program_reviews')
+            .select('id')
+            .eq('program_id', programId)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (existingError) {
+            console.error('Error fetching review:', existingError);
+            return res.status(500).json(formatErrorResponse('Error saving review'));
+        }
+
+        const changes = { rating, body: body || null };
+        const { data: review, error } = existingReview
+            ? await userSupabase
+                .from('program_reviews')
+                .update({ ...changes, updated_at: new Date().toISOString() })
+                .eq('id', existingReview.id)
+                .select(REVIEW_COLUMNS)
+                .single()
+            : await userSupabase
+                .from('program_reviews')
+                .insert({ ...changes, program_id: programId, user_id: userId })
+                .select(REVIEW_COLUMNS)
+                .single();
+
+        if (error) {
+            console.error('Error saving review:', error);
+            return res.status(500).json(formatErrorResponse('Error saving review'));
+        }
+
+        return res.status(existingReview ? 200 : 201).json(formatSuccessResponse(
+            existingReview ? 'Review updated successfully' : 'Review added successfully',
+            formatReview(review)
+        ));
+    } catch (error) {
+        console.error('Error saving review:', error);
+        return res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
+/* Reply to a review of one of the user's programs, or change the reply */
+export const replyToReview = async (req, res) => {
+    try {
+        const { reviewId } = req.params;
+        const { body } = req.body;
+        const userId = req.user.id;
+
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+
+        const review = await fetchReview(userSupabase, reviewId);
+        if (!review) {
+            return res.status(404).json(formatErrorResponse('Review not found'));
+        }
+
+        if (!review.program || review.program.creator_id !== userId) {
+            return res.status(403).json(formatErrorResponse('Only the program creator can reply to reviews'));
+        }
+
+        const { data: reply, error } = await userSupabase
+            .from('program_review_replies')
+            .upsert({
+                review_id: reviewId,
+                creator_id: userId,
+                body,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'review_id' })
+            .select('id, review_id, body, created_at, updated_at')
+            .single();
+
+        if (error) {
+            console.error('Error saving reply:', error);
+            return res.status(500).json(formatErrorResponse('Error saving reply'));
+        }
+
+        return res.status(200).json(formatSuccessResponse('Reply saved successfully', reply));
+    } catch (error) {
+        console.error('Error replying to review:', error);
+        return res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
+/* Report a review by another user as abusive */
+export const reportReview = async (req, res) => {
+    try {
+        const { reviewId } = req.params;
+        const { reason, details } = req.body;
+        const userId = req.user.id;
+
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+
+        const review = await fetchReview(userSupabase, reviewId);
+        if (!review) {
+            return res.status(404).json(formatErrorResponse('Review not found'));
+        }
+
+        if (review.user_id === userId) {
+            return res.status(400).json(formatErrorResponse('You cannot report your own review'));
+        }
+
+        const { error } = await userSupabase
+            .from('review_reports')
+            .insert({
+                review_id: reviewId,
+                reporter_id: userId,
+                reason,
+                details: details || null
+            });
+
+        // Each user can report a review once
+        if (error && error.code === '23505') {
+            return res.status(409).json(formatErrorResponse('You have already reported this review'));
+        }
+
+        if (error) {
+            console.error('Error reporting review:', error);
+            return res.status(500).json(formatErrorResponse('Error reporting review'));
+        }
+
+        return res.status(201).json(formatSuccessResponse('Review reported successfully'));
+    } catch (error) {
+        console.error('Error reporting review:', error);
+        return res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
+/* DELETE */
+/* Delete the user's review of a program, unless it was hidden after being reported */
+export const deleteReview = async (req, res) => {
+    try {
+        const { programId } = req.params;
+        const userId = req.user.id;
+
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+
+        const { data: review, error: fetchError } = await userSupabase
+            .from('program_reviews')
+            .select('id, is_hidden')
+            .eq('program_id', programId)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (fetchError) {
+            console.error('Error fetching review:', fetchError);
+            return res.status(500).json(formatErrorResponse('Error deleting review'));
+        }
+
+        if (!review) {
+            return res.status(404).json(formatErrorResponse('Review not found'));
+        }
+
+        // Deleting a hidden review would drop its reports and let it be posted again
+        if (review.is_hidden) {
+            return res.status(403).json(formatErrorResponse('Reviews hidden after being reported cannot be deleted'));
+        }
+
+        const { error } = await userSupabase
+            .from('program_reviews')
+            .delete()
+            .eq('id', review.id)
+            .eq('is_hidden', false);
+
+        if (error) {
+            console.error('Error deleting review:', error);
+            return res.status(500).json(formatErrorResponse('Error deleting review'));
+        }
+
+        return res.status(200).json(formatSuccessResponse('Review deleted successfully'));
+    } catch (error) {
+        console.error('Error deleting review:', error);
+        return res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
+/* Delete the creator's reply to a review */
+export const deleteReply = async (req, res) => {
+    try {
+        const { reviewId } = req.params;
+        const userId = req.user.id;
+
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+
+        const { data: deleted, error } = await userSupabase
+            .from('program_review_replies')
+            .delete()
+            .eq('review_id', reviewId)
+            .eq('creator_id', userId)
+            .select('id');
+
+        if (error) {
+            console.error('Error deleting reply:', error);
+            return res.status(500).json(formatErrorResponse('Error deleting reply'));
+        }
+
+        if (deleted.length === 0) {
+            return res.status(404).json(formatErrorResponse('Reply not found'));
+        }
+
+        return res.status(200).json(formatSuccessResponse('Reply deleted successfully'));
+    } catch (error) {
+        console.error('Error deleting reply:', error);
+        return res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
+export default {
+    getProgramReviews,
+    saveReview,
+    replyToReview,
+    reportReview,
+    deleteReview,
+    deleteReply
+};
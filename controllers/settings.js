@@ -1,5 +1,7 @@
 import { supabase, createAuthenticatedClient } from '../utils/db.js';
 import { formatErrorResponse } from '../utils/formatResponse.js';
+import { getCalendarFeedUrl } from '../utils/calendar.js';
+import { randomUUID } from 'crypto';
 
 /**
  * Get user settings
@@ -68,7 +70,189 @@ export const updateUserSettings = async (req, res) => {
     }
 };
 
+/**
+ * Update user reminder preferences
+ */
+export const updateReminderSettings = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { remindersEnabled, reminderOffsetMinutes, quietHoursStart, quietHoursEnd, reminderChannels } = req.body;
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        // Only update the preferences that were provided
+        const updateData = { updated_at: new Date().toISOString() };
+        if (remindersEnabled !== undefined) updateData.reminders_enabled = remindersEnabled;
+        if (reminderOffsetMinutes !== undefined) updateData.reminder_offset_minutes = reminderOffsetMinutes;
+        if (quietHoursStart !== undefined) updateData.quiet_hours_start = quietHoursStart;
+        if (quietHoursEnd !== undefined) updateData.quiet_hours_end = quietHoursEnd;
+        if (reminderChannels !== undefined) updateData.reminder_channels = reminderChannels;
+        
+        // Update reminder preferences in Supabase
+        const { data: settings, error } = await userSupabase
+            .from('settings')
+            .update(updateData)
+            .eq('user_id', userId)
+            .select()
+            .single();
+            
+        if (error) {
+            console.error('Error updating reminder settings:', error);
+            return res.status(400).json(formatErrorResponse('Error updating reminder settings'));
+        }
+        
+        res.status(200).json(settings);
+    } catch (error) {
+        console.error('Error in updateReminderSettings:', error);
+        res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
+/**
+ * Update user digest email preferences
+ */
+export const updateDigestSettings = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { dailyDigestEnabled, weeklyDigestEnabled, digestTime } = req.body;
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        // Only update the preferences that were provided
+        const updateData = { updated_at: new Date().toISOString() };
+        if (dailyDigestEnabled !== undefined) updateData.daily_digest_enabled = dailyDigestEnabled;
+        if (weeklyDigestEnabled !== undefined) updateData.weekly_digest_enabled = weeklyDigestEnabled;
+        if (digestTime !== undefined) updateData.digest_time = digestTime;
+        
+        // Update digest preferences in Supabase
+        const { data: settings, error } = await userSupabase
+            .from('settings')
+            .update(updateData)
+            .eq('user_id', userId)
+            .select()
+            .single();
+            
+        if (error) {
+            console.error('Error updating digest settings:', error);
+            return res.status(400).json(formatErrorResponse('Error updating digest settings'));
+        }
+        
+        res.status(200).json(settings);
+    } catch (error) {
+        console.error('Error in updateDigestSettings:', error);
+        res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
+/**
+ * Update user streak preferences
+ */
+export const updateStreakSettings = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { streakRule, streakRestDays } = req.body;
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        // Only update the preferences that were provided
+        const updateData = { updated_at: new Date().toISOString() };
+        if (streakRule !== undefined) updateData.streak_rule = streakRule;
+        if (streakRestDays !== undefined) updateData.streak_rest_days = [...new Set(streakRestDays)];
+        
+        // Update streak preferences in Supabase
+        const { data: settings, error } = await userSupabase
+            .from('settings')
+            .update(updateData)
+            .eq('user_id', userId)
+            .select()
+            .single();
+            
+        if (error) {
+            console.error('Error updating streak settings:', error);
+            return res.status(400).json(formatErrorResponse('Error updating streak settings'));
+        }
+        
+        res.status(200).json(settings);
+    } catch (error) {
+        console.error('Error in updateStreakSettings:', error);
+        res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
+/**
+ * Get the link for subscribing to the user's calendar feed
+ */
+export const getCalendarSettings = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        const { data: settings, error } = await userSupabase
+            .from('settings')
+            .select('calendar_token')
+            .eq('user_id', userId)
+            .single();
+            
+        if (error) {
+            console.error('Error fetching calendar settings:', error);
+            return res.status(404).json(formatErrorResponse('Settings not found'));
+        }
+        
+        res.status(200).json({ feedUrl: getCalendarFeedUrl(settings.calendar_token) });
+    } catch (error) {
+        console.error('Error in getCalendarSettings:', error);
+        res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
+/**
+ * Replace the user's calendar token so previously shared feed links stop working
+ */
+export const resetCalendarToken = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        const { data: settings, error } = await userSupabase
+            .from('settings')
+            .update({
+                calendar_token: randomUUID(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('user_id', userId)
+            .select('calendar_token')
+            .single();
+            
+        if (error) {
+            console.error('Error resetting calendar token:', error);
+            return res.status(400).json(formatErrorResponse('Error resetting calendar link'));
+        }
+        
+        res.status(200).json({ feedUrl: getCalendarFeedUrl(settings.calendar_token) });
+    } catch (error) {
+        console.error('Error in resetCalendarToken:', error);
+        res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
 export default {
     getUserSettings,
-    updateUserSettings
+    updateUserSettings,
+    updateReminderSettings,
+    updateDigestSettings,
+    updateStreakSettings,
+    getCalendarSettings,
+    resetCalendarToken
 }; 
\ No newline at end of file
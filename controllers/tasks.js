@@ -1,9 +1,45 @@
-import { supabase, createAuthenticatedClient } from '../utils/db.js';
+import { supabase, supabaseAdmin, createAuthenticatedClient, fetchAllRows } from '../utils/db.js';
 import { formatErrorResponse } from '../utils/formatResponse.js';
-import { createClient } from '@supabase/supabase-js';
-import config from '../config/config.js';
+import { isValidCron, cronMatchesDay, getCronTimeOfDay, activityMatchesDay } from '../utils/schedule.js';
+import { isValidDay, addDays, getDaysBetween, getDaysInRange, getUserToday, getUserTimezone } from '../utils/dates.js';
+import { calculateStreaks, calculateCompletionRate } from '../utils/streaks.js';
+import { CURRENT_SUBSCRIPTION_STATUSES, SUBSCRIPTION_STATUS, isPausedOn, resumeSubscription, getSubscriptionEndDate } from '../utils/subscriptions.js';
+import { isActivityInVersion } from '../utils/versions.js';
+import { MAX_IMPORT_ROWS, getTaskFileFormat, parseTaskFile } from '../utils/taskImport.js';
+import { createTaskSchema } from '../middleware/validation.js';
+import { getPageParams, applyCursor, getPage, formatPageResponse } from '../utils/pagination.js';
+
+// Largest number of days that can be populated in a single request
+const MAX_POPULATE_RANGE_DAYS = 62;
+
+// Default number of days used for completion rates in streak results
+const DEFAULT_STREAK_WINDOW_DAYS = 30;
 
 /* CREATE */
+/**
+ * Insert a one-off task for a user
+ * @param {Object} userSupabase - Supabase client allowed to write the user's tasks
+ * @param {string} userId - ID of the user
+ * @param {Object} task - Task fields as accepted by createTask
+ * @returns {Promise<Object>} - Supabase insert result
+ */
+const insertTask = (userSupabase, userId, { title, description, dueDate, dueTime, priority = 'medium', isSticky }) => {
+    return userSupabase
+        .from('tasks')
+        .insert({
+            title,
+            description: description || '',
+            user_id: userId,
+            due_date: dueDate,
+            due_time: dueTime,
+            is_completed: false,
+            is_sticky: isSticky || false,
+            priority: priority,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        });
+};
+
 export const createTask = async (req, res) => {
     try {
         const { title, description, dueDate, dueTime, priority = 'medium', isRecurring, recurringDays, isSticky } = req.body;
@@ -62,20 +98,7 @@ export const createTask = async (req, res) => {
             res.status(201).json({ message: "Recurring task created successfully" });
         } else {
             // Handle regular non-recurring task
-            const { error } = await userSupabase
-                .from('tasks')
-                .insert({
-                    title,
-                    description: description || '',
-                    user_id: req.user.id,
-                    due_date: dueDate,
-                    due_time: dueTime,
-                    is_completed: false,
-                    is_sticky: isSticky || false,
-                    priority: priority,
-                    created_at: new Date().toISOString(),
-                    updated_at: new Date().toISOString()
-                });
+            const { error } = await insertTask(userSupabase, req.user.id, { title, description, dueDate, dueTime, priority, isSticky });
             
             if (error) {
                 console.error("Error inserting task:", error);
@@ -91,7 +114,132 @@ export const createTask = async (req, res) => {
     }
 };
 
+/**
+ * Import one-off tasks from an uploaded .csv or .ics file
+ * Every row is checked as if it had been sent to createTask. With `dryRun`
+ * nothing is saved and the tasks that would be imported are returned, so the
+ * user can fix the reported rows first.
+ */
+export const importTasks = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const dryRun = req.query.dryRun === 'true';
+        
+        if (!req.file) {
+            return res.status(400).json(formatErrorResponse("A .csv or .ics file is required"));
+        }
+        
+        const format = getTaskFileFormat(req.file);
+        if (!format) {
+            return res.status(400).json(formatErrorResponse("Only .csv and .ics files can be imported"));
+        }
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        const timezone = await getUserTimezone(userSupabase, userId);
+        const rows = parseTaskFile(req.file.buffer.toString('utf8'), format, timezone);
+        
+        if (rows.length === 0) {
+            return res.status(400).json(formatErrorResponse("The file has no tasks to import"));
+        }
+        
+        if (rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json(formatErrorResponse(`Files can have at most ${MAX_IMPORT_ROWS} tasks`));
+        }
+        
+        // Check each row against the rules for creating a task
+        const errors = [];
+        const tasks = [];
+        for (const { row, task, error } of rows) {
+            if (error) {
+                errors.push({ row, message: error });
+                continue;
+            }
+            
+            const { error: validationError } = createTaskSchema.body.validate(task, { abortEarly: false });
+            if (validationError) {
+                errors.push({ row, message: validationError.details.map(detail => detail.message).join(', ') });
+                continue;
+            }
+            
+            if (task.dueDate && !isValidDay(task.dueDate)) {
+                errors.push({ row, message: `Due date "${task.dueDate}" must be in YYYY-MM-DD format` });
+                continue;
+            }
+            
+            tasks.push({ row, ...task });
+        }
+        
+        if (dryRun) {
+            return res.status(200).json({
+                message: `${tasks.length} of ${rows.length} tasks can be imported`,
+                dryRun,
+                total: rows.length,
+                imported: 0,
+                tasks,
+                errors
+            });
+        }
+        
+        const imported = [];
+        for (const { row, ...task } of tasks) {
+            const { error } = await insertTask(userSupabase, userId, task);
+            
+            if (error) {
+                console.error("Error importing task:", error);
+                errors.push({ row, message: error.message });
+                continue;
+            }
+            
+            imported.push({ row, ...task });
+        }
+        
+        errors.sort((a, b) => a.row - b.row);
+        
+        console.log(`Imported ${imported.length} of ${rows.length} tasks for user ${userId}`);
+        res.status(imported.length > 0 ? 201 : 400).json({
+            message: `Imported ${imported.length} of ${rows.length} tasks`,
+            dryRun,
+            total: rows.length,
+            imported: imported.length,
+            tasks: imported,
+            errors
+        });
+    } catch (error) {
+        console.error("Error importing tasks:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
 /* READ */
+/**
+ * Fetch a user's tasks for a day, with their activity and program
+ * @param {Object} userSupabase - Supabase client allowed to read the user's tasks
+ * @param {string} userId - ID of the user
+ * @param {string} day - Day in YYYY-MM-DD format
+ * @returns {Promise<Object>} - Supabase result with the tasks in creation order
+ */
+export const fetchTasksForDay = (userSupabase, userId, day) => {
+    return userSupabase
+        .from('tasks')
+        .select(`
+            *,
+            activity:activity_id(*),
+            program:program_id(
+                id,
+                title,
+                creator_id,
+                is_personal
+            )
+        `)
+        .eq('user_id', userId)
+        .eq('due_date', day)
+        .is('is_deleted', false) // Exclude deleted tasks
+        .order('created_at', { ascending: true });
+};
+
 export const getFeedTasks = async (req, res) => {
     try {
         const userId = req.user.id;
@@ -101,38 +249,35 @@ export const getFeedTasks = async (req, res) => {
             return res.status(400).json({ message: "Day parameter is required" });
         }
         
+        const { limit, cursor, error: cursorError } = getPageParams(req.query);
+        if (cursorError) {
+            return res.status(400).json({ message: cursorError });
+        }
+        
         console.log(`Fetching tasks for user ${userId} on day ${day}`);
         
         // Get the user's JWT token from the Authorization header
         const token = req.header("Authorization").replace("Bearer ", "");
         const userSupabase = createAuthenticatedClient(token);
         
-        // Find tasks for this user on this day from Supabase
-        const { data: tasks, error } = await userSupabase
-            .from('tasks')
-            .select(`
-                *,
-                activity:activity_id(*),
-                program:program_id(
-                    id,
-                    title,
-                    creator_id,
-                    is_personal
-                )
-            `)
-            .eq('user_id', userId)
-            .eq('due_date', day)
-            .is('is_deleted', false) // Exclude deleted tasks
-            .order('created_at', { ascending: true });
+        // Find a page of tasks for this user on this day from Supabase
+        const { data: rows, error } = await applyCursor(fetchTasksForDay(userSupabase, userId, day), {
+            column: 'created_at',
+            ascending: true,
+            cursor,
+            limit
+        });
         
         if (error) {
             console.error("Error fetching tasks:", error);
             return res.status(400).json({ message: error.message });
         }
+
+        const { items: tasks, nextCursor } = getPage(rows, limit, 'created_at');
         
-        console.log(`Found ${tasks?.length || 0} tasks for day ${day}`);
+        console.log(`Found ${tasks.length} tasks for day ${day}`);
         
-        res.status(200).json(tasks || []);
+        res.status(200).json(formatPageResponse('Tasks retrieved successfully', tasks, { limit, cursor: req.query.cursor, nextCursor }));
     } catch (error) {
         console.error("Error fetching tasks:", error);
         res.status(500).json({ message: error.message });
@@ -174,6 +319,139 @@ export const getUserTasks = async (req, res) => {
     }
 };
 
+export const getTaskHistory = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        // Get the completion events for this task, oldest first
+        const { data: events, error } = await userSupabase
+            .from('task_completion_events')
+            .select('id, event_type, due_date, created_at')
+            .eq('task_id', id)
+            .eq('user_id', userId)
+            .order('created_at', { ascending: true });
+            
+        if (error) {
+            console.error("Error fetching task history:", error);
+            return res.status(400).json({ message: error.message });
+        }
+        
+        res.status(200).json(events);
+    } catch (error) {
+        console.error("Error fetching task history:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+export const getActivityStreaks = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const windowDays = parseInt(req.query.days) || DEFAULT_STREAK_WINDOW_DAYS;
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        const today = await getUserToday(userSupabase, userId);
+        const windowStart = addDays(today, -(windowDays - 1));
+        
+        // Get the activities of every program the user is subscribed to
+        const { data: subscriptions, error: subError } = await userSupabase
+            .from('subscriptions')
+            .select(`
+                id,
+                program_version,
+                program:program_id (
+                    id,
+                    title,
+                    activities:activities (
+                        id,
+                        title,
+                        version_added,
+                        version_removed,
+                        is_deleted
+                    )
+                )
+            `)
+            .eq('user_id', userId)
+            .in('status', CURRENT_SUBSCRIPTION_STATUSES);
+            
+        if (subError) {
+            console.error("Error fetching subscriptions:", subError);
+            return res.status(400).json({ message: subError.message });
+        }
+        
+        const activities = [];
+        for (const subscription of subscriptions) {
+            if (subscription.program && subscription.program.activities) {
+                const version = subscription.program_version;
+                for (const activity of subscription.program.activities) {
+                    if (isActivityInVersion(activity, version)) {
+                        activities.push({ ...activity, program: subscription.program });
+                    }
+                }
+            }
+        }
+        
+        if (activities.length === 0) {
+            return res.status(200).json([]);
+        }
+        
+        // Get every past task of these activities
+        const { data: tasks, error: tasksError } = await fetchAllRows(() => userSupabase
+            .from('tasks')
+            .select('activity_id, due_date, is_completed')
+            .eq('user_id', userId)
+            .in('activity_id', activities.map(activity => activity.id))
+            .lte('due_date', today)
+            .is('is_deleted', false)
+            .order('due_date', { ascending: true })
+            .order('id', { ascending: true }));
+            
+        if (tasksError) {
+            console.error("Error fetching activity tasks:", tasksError);
+            return res.status(400).json({ message: tasksError.message });
+        }
+        
+        // Group occurrences by activity
+        const occurrencesByActivity = {};
+        for (const task of tasks) {
+            if (!occurrencesByActivity[task.activity_id]) {
+                occurrencesByActivity[task.activity_id] = [];
+            }
+            occurrencesByActivity[task.activity_id].push({ day: task.due_date, completed: task.is_completed });
+        }
+        
+        const streaks = activities.map(activity => {
+            const occurrences = occurrencesByActivity[activity.id] || [];
+            const windowOccurrences = occurrences.filter(occurrence => occurrence.day >= windowStart);
+            const { current, longest } = calculateStreaks(occurrences, today);
+            
+            return {
+                activityId: activity.id,
+                activityTitle: activity.title,
+                programId: activity.program.id,
+                programTitle: activity.program.title,
+                currentStreak: current,
+                longestStreak: longest,
+                completionRate: calculateCompletionRate(windowOccurrences),
+                completed: windowOccurrences.filter(occurrence => occurrence.completed).length,
+                total: windowOccurrences.length
+            };
+        });
+        
+        res.status(200).json(streaks);
+    } catch (error) {
+        console.error("Error fetching activity streaks:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
 /* UPDATE */
 export const completeTask = async (req, res) => {
     try {
@@ -224,6 +502,23 @@ export const completeTask = async (req, res) => {
             return res.status(400).json({ message: updateError.message });
         }
         
+        // Record the change in the completion history
+        const { error: eventError } = await userSupabase
+            .from('task_completion_events')
+            .insert({
+                task_id: id,
+                user_id: userId,
+                activity_id: task.activity_id,
+                event_type: isComplete ? 'uncomplete' : 'complete',
+                due_date: task.due_date,
+                created_at: new Date().toISOString()
+            });
+            
+        if (eventError) {
+            console.error("Error recording completion event:", eventError);
+            // Don't fail the request, just log the error
+        }
+        
         res.status(200).json(updatedTask);
     } catch (error) {
         console.error("Error completing task:", error);
@@ -293,6 +588,250 @@ export const deleteTask = async (req, res) => {
     }
 };
 
+/**
+ * Materialise program activity tasks for a user on each of the given days.
+ * Incomplete sticky tasks are first rolled over to the latest day that is not
+ * in the future, then a task is created for every scheduled activity that does
+ * not already have one on that day, so repeated calls are idempotent. No tasks
+ * are created before a subscription's start date, on days it is or was paused,
+ * or after the last day of a fixed-length program, whose subscriptions are
+ * marked completed once that day has passed.
+ * @param {Object} userSupabase - Supabase client acting as the user
+ * @param {string} userId - ID of the user
+ * @param {string[]} days - Days in YYYY-MM-DD format, in ascending order
+ * @param {string} today - The user's current day in YYYY-MM-DD format
+ * @returns {Promise<Object>} - Number of tasks created per day, or an error
+ */
+export const populateTasksForDays = async (userSupabase, userId, days, today) => {
+    // Check which of the target days are in the future
+    const pastDays = days.filter(day => day <= today);
+
+    // Only move incomplete sticky tasks to days that are not in the future
+    if (pastDays.length > 0) {
+        const stickyDay = pastDays[pastDays.length - 1];
+
+        // First, move incomplete sticky tasks from previous days to the latest day
+        const { data: incompleteStickyTasks, error: stickyError } = await userSupabase
+            .from('tasks')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('is_sticky', true)
+            .eq('is_completed', false)
+            .lt('due_date', stickyDay); // Only get tasks from previous days
+
+        if (stickyError) {
+            console.error("Error fetching sticky tasks:", stickyError);
+            return { error: stickyError };
+        }
+
+        // Update due dates for incomplete sticky tasks
+        for (const task of incompleteStickyTasks) {
+            const { error: updateError } = await userSupabase
+                .from('tasks')
+                .update({ 
+                    due_date: stickyDay,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', task.id);
+
+            if (updateError) {
+                console.error("Error updating sticky task:", updateError);
+                continue;
+            }
+        }
+    }
+
+    // Get the user's current subscriptions and related programs
+    const { data: subscriptions, error: subError } = await userSupabase
+        .from('subscriptions')
+        .select(`
+            id,
+            status,
+            resume_on,
+            start_date,
+            program_version,
+            pauses:subscription_pauses (
+                paused_from,
+                resume_on
+            ),
+            program:program_id (
+                id,
+                title,
+                creator_id,
+                duration,
+                duration_unit,
+                activities:activities (
+                    id,
+                    program_id,
+                    title,
+                    description,
+                    cron,
+                    relative_day,
+                    relative_week,
+                    relative_weekday,
+                    version_added,
+                    version_removed,
+                    is_deleted
+                )
+            )
+        `)
+        .eq('user_id', userId)
+        .in('status', CURRENT_SUBSCRIPTION_STATUSES);
+    
+    if (subError) {
+        console.error("Error fetching subscriptions:", subError);
+        return { error: subError };
+    }
+    
+    // Resume paused subscriptions whose resume day has arrived
+    for (const subscription of subscriptions) {
+        if (subscription.status === SUBSCRIPTION_STATUS.PAUSED && subscription.resume_on && subscription.resume_on <= today) {
+            const { error: resumeError } = await resumeSubscription(supabaseAdmin, subscription.id, subscription.resume_on);
+            
+            if (resumeError) {
+                console.error("Error resuming subscription:", resumeError);
+                continue;
+            }
+            
+            subscription.status = SUBSCRIPTION_STATUS.ACTIVE;
+        }
+    }
+    
+    // Complete active subscriptions to fixed-length programs that have run their course
+    for (const subscription of subscriptions) {
+        subscription.endDate = getSubscriptionEndDate(subscription.start_date, subscription.program);
+        
+        if (subscription.status === SUBSCRIPTION_STATUS.ACTIVE && subscription.endDate && subscription.endDate < today) {
+            const { error: completeError } = await supabaseAdmin
+                .from('subscriptions')
+                .update({
+                    status: SUBSCRIPTION_STATUS.COMPLETED,
+                    completed_at: new Date().toISOString(),
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', subscription.id);
+                
+            if (completeError) {
+                console.error("Error completing subscription:", completeError);
+                continue;
+            }
+            
+            subscription.status = SUBSCRIPTION_STATUS.COMPLETED;
+        }
+    }
+    
+    // Collect all activities from subscribed programs, with the days each one
+    // may be scheduled between, the days the subscription was paused and the
+    // subscriber's start date for relative activities
+    const allActivities = [];
+    for (const subscription of subscriptions) {
+        if (subscription.status === SUBSCRIPTION_STATUS.COMPLETED) {
+            continue;
+        }
+        
+        if (subscription.program && subscription.program.activities) {
+            // Only use the activities of the program version the subscriber follows
+            const version = subscription.program_version;
+            const versionActivities = subscription.program.activities.filter(activity => isActivityInVersion(activity, version));
+            allActivities.push(...versionActivities.map(activity => ({
+                ...activity,
+                activeFrom: subscription.start_date,
+                activeUntil: subscription.endDate,
+                pauses: subscription.pauses,
+                startDate: subscription.start_date
+            })));
+        }
+    }
+    
+    // Skip activities whose schedule can't be evaluated
+    const validActivities = allActivities.filter(activity => {
+        if (!activity.cron) return false;
+        
+        if (!isValidCron(activity.cron)) {
+            console.error(`Invalid cron expression for activity ${activity.id}: ${activity.cron}`);
+            return false;
+        }
+        
+        return true;
+    });
+    
+    console.log(`Found ${validActivities.length} activities across all subscribed programs`);
+    
+    const counts = Object.fromEntries(days.map(day => [day, 0]));
+    if (validActivities.length === 0 || days.length === 0) {
+        return { counts };
+    }
+    
+    // Find the activity tasks that already exist in the range, including deleted
+    // ones; long ranges can hold more rows than a single page
+    const { data: existingTasks, error: checkError } = await fetchAllRows(() => userSupabase
+        .from('tasks')
+        .select('activity_id, due_date')
+        .eq('user_id', userId)
+        .in('activity_id', validActivities.map(activity => activity.id))
+        .gte('due_date', days[0])
+        .lte('due_date', days[days.length - 1])
+        .order('id', { ascending: true }));
+        
+    if (checkError) {
+        console.error("Error checking existing tasks:", checkError);
+        return { error: checkError };
+    }
+    
+    const existingKeys = new Set(existingTasks.map(task => `${task.activity_id}:${task.due_date}`));
+    
+    // Build a task for each scheduled activity that doesn't have one yet
+    const newTasks = [];
+    for (const day of days) {
+        for (const activity of validActivities) {
+            if ((activity.activeFrom && day < activity.activeFrom) || (activity.activeUntil && day > activity.activeUntil)) {
+                continue;
+            }
+            
+            if (isPausedOn(activity.pauses, day)) {
+                continue;
+            }
+            
+            if (existingKeys.has(`${activity.id}:${day}`) || !activityMatchesDay(activity, day, activity.startDate)) {
+                continue;
+            }
+            
+            newTasks.push({
+                user_id: userId,
+                activity_id: activity.id,
+                program_id: activity.program_id,
+                title: activity.title,
+                description: activity.description || '',
+                due_date: day,
+                due_time: getCronTimeOfDay(activity.cron),
+                is_completed: false,
+                is_deleted: false,
+                updated_at: new Date().toISOString()
+            });
+        }
+    }
+    
+    if (newTasks.length === 0) {
+        return { counts };
+    }
+    
+    const { data: createdTasks, error: insertError } = await userSupabase
+        .from('tasks')
+        .insert(newTasks)
+        .select('id, due_date');
+    
+    if (insertError) {
+        console.error("Error inserting tasks:", insertError);
+        return { error: insertError };
+    }
+    
+    for (const task of createdTasks) {
+        counts[task.due_date] = (counts[task.due_date] || 0) + 1;
+    }
+    
+    return { counts };
+};
+
 export const populateUserTasks = async (req, res) => {
     try {
         const { day } = req.body;
@@ -306,183 +845,70 @@ export const populateUserTasks = async (req, res) => {
         
         // Get the user's JWT token from the Authorization header
         const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
         
-        // Create a new Supabase client with the user's token
-        const userSupabase = createClient(
-            config.supabase.url,
-            config.supabase.anonKey,
-            {
-                auth: {
-                    autoRefreshToken: false,
-                    persistSession: false,
-                    detectSessionInUrl: false
-                },
-                global: {
-                    headers: {
-                        Authorization: `Bearer ${token}`
-                    }
-                }
-            }
-        );
-
-        // Check if the target day is in the future
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const targetDate = new Date(day);
-        targetDate.setHours(0, 0, 0, 0);
-        const isFutureDay = targetDate > today;
-
-        // Only move incomplete sticky tasks if the target day is not in the future
-        if (!isFutureDay) {
-            // First, move incomplete sticky tasks from previous days to the current day
-            const { data: incompleteStickyTasks, error: stickyError } = await userSupabase
-                .from('tasks')
-                .select('*')
-                .eq('user_id', userId)
-                .eq('is_sticky', true)
-                .eq('is_completed', false)
-                .lt('due_date', day); // Only get tasks from previous days
-
-            if (stickyError) {
-                console.error("Error fetching sticky tasks:", stickyError);
-                return res.status(400).json({ message: stickyError.message });
-            }
-
-            // Update due dates for incomplete sticky tasks
-            for (const task of incompleteStickyTasks) {
-                const { error: updateError } = await userSupabase
-                    .from('tasks')
-                    .update({ 
-                        due_date: day,
-                        updated_at: new Date().toISOString()
-                    })
-                    .eq('id', task.id);
-
-                if (updateError) {
-                    console.error("Error updating sticky task:", updateError);
-                    continue;
-                }
-            }
+        const today = await getUserToday(userSupabase, userId);
+        const { counts, error } = await populateTasksForDays(userSupabase, userId, [day], today);
+        
+        if (error) {
+            return res.status(400).json({ message: error.message });
         }
+        
+        console.log(`Successfully processed ${counts[day]} tasks for day ${day}`);
+        
+        res.status(200).json({ 
+            message: "Tasks populated for day",
+            count: counts[day]
+        });
+    } catch (error) {
+        console.error("Error populating tasks:", error);
+        res.status(500).json({ message: error.message });
+    }
+};
 
-        // Get all user subscriptions and related programs
-        const { data: subscriptions, error: subError } = await userSupabase
-            .from('subscriptions')
-            .select(`
-                id,
-                program:program_id (
-                    id,
-                    title,
-                    creator_id,
-                    activities:activities (
-                        id,
-                        program_id,
-                        title,
-                        description,
-                        cron,
-                        is_deleted
-                    )
-                )
-            `)
-            .eq('user_id', userId);
+export const populateUserTasksRange = async (req, res) => {
+    try {
+        const { startDate, endDate } = req.body;
+        const userId = req.user.id;
         
-        if (subError) {
-            console.error("Error fetching subscriptions:", subError);
-            return res.status(400).json({ message: subError.message });
+        if (!isValidDay(startDate) || !isValidDay(endDate)) {
+            return res.status(400).json({ message: "Start and end dates must be valid days" });
         }
         
-        // Collect all activities from subscribed programs
-        const allActivities = [];
-        for (const subscription of subscriptions) {
-            if (subscription.program && subscription.program.activities) {
-                // Filter out deleted activities
-                const nonDeletedActivities = subscription.program.activities.filter(activity => !activity.is_deleted);
-                allActivities.push(...nonDeletedActivities);
-            }
+        if (endDate < startDate) {
+            return res.status(400).json({ message: "End date must not be before start date" });
         }
         
-        console.log(`Found ${allActivities.length} activities across all subscribed programs`);
+        // Check the length before listing the days so huge ranges are cheap to reject
+        if (getDaysBetween(startDate, endDate) + 1 > MAX_POPULATE_RANGE_DAYS) {
+            return res.status(400).json({ 
+                message: `Date range cannot exceed ${MAX_POPULATE_RANGE_DAYS} days` 
+            });
+        }
         
-        // Filter activities scheduled for the target date
-        const scheduledActivities = allActivities.filter(activity => {
-            if (!activity.cron) return false;
-            
-            try {
-                // Parse the cron expression
-                const cronParts = activity.cron.split(' ');
-                if (cronParts.length !== 5) return false;
-                
-                // Get the day of week (0-6, Sunday is 0)
-                const dayOfWeek = targetDate.getDay();
-                
-                // Check if the day matches the cron expression
-                const dayPart = cronParts[4];
-                if (dayPart === '*') return true;
-                
-                const days = dayPart.split(',').map(d => parseInt(d));
-                return days.includes(dayOfWeek);
-            } catch (error) {
-                console.error(`Error parsing cron expression for activity ${activity.id}:`, error);
-                return false;
-            }
-        });
+        const days = getDaysInRange(startDate, endDate);
         
-        console.log(`Found ${scheduledActivities.length} activities scheduled for ${day}`);
+        console.log(`Populating tasks for user ${userId} from ${startDate} to ${endDate}`);
         
-        // Process each scheduled activity
-        const createdTasks = [];
-        for (const activity of scheduledActivities) {
-            // Check if this activity's task already exists
-            const { data: existingTasks, error: checkError } = await userSupabase
-                .from('tasks')
-                .select('*')
-                .eq('user_id', userId)
-                .eq('activity_id', activity.id)
-                .eq('due_date', day)
-                .limit(1);
-                
-            if (checkError) {
-                console.error("Error checking existing task:", checkError);
-                continue; // Skip to next activity
-            }
-            
-            // Only create task if it doesn't exist or isn't deleted
-            if (existingTasks.length === 0) {
-                // Upsert task for this activity
-                const cronSplit = activity.cron.split(' ');
-                const time = cronSplit[0] === '*' ? null : cronSplit[1] + ':' + cronSplit[0] + ':00';
-                const { data: newTask, error: upsertError } = await userSupabase
-                    .from('tasks')
-                    .upsert({
-                        id: existingTasks.length > 0 ? existingTasks[0].id : undefined,
-                        user_id: userId,
-                        activity_id: activity.id,
-                        program_id: activity.program_id,
-                        title: activity.title,
-                        description: activity.description || '',
-                        due_date: day,
-                        due_time: time,
-                        is_completed: existingTasks.length > 0 ? existingTasks[0].is_completed : false,
-                        is_deleted: false,
-                        updated_at: new Date().toISOString()
-                    })
-                    .select()
-                    .single();
-                
-                if (upsertError) {
-                    console.error("Error upserting task:", upsertError);
-                    continue;
-                }
-                
-                createdTasks.push(newTask);
-            }
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        const today = await getUserToday(userSupabase, userId);
+        const { counts, error } = await populateTasksForDays(userSupabase, userId, days, today);
+        
+        if (error) {
+            return res.status(400).json({ message: error.message });
         }
         
-        console.log(`Successfully processed ${createdTasks.length} tasks for day ${day}`);
+        const count = Object.values(counts).reduce((total, dayCount) => total + dayCount, 0);
+        
+        console.log(`Successfully processed ${count} tasks from ${startDate} to ${endDate}`);
         
         res.status(200).json({ 
-            message: "Tasks populated for day",
-            count: createdTasks.length
+            message: "Tasks populated for range",
+            count,
+            days: counts
         });
     } catch (error) {
         console.error("Error populating tasks:", error);
@@ -559,11 +985,12 @@ export const updateTask = async (req, res) => {
             }
 
             // Get all future tasks for this activity
+            const today = await getUserToday(userSupabase, userId);
             const { data: futureTasks, error: fetchTasksError } = await userSupabase
                 .from('tasks')
                 .select('*')
                 .eq('activity_id', task.activity_id)
-                .gt('due_date', new Date().toISOString().split('T')[0]);
+                .gt('due_date', today);
 
             if (fetchTasksError) {
                 console.error("Error fetching future tasks:", fetchTasksError);
@@ -575,11 +1002,7 @@ export const updateTask = async (req, res) => {
             const tasksToDelete = [];
 
             for (const futureTask of futureTasks) {
-                const taskDate = new Date(futureTask.due_date);
-                const dayOfWeek = taskDate.getDay();
-                const dayMatches = days.split(',').includes(dayOfWeek.toString());
-
-                if (dayMatches) {
+                if (cronMatchesDay(cronExpression, futureTask.due_date)) {
                     tasksToUpdate.push(futureTask.id);
                 } else {
                     tasksToDelete.push(futureTask.id);
@@ -654,10 +1077,15 @@ export const updateTask = async (req, res) => {
 
 export default {
     createTask,
+    importTasks,
+    fetchTasksForDay,
     getFeedTasks,
     getUserTasks,
+    getTaskHistory,
+    getActivityStreaks,
     completeTask,
     deleteTask,
     populateUserTasks,
+    populateUserTasksRange,
     updateTask
 }; 
\ No newline at end of file
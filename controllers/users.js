@@ -1,7 +1,19 @@
-import { supabase, createAuthenticatedClient } from '../utils/db.js';
+import { supabase, createAuthenticatedClient, fetchAllRows } from '../utils/db.js';
 import { formatErrorResponse } from '../utils/formatResponse.js';
+import { addDays, getDaysBetween, getStartOfWeek, getBucketsInRange, isValidDay, getUserToday } from '../utils/dates.js';
+import { calculateStreaks, groupTasksByDay } from '../utils/streaks.js';
+import { CURRENT_SUBSCRIPTION_STATUSES } from '../utils/subscriptions.js';
+import { MAX_INSTANT_EXPORT_ROWS, EXPORT_BUCKET, DATA_EXPORT_STATUS, countExportRows, collectUserData, buildExportArchive, getExportFilename } from '../utils/dataExport.js';
+import { getSignedFileUrl } from '../utils/storage.js';
+import { verifyPassword } from './auth.js';
 import { v4 as uuidv4 } from 'uuid';
 
+// Largest date range the analytics endpoint will aggregate
+const MAX_ANALYTICS_RANGE_DAYS = 732;
+
+// Days a deleted account can be restored for before it is purged
+export const ACCOUNT_DELETION_GRACE_DAYS = 30;
+
 /* GET PROFILE */
 export const getProfile = async (req, res) => {
     try {
@@ -27,7 +39,8 @@ export const getProfile = async (req, res) => {
         const { count: subscriberCount, error: subError } = await userSupabase
             .from('subscriptions')
             .select('*', { count: 'exact', head: true })
-            .eq('user_id', userId);
+            .eq('user_id', userId)
+            .in('status', CURRENT_SUBSCRIPTION_STATUSES);
             
         if (subError) {
             console.error('Error counting subscriptions:', subError);
@@ -136,6 +149,50 @@ export const updateProfile = async (req, res) => {
 };
 
 /* GET USER STATS */
+/**
+ * Count a user's completed and total tasks between two days
+ * @param {Object} userSupabase - Supabase client allowed to read the user's tasks
+ * @param {string} userId - ID of the user
+ * @param {string} firstDay - First day in YYYY-MM-DD format
+ * @param {string} lastDay - Last day in YYYY-MM-DD format
+ * @returns {Promise<Object>} - Completed count, total count and completion rate, with the `error` if a count failed
+ */
+export const getCompletionStats = async (userSupabase, userId, firstDay, lastDay) => {
+    // Get completed tasks in the period
+    const { count: completed, error: completedError } = await userSupabase
+        .from('tasks')
+        .select('*', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .eq('is_completed', true)
+        .gte('due_date', firstDay)
+        .lte('due_date', lastDay)
+        .is('is_deleted', false);
+        
+    if (completedError) {
+        console.error('Error counting completed tasks:', completedError);
+    }
+        
+    // Get total tasks in the period
+    const { count: total, error: totalError } = await userSupabase
+        .from('tasks')
+        .select('*', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .gte('due_date', firstDay)
+        .lte('due_date', lastDay)
+        .is('is_deleted', false);
+        
+    if (totalError) {
+        console.error('Error counting tasks:', totalError);
+    }
+    
+    return {
+        completed: completed || 0,
+        total: total || 0,
+        completionRate: Math.round((completed / total) * 100) || 0,
+        error: completedError || totalError || null
+    };
+};
+
 export const getUserStats = async (req, res) => {
     try {
         const userId = req.user.id;
@@ -146,29 +203,14 @@ export const getUserStats = async (req, res) => {
         // Create a new Supabase client with the user's token
         const userSupabase = createAuthenticatedClient(token);
         
-        // Get today's date and first/last day of week
-        const today = new Date();
-        const firstDayOfWeek = new Date(today.setDate(today.getDate() - today.getDay())).toISOString().split('T')[0];
-        const lastDayOfWeek = new Date(today.setDate(today.getDate() - today.getDay() + 6)).toISOString().split('T')[0];
+        // Get today's date and first/last day of week in the user's timezone
+        const today = await getUserToday(userSupabase, userId);
+        const firstDayOfWeek = getStartOfWeek(today);
+        const lastDayOfWeek = addDays(firstDayOfWeek, 6);
+        
+        // Get completed and total tasks this week
+        const weekly = await getCompletionStats(userSupabase, userId, firstDayOfWeek, lastDayOfWeek);
         
-        // Get completed tasks this week
-        const { count: weeklyCompleted, error: weeklyError } = await userSupabase
-            .from('tasks')
-            .select('*', { count: 'exact', head: true })
-            .eq('user_id', userId)
-            .eq('is_completed', true)
-            .gte('due_date', firstDayOfWeek)
-            .lte('due_date', lastDayOfWeek)
-            .is('is_deleted', false);
-            
-        // Get total tasks this week
-        const { count: weeklyTotal, error: weeklyTotalError } = await userSupabase
-            .from('tasks')
-            .select('*', { count: 'exact', head: true })
-            .eq('user_id', userId)
-            .gte('due_date', firstDayOfWeek)
-            .lte('due_date', lastDayOfWeek)
-            .is('is_deleted', false);
         // Get program count
         const { count: programCount, error: programError } = await userSupabase
             .from('programs')
@@ -177,52 +219,52 @@ export const getUserStats = async (req, res) => {
             .eq('is_personal', false)
             .eq('is_deleted', false);
             
-        // Calculate streak by finding the last day where no tasks were completed
-        const { data: lastIncompleteDay, error: streakError } = await userSupabase
+        if (programError) {
+            console.error('Error counting programs:', programError);
+        }
+        
+        // Get the user's streak preferences
+        const { data: settings, error: settingsError } = await userSupabase
+            .from('settings')
+            .select('streak_rule, streak_rest_days')
+            .eq('user_id', userId)
+            .maybeSingle();
+            
+        if (settingsError) {
+            console.error('Error fetching streak settings:', settingsError);
+        }
+        
+        const streakRule = settings?.streak_rule || 'any';
+        const restDays = settings?.streak_rest_days || [];
+        
+        // Get every past task to calculate streaks by day
+        const { data: tasks, error: streakError } = await fetchAllRows(() => userSupabase
             .from('tasks')
-            .select('due_date, is_completed')
+            .select('id, due_date, is_completed')
             .eq('user_id', userId)
-            .lte('due_date', req.query.today)
+            .lte('due_date', today)
             .is('is_deleted', false)
-            .order('due_date', { ascending: false });
-            
-        console.log(`Last incomplete day: ${lastIncompleteDay?.[0]?.due_date}`);
-        
-        let streak = 0;
-        if (lastIncompleteDay && lastIncompleteDay.length > 0) {
-            // Group tasks by date
-            const tasksByDate = lastIncompleteDay.reduce((acc, task) => {
-                const date = task.due_date.split('T')[0];
-                if (!acc[date]) {
-                    acc[date] = [];
-                }
-                acc[date].push(task);
-                return acc;
-            }, {});
-            
-            // Find the last date where no tasks were completed
-            const dates = Object.keys(tasksByDate).sort().reverse();
-            let lastIncompleteDate = null;
-            
-            for (const date of dates) {
-                const tasks = tasksByDate[date];
-                const hasCompletedTask = tasks.some(task => task.is_completed);
-                if (!hasCompletedTask) {
-                    lastIncompleteDate = new Date(date);
-                    break;
-                }
-            }
+            .order('due_date', { ascending: true })
+            .order('id', { ascending: true }));
             
-            if (lastIncompleteDate) {
-                streak = Math.floor((today - lastIncompleteDate) / (1000 * 60 * 60 * 24));
-            }
+        if (streakError) {
+            console.error('Error fetching tasks for streak:', streakError);
+            return res.status(500).json(formatErrorResponse('Error calculating streak'));
         }
         
+        const occurrences = groupTasksByDay(tasks, { rule: streakRule, restDays });
+        const { current, longest } = calculateStreaks(occurrences, today);
+        
         return res.status(200).json({
-            weeklyCompleted: weeklyCompleted || 0,
-            completionRate: Math.round((weeklyCompleted / weeklyTotal) * 100) || 0,
+            weeklyCompleted: weekly.completed,
+            weeklyTotal: weekly.total,
+            completionRate: weekly.completionRate,
             programCount: programCount || 0,
-            streak: streak
+            streak: current,
+            longestStreak: longest,
+            streakRule,
+            restDays,
+            today
         });
     } catch (error) {
         console.error('Error in getUserStats:', error);
@@ -230,8 +272,412 @@ export const getUserStats = async (req, res) => {
     }
 };
 
+/**
+ * Build a completion series with an entry for every bucket, including empty ones
+ * @param {Object[]} rows - Aggregated rows with a bucket, total and completed count
+ * @param {string[]} buckets - Start day of every bucket in the range
+ * @returns {Object[]} - Completed, total and completion rate per bucket
+ */
+const buildSeries = (rows, buckets) => {
+    const countsByBucket = {};
+    for (const row of rows) {
+        const counts = countsByBucket[row.bucket] || { completed: 0, total: 0 };
+        counts.completed += Number(row.completed);
+        counts.total += Number(row.total);
+        countsByBucket[row.bucket] = counts;
+    }
+    
+    return buckets.map(bucket => {
+        const { completed, total } = countsByBucket[bucket] || { completed: 0, total: 0 };
+        return {
+            bucket,
+            completed,
+            total,
+            completionRate: Math.round((completed / total) * 100) || 0
+        };
+    });
+};
+
+/**
+ * Summarise a completion series into overall totals
+ * @param {Object[]} series - Series built by buildSeries
+ * @returns {Object} - Completed, total and completion rate
+ */
+const summariseSeries = (series) => {
+    const completed = series.reduce((sum, point) => sum + point.completed, 0);
+    const total = series.reduce((sum, point) => sum + point.total, 0);
+    return {
+        completed,
+        total,
+        completionRate: Math.round((completed / total) * 100) || 0
+    };
+};
+
+/**
+ * Build one series per group (program or priority)
+ * @param {Object[]} rows - Aggregated rows with a group key and label
+ * @param {string[]} buckets - Start day of every bucket in the range
+ * @param {string} defaultLabel - Label for rows without a group
+ * @returns {Object[]} - Group key, label, totals and series
+ */
+const buildGroupedSeries = (rows, buckets, defaultLabel) => {
+    const rowsByGroup = new Map();
+    for (const row of rows) {
+        if (!rowsByGroup.has(row.group_key)) {
+            rowsByGroup.set(row.group_key, { label: row.group_label || defaultLabel, rows: [] });
+        }
+        rowsByGroup.get(row.group_key).rows.push(row);
+    }
+    
+    return [...rowsByGroup.entries()].map(([key, group]) => {
+        const series = buildSeries(group.rows, buckets);
+        return {
+            key,
+            label: group.label,
+            totals: summariseSeries(series),
+            series
+        };
+    });
+};
+
+/* GET USER ANALYTICS */
+export const getUserAnalytics = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { bucket = 'day' } = req.query;
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        // Default to the last 30 days in the user's timezone
+        const today = await getUserToday(userSupabase, userId);
+        const endDate = req.query.endDate || today;
+        const startDate = req.query.startDate || addDays(endDate, -29);
+        
+        if (!isValidDay(startDate) || !isValidDay(endDate) || endDate < startDate) {
+            return res.status(400).json(formatErrorResponse('Start and end dates must be valid days in order'));
+        }
+        
+        if (getDaysBetween(startDate, endDate) >= MAX_ANALYTICS_RANGE_DAYS) {
+            return res.status(400).json(formatErrorResponse(`Date range cannot exceed ${MAX_ANALYTICS_RANGE_DAYS} days`));
+        }
+        
+        // Aggregate completion counts in the database, once per breakdown
+        const fetchSeries = (groupBy) => fetchAllRows(() => userSupabase.rpc('task_completion_series', {
+            p_start: startDate,
+            p_end: endDate,
+            p_bucket: bucket,
+            p_group_by: groupBy
+        }));
+        const [byProgramResult, byPriorityResult] = await Promise.all([
+            fetchSeries('program'),
+            fetchSeries('priority')
+        ]);
+        
+        const error = byProgramResult.error || byPriorityResult.error;
+        if (error) {
+            console.error('Error fetching analytics:', error);
+            return res.status(500).json(formatErrorResponse('Error fetching analytics'));
+        }
+        
+        const buckets = getBucketsInRange(startDate, endDate, bucket);
+        const series = buildSeries(byProgramResult.data, buckets);
+        
+        return res.status(200).json({
+            startDate,
+            endDate,
+            bucket,
+            totals: summariseSeries(series),
+            series,
+            byProgram: buildGroupedSeries(byProgramResult.data, buckets, 'Personal tasks')
+                .map(({ key, label, ...group }) => ({ programId: key, programTitle: label, ...group })),
+            byPriority: buildGroupedSeries(byPriorityResult.data, buckets, 'none')
+                .map(({ key, label, ...group }) => ({ priority: key, ...group }))
+        });
+    } catch (error) {
+        console.error('Error in getUserAnalytics:', error);
+        return res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
+// Format a data_exports row for API responses
+const formatDataExport = (dataExport, downloadUrl = null) => ({
+    id: dataExport.id,
+    status: dataExport.status,
+    requestedAt: dataExport.requested_at,
+    completedAt: dataExport.completed_at,
+    expiresAt: dataExport.expires_at,
+    error: dataExport.error,
+    downloadUrl
+});
+
+/* EXPORT USER DATA */
+/**
+ * Export everything the user has stored as a ZIP archive
+ * Small accounts get the archive straight away. Larger ones get 202 with an
+ * export to poll at GET /users/export/:exportId until it can be downloaded.
+ */
+export const exportUserData = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        const { count, error: countError } = await countExportRows(userSupabase, userId);
+        
+        if (countError) {
+            console.error('Error counting export rows:', countError);
+            return res.status(400).json(formatErrorResponse('Error exporting data'));
+        }
+        
+        if (count <= MAX_INSTANT_EXPORT_ROWS) {
+            const exportedAt = new Date();
+            const { data, error } = await collectUserData(userSupabase, userId);
+            
+            if (error) {
+                console.error('Error collecting export data:', error);
+                return res.status(400).json(formatErrorResponse('Error exporting data'));
+            }
+            
+            res.set('Content-Type', 'application/zip');
+            res.set('Content-Disposition', `attachment; filename="${getExportFilename(exportedAt)}"`);
+            return res.status(200).send(buildExportArchive(data, exportedAt));
+        }
+        
+        // Reuse an export that is already on its way
+        const { data: existingExport, error: existingError } = await userSupabase
+            .from('data_exports')
+            .select('*')
+            .eq('user_id', userId)
+            .in('status', [DATA_EXPORT_STATUS.PENDING, DATA_EXPORT_STATUS.PROCESSING])
+            .order('requested_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+            
+        if (existingError) {
+            console.error('Error fetching data exports:', existingError);
+            return res.status(400).json(formatErrorResponse('Error exporting data'));
+        }
+        
+        if (existingExport) {
+            return res.status(202).json({
+                message: 'Your export is being prepared',
+                export: formatDataExport(existingExport)
+            });
+        }
+        
+        const { data: dataExport, error: insertError } = await userSupabase
+            .from('data_exports')
+            .insert({
+                user_id: userId,
+                status: DATA_EXPORT_STATUS.PENDING,
+                requested_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+            
+        if (insertError) {
+            console.error('Error requesting data export:', insertError);
+            return res.status(400).json(formatErrorResponse('Error exporting data'));
+        }
+        
+        res.status(202).json({
+            message: 'Your export is being prepared',
+            export: formatDataExport(dataExport)
+        });
+    } catch (error) {
+        console.error('Error in exportUserData:', error);
+        return res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
+/* GET DATA EXPORT */
+/**
+ * Get the status of a background export, with a download link once it is ready
+ */
+export const getDataExport = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { exportId } = req.params;
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        const { data: dataExport, error } = await userSupabase
+            .from('data_exports')
+            .select('*')
+            .eq('id', exportId)
+            .eq('user_id', userId)
+            .maybeSingle();
+            
+        if (error) {
+            console.error('Error fetching data export:', error);
+            return res.status(400).json(formatErrorResponse('Error fetching export'));
+        }
+        
+        if (!dataExport) {
+            return res.status(404).json(formatErrorResponse('Export not found'));
+        }
+        
+        let downloadUrl = null;
+        if (dataExport.status === DATA_EXPORT_STATUS.COMPLETED && dataExport.file_path) {
+            downloadUrl = await getSignedFileUrl(EXPORT_BUCKET, dataExport.file_path, 60 * 60, getExportFilename(new Date(dataExport.completed_at)));
+        }
+        
+        res.status(200).json(formatDataExport(dataExport, downloadUrl));
+    } catch (error) {
+        console.error('Error in getDataExport:', error);
+        return res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
+/* DELETE ACCOUNT */
+/**
+ * Schedule the user's account for deletion after a grace period
+ * The user must confirm their password. Public programs that others still
+ * follow go to the user named in `transferProgramsTo`, or are archived.
+ */
+export const deleteAccount = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { password, transferProgramsTo } = req.body;
+        
+        if (!(await verifyPassword(req.user.email, password))) {
+            return res.status(401).json(formatErrorResponse('Password is incorrect'));
+        }
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        const { data: profile, error: profileError } = await userSupabase
+            .from('profiles')
+            .select('id, deletion_requested_at')
+            .eq('id', userId)
+            .single();
+            
+        if (profileError) {
+            console.error('Error fetching profile:', profileError);
+            return res.status(404).json(formatErrorResponse('Profile not found'));
+        }
+        
+        if (profile.deletion_requested_at) {
+            return res.status(400).json(formatErrorResponse('Account deletion has already been requested'));
+        }
+        
+        let transferUserId = null;
+        if (transferProgramsTo) {
+            const { data: recipient, error: recipientError } = await userSupabase
+                .from('profiles')
+                .select('id, deletion_requested_at')
+                .eq('email', transferProgramsTo)
+                .maybeSingle();
+                
+            if (recipientError) {
+                console.error('Error fetching program recipient:', recipientError);
+                return res.status(400).json(formatErrorResponse('Error deleting account'));
+            }
+            
+            if (!recipient || recipient.id === userId || recipient.deletion_requested_at) {
+                return res.status(400).json(formatErrorResponse('Programs can only be transferred to another active account'));
+            }
+            
+            transferUserId = recipient.id;
+        }
+        
+        const now = new Date();
+        const scheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+        
+        const { error: updateError } = await userSupabase
+            .from('profiles')
+            .update({
+                is_active: false,
+                deletion_requested_at: now.toISOString(),
+                deletion_scheduled_for: scheduledFor.toISOString(),
+                programs_transfer_to: transferUserId,
+                updated_at: now.toISOString()
+            })
+            .eq('id', userId);
+            
+        if (updateError) {
+            console.error('Error scheduling account deletion:', updateError);
+            return res.status(400).json(formatErrorResponse('Error deleting account'));
+        }
+        
+        res.status(200).json({
+            message: `Your account will be deleted on ${scheduledFor.toISOString().split('T')[0]}. Log in and restore it before then to keep it.`,
+            deletionScheduledFor: scheduledFor.toISOString()
+        });
+    } catch (error) {
+        console.error('Error in deleteAccount:', error);
+        return res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
+/* RESTORE ACCOUNT */
+/**
+ * Cancel a pending account deletion during the grace period
+ */
+export const restoreAccount = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        
+        // Get the user's JWT token from the Authorization header
+        const token = req.header("Authorization").replace("Bearer ", "");
+        const userSupabase = createAuthenticatedClient(token);
+        
+        const { data: profile, error: profileError } = await userSupabase
+            .from('profiles')
+            .select('id, deletion_requested_at')
+            .eq('id', userId)
+            .single();
+            
+        if (profileError) {
+            console.error('Error fetching profile:', profileError);
+            return res.status(404).json(formatErrorResponse('Profile not found'));
+        }
+        
+        if (!profile.deletion_requested_at) {
+            return res.status(400).json(formatErrorResponse('Account is not scheduled for deletion'));
+        }
+        
+        const { data: restoredProfile, error: updateError } = await userSupabase
+            .from('profiles')
+            .update({
+                is_active: true,
+                deletion_requested_at: null,
+                deletion_scheduled_for: null,
+                programs_transfer_to: null,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', userId)
+            .select()
+            .single();
+            
+        if (updateError) {
+            console.error('Error restoring account:', updateError);
+            return res.status(400).json(formatErrorResponse('Error restoring account'));
+        }
+        
+        res.status(200).json(restoredProfile);
+    } catch (error) {
+        console.error('Error in restoreAccount:', error);
+        return res.status(500).json(formatErrorResponse('Internal server error'));
+    }
+};
+
 export default {
     getProfile,
     updateProfile,
-    getUserStats
+    getCompletionStats,
+    getUserStats,
+    getUserAnalytics,
+    exportUserData,
+    getDataExport,
+    deleteAccount,
+    restoreAccount
 };
\ No newline at end of file
@@ -13,7 +13,10 @@ import userRoutes from "./routes/users.js";
 import taskRoutes from "./routes/tasks.js";
 import programRoutes from "./routes/programs.js";
 import activityRoutes from "./routes/activities.js";
+import reviewRoutes from "./routes/reviews.js";
 import settingsRoutes from './routes/settings.js';
+import digestRoutes from './routes/digest.js';
+import calendarRoutes from './routes/calendar.js';
 import { register } from "./controllers/auth.js";
 import { verifyToken } from "./middleware/auth.js";
 import { verifyRecaptcha } from "./middleware/recaptcha.js";
@@ -22,6 +25,8 @@ import config from './config/config.js';
 import csrf from 'csurf';
 import cookieParser from 'cookie-parser';
 import { initializeStorageBuckets } from './utils/storage.js';
+import { startScheduler } from './utils/scheduler.js';
+import jobs from './jobs/index.js';
 
 /* CONFIGURATION */
 const __filename = fileURLToPath(import.meta.url);
@@ -117,11 +122,16 @@ app.post("/auth/register", upload.single("picture"), (req, res, next) => {
 /* ROUTES */
 app.use("/auth", authRoutes);
 
+// Public routes authenticated by a token in the link rather than a session
+app.use("/digest", digestRoutes);
+app.use("/calendar", calendarRoutes);
+
 // Apply CSRF protection for authenticated routes
 app.use("/users", csrfProtection, verifyToken, userRoutes);
 app.use("/tasks", csrfProtection, verifyToken, taskRoutes);
 app.use("/programs", csrfProtection, verifyToken, programRoutes);
 app.use("/activities", csrfProtection, verifyToken, activityRoutes);
+app.use("/reviews", csrfProtection, verifyToken, reviewRoutes);
 app.use("/settings", csrfProtection, verifyToken, settingsRoutes);
 
 /* ERROR HANDLING MIDDLEWARE */
@@ -231,6 +241,11 @@ const startServer = async () => {
         console.log(`HTTP Server running in ${config.environment} mode on port: ${PORT}`);
       });
     }
+
+    // Start background jobs
+    if (config.scheduler.enabled) {
+      startScheduler(jobs);
+    }
   } catch (err) {
     console.error('Server startup error:', err);
   }
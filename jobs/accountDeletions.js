@@ -0,0 +1,207 @@
+import { supabaseAdmin } from '../utils/db.js';
+import { claimJobRun, releaseJobRun, pruneJobRuns } from '../utils/scheduler.js';
+import { deleteFile, deletePrivateFiles } from '../utils/storage.js';
+import { EXPORT_BUCKET } from '../utils/dataExport.js';
+import { CURRENT_SUBSCRIPTION_STATUSES } from '../utils/subscriptions.js';
+import config from '../config/config.js';
+
+const JOB_NAME = 'account-deletions';
+const BATCH_SIZE = 10;
+
+/**
+ * Delete a file from public storage, skipping paths that aren't storage URLs
+ * such as images saved to the local file system in development
+ * The job has no user session, so the file is deleted with the service role.
+ * @param {string|null} fileUrl - Public URL of the file
+ */
+const deleteStoredFile = async (fileUrl) => {
+  if (fileUrl && /^https?:\/\//.test(fileUrl)) {
+    await deleteFile(fileUrl, supabaseAdmin);
+  }
+};
+
+/**
+ * Delete the images of deleted programs that no remaining program uses
+ * Forks and imports copy the image URL of the program they were made from,
+ * so the same file can belong to programs of other users.
+ * @param {string[]} imageUrls - Image URLs of the deleted programs
+ */
+const deleteUnusedProgramImages = async (imageUrls) => {
+  const urls = [...new Set(imageUrls.filter(Boolean))];
+
+  if (urls.length === 0) {
+    return;
+  }
+
+  const { data: programs, error } = await supabaseAdmin
+    .from('programs')
+    .select('image_url')
+    .in('image_url', urls);
+
+  if (error) {
+    // The programs are already gone, so retrying wouldn't find these images again
+    console.error('Error checking program images before deleting them:', error);
+    return;
+  }
+
+  const usedUrls = new Set(programs.map(program => program.image_url));
+  for (const url of urls.filter(url => !usedUrls.has(url))) {
+    await deleteStoredFile(url);
+  }
+};
+
+/**
+ * Hand over or archive a public program that other users still follow
+ * @param {Object} program - The program row
+ * @param {string|null} transferTo - ID of the user taking over the program
+ * @returns {Promise<Object>} - Supabase update result
+ */
+const keepProgramForSubscribers = (program, transferTo) => {
+  const changes = transferTo
+    ? { creator_id: transferTo }
+    : { creator_id: null, is_archived: true };
+
+  return supabaseAdmin
+    .from('programs')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', program.id);
+};
+
+/**
+ * Remove the programs a user created, keeping public ones others still follow
+ * @param {Object} profile - The profile being purged
+ * @returns {Promise<Object>} - Counts of programs deleted and kept, or an error
+ */
+const purgePrograms = async (profile) => {
+  const { data: programs, error } = await supabaseAdmin
+    .from('programs')
+    .select('id, image_url, is_public, is_personal')
+    .eq('creator_id', profile.id);
+
+  if (error) {
+    return { error };
+  }
+
+  let kept = 0;
+  const deletedImageUrls = [];
+
+  for (const program of programs) {
+    if (program.is_public && !program.is_personal) {
+      const { count, error: countError } = await supabaseAdmin
+        .from('subscriptions')
+        .select('id', { count: 'exact', head: true })
+        .eq('program_id', program.id)
+        .neq('user_id', profile.id)
+        .in('status', CURRENT_SUBSCRIPTION_STATUSES);
+
+      if (countError) {
+        return { error: countError };
+      }
+
+      if (count > 0) {
+        const { error: keepError } = await keepProgramForSubscribers(program, profile.programs_transfer_to);
+        if (keepError) {
+          return { error: keepError };
+        }
+        kept++;
+        continue;
+      }
+    }
+
+    // Activities, versions and subscriptions are deleted with the program
+    const { error: deleteError } = await supabaseAdmin
+      .from('programs')
+      .delete()
+      .eq('id', program.id);
+
+    if (deleteError) {
+      return { error: deleteError };
+    }
+
+    deletedImageUrls.push(program.image_url);
+  }
+
+  // Images are checked once every program is gone, as they may share one
+  await deleteUnusedProgramImages(deletedImageUrls);
+
+  return { deleted: deletedImageUrls.length, kept };
+};
+
+/**
+ * Delete everything stored for one account whose grace period is over
+ * The auth user is deleted last; its profile, and with it the user's tasks,
+ * subscriptions, settings and logs, are removed by cascade.
+ * @param {Object} profile - The profile row
+ * @returns {Promise<boolean>} - True if the account was purged
+ */
+const purgeAccount = async (profile) => {
+  if (!(await claimJobRun(JOB_NAME, profile.id))) {
+    return false;
+  }
+
+  const fail = async (message, error) => {
+    console.error(`${message} for account ${profile.id}:`, error);
+    // Retry on the next tick
+    await releaseJobRun(JOB_NAME, profile.id);
+    return false;
+  };
+
+  const { deleted, kept, error: programsError } = await purgePrograms(profile);
+  if (programsError) {
+    return fail('Error purging programs', programsError);
+  }
+
+  const { data: exports, error: exportsError } = await supabaseAdmin
+    .from('data_exports')
+    .select('file_path')
+    .eq('user_id', profile.id)
+    .not('file_path', 'is', null);
+
+  if (exportsError) {
+    return fail('Error fetching data exports', exportsError);
+  }
+
+  if (exports.length > 0) {
+    await deletePrivateFiles(EXPORT_BUCKET, exports.map(dataExport => dataExport.file_path));
+  }
+
+  await deleteStoredFile(profile.avatar_url);
+
+  const { error: userError } = await supabaseAdmin.auth.admin.deleteUser(profile.id);
+  if (userError) {
+    return fail('Error deleting auth user', userError);
+  }
+
+  console.log(`Purged account ${profile.id}: deleted ${deleted} programs, kept ${kept} for their subscribers`);
+  return true;
+};
+
+/**
+ * Purge accounts whose deletion grace period has ended
+ */
+export const purgeDeletedAccounts = async () => {
+  const { data: profiles, error } = await supabaseAdmin
+    .from('profiles')
+    .select('id, avatar_url, programs_transfer_to')
+    .not('deletion_requested_at', 'is', null)
+    .lte('deletion_scheduled_for', new Date().toISOString())
+    .order('deletion_scheduled_for', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) {
+    console.error('Error fetching accounts to purge:', error);
+    return;
+  }
+
+  for (const profile of profiles) {
+    await purgeAccount(profile);
+  }
+
+  await pruneJobRuns(JOB_NAME, 30);
+};
+
+export default {
+  name: JOB_NAME,
+  intervalMinutes: config.scheduler.intervalMinutes,
+  run: purgeDeletedAccounts
+};
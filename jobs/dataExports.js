@@ -0,0 +1,155 @@
+import { supabaseAdmin } from '../utils/db.js';
+import { claimJobRun, pruneJobRuns } from '../utils/scheduler.js';
+import { uploadPrivateFile, deletePrivateFiles } from '../utils/storage.js';
+import { DATA_EXPORT_STATUS, EXPORT_BUCKET, collectUserData, buildExportArchive } from '../utils/dataExport.js';
+import config from '../config/config.js';
+
+const JOB_NAME = 'data-exports';
+const BATCH_SIZE = 10;
+
+// Days an archive can be downloaded for before it is deleted
+export const EXPORT_RETENTION_DAYS = 7;
+
+// Exports still processing after this long were interrupted, e.g. by a restart
+const PROCESSING_TIMEOUT_MINUTES = 60;
+
+/**
+ * Record the outcome of an export
+ * @param {string} exportId - ID of the export
+ * @param {Object} changes - Columns to update
+ */
+const updateExport = async (exportId, changes) => {
+  const { error } = await supabaseAdmin
+    .from('data_exports')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', exportId);
+
+  if (error) {
+    console.error(`Error updating data export ${exportId}:`, error);
+  }
+};
+
+/**
+ * Build and store the archive for one export
+ * @param {Object} dataExport - The data_exports row
+ * @returns {Promise<boolean>} - True if the archive was built
+ */
+const buildExport = async (dataExport) => {
+  if (!(await claimJobRun(JOB_NAME, dataExport.id))) {
+    return false;
+  }
+
+  await updateExport(dataExport.id, {
+    status: DATA_EXPORT_STATUS.PROCESSING,
+    started_at: new Date().toISOString()
+  });
+
+  const exportedAt = new Date();
+  const { data, error } = await collectUserData(supabaseAdmin, dataExport.user_id);
+
+  if (error) {
+    console.error(`Error collecting data for export ${dataExport.id}:`, error);
+    await updateExport(dataExport.id, { status: DATA_EXPORT_STATUS.FAILED, error: 'Could not collect account data' });
+    return false;
+  }
+
+  const filePath = `${dataExport.user_id}/${dataExport.id}.zip`;
+  const uploaded = await uploadPrivateFile(buildExportArchive(data, exportedAt), EXPORT_BUCKET, filePath, 'application/zip');
+
+  if (!uploaded) {
+    await updateExport(dataExport.id, { status: DATA_EXPORT_STATUS.FAILED, error: 'Could not store the archive' });
+    return false;
+  }
+
+  const expiresAt = new Date(exportedAt.getTime() + EXPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  await updateExport(dataExport.id, {
+    status: DATA_EXPORT_STATUS.COMPLETED,
+    file_path: filePath,
+    completed_at: new Date().toISOString(),
+    expires_at: expiresAt.toISOString()
+  });
+
+  return true;
+};
+
+/**
+ * Delete archives whose download period is over
+ */
+const expireExports = async () => {
+  const { data: exports, error } = await supabaseAdmin
+    .from('data_exports')
+    .select('id, file_path')
+    .eq('status', DATA_EXPORT_STATUS.COMPLETED)
+    .lt('expires_at', new Date().toISOString())
+    .limit(BATCH_SIZE * 10);
+
+  if (error) {
+    console.error('Error fetching expired data exports:', error);
+    return;
+  }
+
+  for (const dataExport of exports) {
+    if (dataExport.file_path && !(await deletePrivateFiles(EXPORT_BUCKET, [dataExport.file_path]))) {
+      continue;
+    }
+
+    await updateExport(dataExport.id, { status: DATA_EXPORT_STATUS.EXPIRED, file_path: null });
+  }
+};
+
+/**
+ * Fail exports that were interrupted while processing, so they can be requested again
+ */
+const failInterruptedExports = async () => {
+  const cutoff = new Date(Date.now() - PROCESSING_TIMEOUT_MINUTES * 60 * 1000);
+
+  const { error } = await supabaseAdmin
+    .from('data_exports')
+    .update({
+      status: DATA_EXPORT_STATUS.FAILED,
+      error: 'The export was interrupted',
+      updated_at: new Date().toISOString()
+    })
+    .eq('status', DATA_EXPORT_STATUS.PROCESSING)
+    .lt('started_at', cutoff.toISOString());
+
+  if (error) {
+    console.error('Error failing interrupted data exports:', error);
+  }
+};
+
+/**
+ * Build requested data exports and clean up old ones
+ */
+export const processDataExports = async () => {
+  const { data: exports, error } = await supabaseAdmin
+    .from('data_exports')
+    .select('id, user_id')
+    .eq('status', DATA_EXPORT_STATUS.PENDING)
+    .order('requested_at', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) {
+    console.error('Error fetching pending data exports:', error);
+    return;
+  }
+
+  let builtCount = 0;
+  for (const dataExport of exports) {
+    builtCount += (await buildExport(dataExport)) ? 1 : 0;
+  }
+
+  if (builtCount > 0) {
+    console.log(`Built ${builtCount} data exports`);
+  }
+
+  await failInterruptedExports();
+  await expireExports();
+  await pruneJobRuns(JOB_NAME, EXPORT_RETENTION_DAYS * 2);
+};
+
+export default {
+  name: JOB_NAME,
+  intervalMinutes: config.scheduler.exportIntervalMinutes,
+  run: processDataExports
+};
@@ -0,0 +1,174 @@
+import { supabaseAdmin } from '../utils/db.js';
+import { claimJobRun, releaseJobRun, pruneJobRuns, getActiveUserIds } from '../utils/scheduler.js';
+import { addDays, getDayOfWeek, getTodayInTimezone, getTimeInTimezone, getMinutesOfDay } from '../utils/dates.js';
+import { sendNotification } from '../utils/notifications.js';
+import { renderDailyDigest, renderWeeklyDigest } from '../utils/emailTemplates.js';
+import { fetchTasksForDay } from '../controllers/tasks.js';
+import { getCompletionStats } from '../controllers/users.js';
+import { getDigestUnsubscribeUrl } from '../controllers/digest.js';
+import config from '../config/config.js';
+
+const JOB_NAME = 'digests';
+const PAGE_SIZE = 1000;
+
+// Digests are only sent in the few hours after the user's digest time,
+// so enabling them in the evening doesn't send a "morning" email at night
+const SEND_WINDOW_MINUTES = 3 * 60;
+
+/**
+ * Claim, build and send one digest email
+ * A digest with nothing to report stays claimed so it isn't built again that
+ * day; one that couldn't be built is released and retried on the next tick.
+ * @param {string} runKey - Key identifying the digest (user, kind and day)
+ * @param {Object} recipient - User id and email of the recipient
+ * @param {Function} build - Async function returning the `notification`, null when there is nothing to send, or an `error`
+ * @returns {Promise<boolean>} - True if the digest was sent
+ */
+const sendDigest = async (runKey, recipient, build) => {
+  if (!(await claimJobRun(JOB_NAME, runKey))) {
+    return false;
+  }
+
+  const { notification, error } = await build();
+  if (error) {
+    await releaseJobRun(JOB_NAME, runKey);
+    return false;
+  }
+
+  if (!notification) {
+    return false;
+  }
+
+  const delivered = await sendNotification('email', recipient, notification);
+  if (!delivered) {
+    // Retry on the next tick
+    await releaseJobRun(JOB_NAME, runKey);
+  }
+
+  return delivered;
+};
+
+/**
+ * Send the daily and weekly digests that are due for one user
+ * The weekly summary is sent on Sunday and covers the previous Sunday to Saturday.
+ * @param {Object} settings - The user's settings row
+ * @returns {Promise<number>} - Number of digests sent
+ */
+const sendUserDigests = async (settings) => {
+  const { user_id: userId, timezone } = settings;
+  const today = getTodayInTimezone(timezone);
+  const minutesSinceDigestTime = getMinutesOfDay(getTimeInTimezone(timezone)) - getMinutesOfDay(settings.digest_time);
+
+  if (minutesSinceDigestTime < 0 || minutesSinceDigestTime >= SEND_WINDOW_MINUTES) {
+    return 0;
+  }
+
+  const sendWeekly = settings.weekly_digest_enabled && getDayOfWeek(today) === 0;
+  if (!settings.daily_digest_enabled && !sendWeekly) {
+    return 0;
+  }
+
+  const { data: profile, error: profileError } = await supabaseAdmin
+    .from('profiles')
+    .select('email')
+    .eq('id', userId)
+    .single();
+
+  if (profileError) {
+    console.error(`Error fetching profile for digest for user ${userId}:`, profileError);
+    return 0;
+  }
+
+  const recipient = { userId, email: profile.email };
+  const unsubscribeUrl = getDigestUnsubscribeUrl(settings.digest_token);
+  const headers = {
+    'List-Unsubscribe': `<${unsubscribeUrl}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+  let sentCount = 0;
+
+  if (settings.daily_digest_enabled) {
+    const sent = await sendDigest(`${userId}:daily:${today}`, recipient, async () => {
+      const { data: tasks, error } = await fetchTasksForDay(supabaseAdmin, userId, today);
+
+      if (error) {
+        console.error(`Error fetching tasks for digest for user ${userId}:`, error);
+        return { error };
+      }
+
+      return {
+        notification: tasks.length > 0 ? { ...renderDailyDigest({ day: today, tasks, unsubscribeUrl }), headers } : null
+      };
+    });
+    sentCount += sent ? 1 : 0;
+  }
+
+  if (sendWeekly) {
+    const firstDay = addDays(today, -7);
+    const lastDay = addDays(today, -1);
+
+    const sent = await sendDigest(`${userId}:weekly:${today}`, recipient, async () => {
+      const stats = await getCompletionStats(supabaseAdmin, userId, firstDay, lastDay);
+
+      if (stats.error) {
+        return { error: stats.error };
+      }
+
+      return {
+        notification: stats.total > 0 ? { ...renderWeeklyDigest({ firstDay, lastDay, stats, unsubscribeUrl }), headers } : null
+      };
+    });
+    sentCount += sent ? 1 : 0;
+  }
+
+  return sentCount;
+};
+
+/**
+ * Send daily and weekly digest emails to every user who opted in and whose
+ * account is active
+ */
+export const sendDigests = async () => {
+  let sentCount = 0;
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: settings, error } = await supabaseAdmin
+      .from('settings')
+      .select('user_id, timezone, daily_digest_enabled, weekly_digest_enabled, digest_time, digest_token')
+      .or('daily_digest_enabled.eq.true,weekly_digest_enabled.eq.true')
+      .order('user_id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      console.error('Error fetching digest settings:', error);
+      return;
+    }
+
+    const activeUserIds = await getActiveUserIds(settings.map(userSettings => userSettings.user_id));
+    if (!activeUserIds) {
+      return;
+    }
+
+    for (const userSettings of settings) {
+      if (activeUserIds.has(userSettings.user_id)) {
+        sentCount += await sendUserDigests(userSettings);
+      }
+    }
+
+    if (settings.length < PAGE_SIZE) {
+      break;
+    }
+  }
+
+  if (sentCount > 0) {
+    console.log(`Sent ${sentCount} digest emails`);
+  }
+
+  await pruneJobRuns(JOB_NAME, 14);
+};
+
+export default {
+  name: JOB_NAME,
+  intervalMinutes: config.scheduler.intervalMinutes,
+  run: sendDigests
+};
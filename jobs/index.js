@@ -0,0 +1,14 @@
+import populateTasksJob from './populateTasks.js';
+import taskRemindersJob from './taskReminders.js';
+import digestsJob from './digests.js';
+import dataExportsJob from './dataExports.js';
+import accountDeletionsJob from './accountDeletions.js';
+
+// Background jobs run by the in-process scheduler
+export default [
+  populateTasksJob,
+  taskRemindersJob,
+  digestsJob,
+  dataExportsJob,
+  accountDeletionsJob
+];
@@ -0,0 +1,74 @@
+import { supabaseAdmin } from '../utils/db.js';
+import { claimJobRun, releaseJobRun, pruneJobRuns, getActiveUserIds } from '../utils/scheduler.js';
+import { getTodayInTimezone } from '../utils/dates.js';
+import { populateTasksForDays } from '../controllers/tasks.js';
+import config from '../config/config.js';
+
+const JOB_NAME = 'populate-tasks';
+const PAGE_SIZE = 1000;
+
+/**
+ * Populate today's tasks for every user once their local day has started.
+ * Runs every few minutes; each user is populated once per local day, on the
+ * first tick after their local midnight. Accounts pending deletion are skipped.
+ */
+export const populateTasksForAllUsers = async () => {
+  let populatedCount = 0;
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: settings, error } = await supabaseAdmin
+      .from('settings')
+      .select('user_id, timezone')
+      .order('user_id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      console.error('Error fetching user settings:', error);
+      return;
+    }
+
+    const activeUserIds = await getActiveUserIds(settings.map(userSettings => userSettings.user_id));
+    if (!activeUserIds) {
+      return;
+    }
+
+    for (const { user_id: userId, timezone } of settings) {
+      if (!activeUserIds.has(userId)) {
+        continue;
+      }
+
+      const today = getTodayInTimezone(timezone);
+      const runKey = `${userId}:${today}`;
+
+      if (!(await claimJobRun(JOB_NAME, runKey))) {
+        continue;
+      }
+
+      const { error: populateError } = await populateTasksForDays(supabaseAdmin, userId, [today], today);
+
+      if (populateError) {
+        console.error(`Error populating tasks for user ${userId}:`, populateError);
+        await releaseJobRun(JOB_NAME, runKey);
+        continue;
+      }
+
+      populatedCount++;
+    }
+
+    if (settings.length < PAGE_SIZE) {
+      break;
+    }
+  }
+
+  if (populatedCount > 0) {
+    console.log(`Populated tasks for ${populatedCount} users`);
+  }
+
+  await pruneJobRuns(JOB_NAME);
+};
+
+export default {
+  name: JOB_NAME,
+  intervalMinutes: config.scheduler.intervalMinutes,
+  run: populateTasksForAllUsers
+};
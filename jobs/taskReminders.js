@@ -0,0 +1,175 @@
+import { supabaseAdmin } from '../utils/db.js';
+import { claimJobRun, releaseJobRun, pruneJobRuns, getActiveUserIds } from '../utils/scheduler.js';
+import { getTodayInTimezone, getTimeInTimezone, getMinutesOfDay } from '../utils/dates.js';
+import { sendNotification } from '../utils/notifications.js';
+import { renderTaskReminder } from '../utils/emailTemplates.js';
+import config from '../config/config.js';
+
+const JOB_NAME = 'task-reminders';
+const PAGE_SIZE = 1000;
+const INTERVAL_MINUTES = config.scheduler.reminderIntervalMinutes;
+
+/**
+ * Check whether a time falls within a user's quiet hours
+ * Quiet hours may wrap past midnight (e.g. 22:00 to 07:00).
+ * @param {number} minutes - Minutes since midnight
+ * @param {string} start - Start of quiet hours in HH:MM format
+ * @param {string} end - End of quiet hours in HH:MM format
+ * @returns {boolean} - True if notifications should be held back
+ */
+export const isWithinQuietHours = (minutes, start, end) => {
+  if (!start || !end) {
+    return false;
+  }
+
+  const startMinutes = getMinutesOfDay(start);
+  const endMinutes = getMinutesOfDay(end);
+
+  if (startMinutes === endMinutes) {
+    return false;
+  }
+
+  if (startMinutes < endMinutes) {
+    return minutes >= startMinutes && minutes < endMinutes;
+  }
+
+  return minutes >= startMinutes || minutes < endMinutes;
+};
+
+/**
+ * Check whether a task's reminder is due on this tick
+ * Reminders are due from `offset` minutes before the task until one job
+ * interval after it, so every offset is seen by at least one tick, however
+ * short; the job_runs claim keeps a reminder from being sent twice.
+ * @param {number} nowMinutes - Minutes since midnight now
+ * @param {number} dueMinutes - Minutes since midnight the task is due
+ * @param {number} offset - Minutes before the due time to remind the user
+ * @param {number} intervalMinutes - Minutes between runs of the job
+ * @returns {boolean} - True if the reminder should be sent
+ */
+export const isReminderDue = (nowMinutes, dueMinutes, offset, intervalMinutes = INTERVAL_MINUTES) => {
+  return nowMinutes >= dueMinutes - offset && nowMinutes < dueMinutes + intervalMinutes;
+};
+
+/**
+ * Send reminders for one user's tasks that fall inside their reminder window
+ * @param {Object} settings - The user's settings row
+ * @returns {Promise<number>} - Number of reminders sent
+ */
+const sendUserReminders = async (settings) => {
+  const { user_id: userId, timezone } = settings;
+  const today = getTodayInTimezone(timezone);
+  const nowMinutes = getMinutesOfDay(getTimeInTimezone(timezone));
+
+  if (isWithinQuietHours(nowMinutes, settings.quiet_hours_start, settings.quiet_hours_end)) {
+    return 0;
+  }
+
+  const { data: tasks, error } = await supabaseAdmin
+    .from('tasks')
+    .select('id, title, description, due_date, due_time')
+    .eq('user_id', userId)
+    .eq('due_date', today)
+    .eq('is_completed', false)
+    .is('is_deleted', false)
+    .not('due_time', 'is', null);
+
+  if (error) {
+    console.error(`Error fetching tasks for reminders for user ${userId}:`, error);
+    return 0;
+  }
+
+  const offset = settings.reminder_offset_minutes || 0;
+  const dueTasks = tasks.filter(task => isReminderDue(nowMinutes, getMinutesOfDay(task.due_time), offset));
+
+  if (dueTasks.length === 0) {
+    return 0;
+  }
+
+  const { data: profile, error: profileError } = await supabaseAdmin
+    .from('profiles')
+    .select('email')
+    .eq('id', userId)
+    .single();
+
+  if (profileError) {
+    console.error(`Error fetching profile for reminders for user ${userId}:`, profileError);
+    return 0;
+  }
+
+  const recipient = { userId, email: profile.email };
+  const channels = settings.reminder_channels?.length ? settings.reminder_channels : ['email'];
+  let sentCount = 0;
+
+  for (const task of dueTasks) {
+    const runKey = `${task.id}:${task.due_date}:${task.due_time}`;
+
+    if (!(await claimJobRun(JOB_NAME, runKey))) {
+      continue;
+    }
+
+    const notification = renderTaskReminder(task);
+    let delivered = false;
+    for (const channel of channels) {
+      delivered = (await sendNotification(channel, recipient, notification)) || delivered;
+    }
+
+    if (delivered) {
+      sentCount++;
+    } else {
+      // Retry on the next tick if every channel failed
+      await releaseJobRun(JOB_NAME, runKey);
+    }
+  }
+
+  return sentCount;
+};
+
+/**
+ * Send reminders for tasks that are due soon for every user with reminders
+ * enabled whose account is active
+ */
+export const sendTaskReminders = async () => {
+  let sentCount = 0;
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: settings, error } = await supabaseAdmin
+      .from('settings')
+      .select('user_id, timezone, reminder_offset_minutes, quiet_hours_start, quiet_hours_end, reminder_channels')
+      .eq('reminders_enabled', true)
+      .order('user_id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      console.error('Error fetching reminder settings:', error);
+      return;
+    }
+
+    const activeUserIds = await getActiveUserIds(settings.map(userSettings => userSettings.user_id));
+    if (!activeUserIds) {
+      return;
+    }
+
+    for (const userSettings of settings) {
+      if (activeUserIds.has(userSettings.user_id)) {
+        sentCount += await sendUserReminders(userSettings);
+      }
+    }
+
+    if (settings.length < PAGE_SIZE) {
+      break;
+    }
+  }
+
+  if (sentCount > 0) {
+    console.log(`Sent ${sentCount} task reminders`);
+  }
+
+  await pruneJobRuns(JOB_NAME);
+};
+
+export default {
+  name: JOB_NAME,
+  intervalMinutes: INTERVAL_MINUTES,
+  run: sendTaskReminders
+};
@@ -1,4 +1,7 @@
 import Joi from 'joi';
+import { isValidCron } from '../utils/schedule.js';
+import { MAX_PAGE_LIMIT } from '../utils/pagination.js';
+import { REVIEW_REPORT_REASONS } from '../utils/reviews.js';
 
 // Middleware factory that takes a Joi schema and returns a middleware function
 export const validateRequest = (schema) => {
@@ -26,6 +29,17 @@ export const validateRequest = (schema) => {
   };
 };
 
+// Query parameters accepted by every paginated list
+const paginationQuery = {
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_LIMIT),
+  cursor: Joi.string().max(500)
+};
+
+// Cron schedule of an activity, which must parse for tasks to be created from it
+const cronExpression = Joi.string().custom((value, helpers) => (
+  isValidCron(value) ? value : helpers.message('{{#label}} must be a valid five-field cron expression')
+));
+
 // Schema for user registration
 export const registerSchema = {
   body: Joi.object({
@@ -93,6 +107,14 @@ export const passwordResetSchema = {
   })
 };
 
+// Schema for listing a day's tasks
+export const feedTasksSchema = {
+  query: Joi.object({
+    day: Joi.string(),
+    ...paginationQuery
+  })
+};
+
 // Schema for creating tasks
 export const createTaskSchema = {
   body: Joi.object({
@@ -113,6 +135,13 @@ export const createTaskSchema = {
   })
 };
 
+// Schema for importing tasks from a file
+export const importTasksSchema = {
+  query: Joi.object({
+    dryRun: Joi.boolean()
+  })
+};
+
 // Schema for updating tasks
 export const updateTaskSchema = {
   params: Joi.object({
@@ -141,6 +170,187 @@ export const updateTaskSchema = {
   })
 };
 
+// Schema for populating tasks over a date range
+export const populateTasksRangeSchema = {
+  body: Joi.object({
+    startDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required().messages({
+      'string.pattern.base': 'Start date must be in YYYY-MM-DD format',
+      'any.required': 'Start date is required'
+    }),
+    endDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required().messages({
+      'string.pattern.base': 'End date must be in YYYY-MM-DD format',
+      'any.required': 'End date is required'
+    })
+  })
+};
+
+// Schema for per-activity streaks
+export const activityStreaksSchema = {
+  query: Joi.object({
+    days: Joi.number().integer().min(1).max(365).messages({
+      'number.max': 'Completion rate window cannot exceed 365 days'
+    })
+  })
+};
+
+// Schema for task completion analytics
+export const analyticsSchema = {
+  query: Joi.object({
+    startDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({
+      'string.pattern.base': 'Start date must be in YYYY-MM-DD format'
+    }),
+    endDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({
+      'string.pattern.base': 'End date must be in YYYY-MM-DD format'
+    }),
+    bucket: Joi.string().valid('day', 'week', 'month').default('day')
+  })
+};
+
+// Schema for program creator analytics
+export const programAnalyticsSchema = {
+  params: Joi.object({
+    programId: Joi.string().guid().required().messages({
+      'string.guid': 'Program ID must be a valid UUID',
+      'any.required': 'Program ID is required'
+    })
+  }),
+  query: Joi.object({
+    startDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({
+      'string.pattern.base': 'Start date must be in YYYY-MM-DD format'
+    }),
+    endDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({
+      'string.pattern.base': 'End date must be in YYYY-MM-DD format'
+    }),
+    bucket: Joi.string().valid('day', 'week', 'month').default('week')
+  })
+};
+
+// Schema for subscribing to a program
+export const subscribeProgramSchema = {
+  params: Joi.object({
+    programId: Joi.string().guid().required().messages({
+      'string.guid': 'Program ID must be a valid UUID',
+      'any.required': 'Program ID is required'
+    })
+  }),
+  body: Joi.object({
+    startDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({
+      'string.pattern.base': 'Start date must be in YYYY-MM-DD format'
+    })
+  })
+};
+
+// Schema for pausing a program subscription
+export const pauseSubscriptionSchema = {
+  params: Joi.object({
+    programId: Joi.string().guid().required().messages({
+      'string.guid': 'Program ID must be a valid UUID',
+      'any.required': 'Program ID is required'
+    })
+  }),
+  body: Joi.object({
+    resumeOn: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow(null).messages({
+      'string.pattern.base': 'Resume date must be in YYYY-MM-DD format'
+    })
+  })
+};
+
+// Schema for importing a program exported by GET /programs/:programId/export
+export const importProgramSchema = {
+  body: Joi.object({
+    format: Joi.string().valid('regular-program').required().messages({
+      'any.only': 'Document is not a program export',
+      'any.required': 'Document format is required'
+    }),
+    version: Joi.number().integer().valid(1).required().messages({
+      'any.only': 'Unsupported program export version',
+      'any.required': 'Document version is required'
+    }),
+    exportedAt: Joi.string().isoDate(),
+    program: Joi.object({
+      title: Joi.string().max(200).required().messages({
+        'any.required': 'Program title is required'
+      }),
+      description: Joi.string().allow('', null),
+      category: Joi.string().allow('', null),
+      difficulty: Joi.string().valid('beginner', 'intermediate', 'advanced').allow(null),
+      imageUrl: Joi.string().allow('', null),
+      duration: Joi.number().integer().min(1).allow(null),
+      durationUnit: Joi.string().valid('days', 'weeks').allow(null)
+    }).required(),
+    activities: Joi.array().max(500).items(Joi.object({
+      title: Joi.string().required().messages({
+        'any.required': 'Activity title is required'
+      }),
+      description: Joi.string().allow('', null),
+      cron: cronExpression.required(),
+      relativeDay: Joi.number().integer().min(1),
+      relativeWeek: Joi.number().integer().min(1),
+      relativeWeekday: Joi.number().integer().min(0).max(6)
+    }).oxor('relativeDay', 'relativeWeek').and('relativeWeek', 'relativeWeekday')).required()
+  })
+};
+
+// Schema for searching the program discovery feed
+export const feedProgramsSchema = {
+  query: Joi.object({
+    q: Joi.string().trim().max(200).allow(''),
+    category: Joi.string().max(100),
+    difficulty: Joi.string().valid('beginner', 'intermediate', 'advanced'),
+    sort: Joi.string().valid('newest', 'popular', 'trending', 'relevance'),
+    ...paginationQuery
+  })
+};
+
+// Schema for listing the programs a user follows or created
+export const listProgramsSchema = {
+  query: Joi.object(paginationQuery)
+};
+
+// Schema for listing the reviews of a program
+export const programReviewsSchema = {
+  params: Joi.object({
+    programId: Joi.string().guid().required()
+  }),
+  query: Joi.object(paginationQuery)
+};
+
+// Schema for rating and reviewing a program
+export const saveReviewSchema = {
+  params: Joi.object({
+    programId: Joi.string().guid().required()
+  }),
+  body: Joi.object({
+    rating: Joi.number().integer().min(1).max(5).required().messages({
+      'any.required': 'Rating is required'
+    }),
+    body: Joi.string().trim().max(2000).allow('', null)
+  })
+};
+
+// Schema for a program creator's reply to a review
+export const reviewReplySchema = {
+  params: Joi.object({
+    reviewId: Joi.string().guid().required()
+  }),
+  body: Joi.object({
+    body: Joi.string().trim().max(2000).required().messages({
+      'any.required': 'Reply is required'
+    })
+  })
+};
+
+// Schema for reporting a review
+export const reportReviewSchema = {
+  params: Joi.object({
+    reviewId: Joi.string().guid().required()
+  }),
+  body: Joi.object({
+    reason: Joi.string().valid(...REVIEW_REPORT_REASONS).required(),
+    details: Joi.string().trim().max(1000).allow('', null)
+  })
+};
+
 // Schema for creating programs
 export const createProgramSchema = {
   body: Joi.object({
@@ -160,6 +370,8 @@ export const createProgramSchema = {
       distance: Joi.number().min(0),
       calories: Joi.number().min(0)
     })),
+    duration: Joi.number().integer().min(1),
+    durationUnit: Joi.string().valid('days', 'weeks'),
     isPublic: Joi.boolean().default(false)
   })
 };
@@ -186,11 +398,35 @@ export const updateProgramSchema = {
       distance: Joi.number().min(0),
       calories: Joi.number().min(0)
     })),
+    duration: Joi.number().integer().min(1).allow(null),
+    durationUnit: Joi.string().valid('days', 'weeks'),
     isPublic: Joi.boolean(),
     isDeleted: Joi.boolean()
   })
 };
 
+// Schema for fetching a data export
+export const dataExportSchema = {
+  params: Joi.object({
+    exportId: Joi.string().guid().required().messages({
+      'string.guid': 'Export ID must be a valid UUID',
+      'any.required': 'Export ID is required'
+    })
+  })
+};
+
+// Schema for deleting the user's account
+export const deleteAccountSchema = {
+  body: Joi.object({
+    password: Joi.string().required().messages({
+      'any.required': 'Password is required to delete your account'
+    }),
+    transferProgramsTo: Joi.string().email().messages({
+      'string.email': 'Please provide a valid email address to transfer programs to'
+    })
+  })
+};
+
 // Schema for profile update
 export const updateProfileSchema = {
   body: Joi.object({
@@ -219,6 +455,14 @@ export const updatePasswordSchema = {
   })
 };
 
+// Schema for listing a program's activities
+export const programActivitiesSchema = {
+  params: Joi.object({
+    programId: Joi.string().required()
+  }),
+  query: Joi.object(paginationQuery)
+};
+
 // Schema for activities
 export const activitySchema = {
   body: Joi.object({
@@ -231,21 +475,41 @@ export const activitySchema = {
         'any.required': 'Activity title is required'
       }),
       description: Joi.string().allow(''),
-      cron: Joi.string().required().messages({
+      cron: cronExpression.required().messages({
         'any.required': 'Cron expression is required'
       }),
+      // Optional schedule relative to the subscriber's start date
+      relativeDay: Joi.number().integer().min(1),
+      relativeWeek: Joi.number().integer().min(1),
+      relativeWeekday: Joi.number().integer().min(0).max(6),
       dueTime: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).allow(null),
       position: Joi.number().integer().min(0), // Optional for ordering
       recurringDays: Joi.object().pattern(
         Joi.string().pattern(/^[0-6]$/),
         Joi.boolean()
       ).allow(null)
-    })).required().messages({
+    }).oxor('relativeDay', 'relativeWeek').and('relativeWeek', 'relativeWeekday')).required().messages({
       'any.required': 'At least one activity is required'
     })
   })
 };
 
+// Schema for editing an activity; relative fields are set to null to clear them.
+// Other fields are ignored, as the route accepted any body before it was validated.
+export const editActivitySchema = {
+  params: Joi.object({
+    activityId: Joi.string().required()
+  }),
+  body: Joi.object({
+    title: Joi.string(),
+    description: Joi.string().allow(''),
+    cron: cronExpression,
+    relativeDay: Joi.number().integer().min(1).allow(null),
+    relativeWeek: Joi.number().integer().min(1).allow(null),
+    relativeWeekday: Joi.number().integer().min(0).max(6).allow(null)
+  }).unknown(true)
+};
+
 // Schema for reordering activities
 export const reorderActivitiesSchema = {
   body: Joi.object({
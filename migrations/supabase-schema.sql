@@ -9,9 +9,18 @@ CREATE TABLE IF NOT EXISTS profiles (
     role TEXT DEFAULT 'user',
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW(),
-    is_active BOOLEAN DEFAULT TRUE
+    is_active BOOLEAN DEFAULT TRUE,
+    -- Set when the user asks to delete their account; it is purged once the
+    -- grace period ends unless they restore it first
+    deletion_requested_at TIMESTAMPTZ,
+    deletion_scheduled_for TIMESTAMPTZ,
+    -- User who takes over the public programs others still follow
+    programs_transfer_to UUID REFERENCES profiles(id) ON DELETE SET NULL
 );
 
+CREATE INDEX IF NOT EXISTS profiles_deletion_scheduled_for_idx ON profiles(deletion_scheduled_for)
+    WHERE deletion_scheduled_for IS NOT NULL;
+
 -- Enable RLS (Row Level Security) on profiles
 ALTER TABLE profiles ENABLE ROW LEVEL SECURITY;
 
@@ -34,13 +43,32 @@ CREATE TABLE IF NOT EXISTS programs (
     image_url TEXT,
     category TEXT,
     difficulty TEXT DEFAULT 'beginner',
+    -- Length of fixed-length programs; programs without a duration run forever
+    duration INTEGER CHECK (duration >= 1),
+    duration_unit TEXT DEFAULT 'days' CHECK (duration_unit IN ('days', 'weeks')),
+    -- Latest version of the program's activities; see program_versions
+    current_version INTEGER NOT NULL DEFAULT 1,
+    -- Program this one was forked from, kept for attribution
+    forked_from_id UUID REFERENCES programs(id) ON DELETE SET NULL,
     is_public BOOLEAN DEFAULT FALSE,
     is_personal BOOLEAN DEFAULT FALSE,
+    -- Public programs kept for their subscribers after their creator's account
+    -- was deleted; they have no creator and take no new subscribers
+    is_archived BOOLEAN DEFAULT FALSE,
     is_deleted BOOLEAN DEFAULT FALSE,
     created_at TIMESTAMPTZ DEFAULT NOW(),
-    updated_at TIMESTAMPTZ DEFAULT NOW()
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    -- Full-text search over the title and, with less weight, the description
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+    ) STORED
 );
 
+CREATE INDEX IF NOT EXISTS programs_search_vector_idx ON programs USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS programs_public_created_at_idx ON programs(created_at DESC, id DESC)
+    WHERE is_public = TRUE AND is_deleted = FALSE;
+
 -- Enable RLS on programs
 ALTER TABLE programs ENABLE ROW LEVEL SECURITY;
 
@@ -67,9 +95,19 @@ CREATE TABLE IF NOT EXISTS activities (
     title TEXT NOT NULL,
     description TEXT,
     cron TEXT,
+    -- Optional schedule relative to each subscriber's start date: day N, or a weekday of week N
+    relative_day INTEGER CHECK (relative_day >= 1),
+    relative_week INTEGER CHECK (relative_week >= 1),
+    relative_weekday SMALLINT CHECK (relative_weekday BETWEEN 0 AND 6),
+    -- Program versions the activity belongs to: from version_added up to, but
+    -- not including, version_removed
+    version_added INTEGER NOT NULL DEFAULT 1,
+    version_removed INTEGER,
     is_deleted BOOLEAN DEFAULT FALSE,
     created_at TIMESTAMPTZ DEFAULT NOW(),
-    updated_at TIMESTAMPTZ DEFAULT NOW()
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (relative_day IS NULL OR relative_week IS NULL),
+    CHECK ((relative_week IS NULL) = (relative_weekday IS NULL))
 );
 
 -- Enable RLS on activities
@@ -139,15 +177,54 @@ CREATE POLICY "Users can insert their own tasks" ON tasks
 CREATE POLICY "Users can delete their own tasks" ON tasks
     FOR DELETE USING (auth.uid() = user_id);
 
+-- Task completion events table (history of completing and un-completing tasks)
+CREATE TABLE IF NOT EXISTS task_completion_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    activity_id UUID REFERENCES activities(id) ON DELETE SET NULL,
+    event_type TEXT NOT NULL CHECK (event_type IN ('complete', 'uncomplete')),
+    due_date DATE,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS task_completion_events_task_id_idx ON task_completion_events(task_id);
+CREATE INDEX IF NOT EXISTS task_completion_events_user_activity_idx ON task_completion_events(user_id, activity_id);
+
+-- Enable RLS on task_completion_events
+ALTER TABLE task_completion_events ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for task_completion_events
+CREATE POLICY "Users can view their own completion events" ON task_completion_events
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own completion events" ON task_completion_events
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
 -- Subscriptions table (for program subscriptions)
 CREATE TABLE IF NOT EXISTS subscriptions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
     program_id UUID REFERENCES programs(id) ON DELETE CASCADE,
+    -- Subscriptions are kept when users leave so they can come back with their history
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'ended', 'completed')),
+    subscribed_at TIMESTAMPTZ DEFAULT NOW(),
+    -- Day 1 of the subscriber's run, in their timezone, for relative activities
+    start_date DATE DEFAULT CURRENT_DATE,
+    -- Program version the subscriber follows, set from the program when they (re)subscribe
+    program_version INTEGER NOT NULL DEFAULT 1,
+    paused_at TIMESTAMPTZ,
+    -- Day a paused subscription becomes active again, in the subscriber's timezone
+    resume_on DATE,
+    ended_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
     UNIQUE(user_id, program_id)
 );
 
+CREATE INDEX IF NOT EXISTS subscriptions_program_status_idx ON subscriptions(program_id, status);
+
 -- Enable RLS on subscriptions
 ALTER TABLE subscriptions ENABLE ROW LEVEL SECURITY;
 
@@ -155,8 +232,10 @@ ALTER TABLE subscriptions ENABLE ROW LEVEL SECURITY;
 CREATE POLICY "Users can view their own subscriptions" ON subscriptions
     FOR SELECT USING (auth.uid() = user_id);
 
-CREATE POLICY "Users can manage their own subscriptions" ON subscriptions
-    FOR ALL USING (auth.uid() = user_id);
+-- Subscriptions are created and changed by the API once it has checked the
+-- change, so subscribers can't set their own status, start date, program
+-- version or subscription time
+REVOKE INSERT, UPDATE, DELETE ON subscriptions FROM authenticated;
 
 -- Allow users to view programs they are subscribed to
 CREATE POLICY "Users can view programs they are subscribed to" ON programs
@@ -172,6 +251,171 @@ CREATE POLICY "Users can view programs they are subscribed to" ON programs
 CREATE POLICY "Users can view subscription counts for all programs" ON subscriptions
     FOR SELECT USING (true);
 
+-- Subscription pauses table (the days each subscription was paused, so tasks
+-- are never created for them, even after the subscription is resumed)
+CREATE TABLE IF NOT EXISTS subscription_pauses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    subscription_id UUID NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    -- First paused day, in the subscriber's timezone
+    paused_from DATE NOT NULL,
+    -- Day the subscription became or becomes active again; NULL while paused without one
+    resume_on DATE,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS subscription_pauses_subscription_idx ON subscription_pauses(subscription_id, paused_from);
+
+-- Enable RLS on subscription_pauses
+ALTER TABLE subscription_pauses ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for subscription_pauses
+CREATE POLICY "Users can view their own subscription pauses" ON subscription_pauses
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- Pauses are recorded by the API along with the subscription's status
+REVOKE INSERT, UPDATE, DELETE ON subscription_pauses FROM authenticated;
+
+-- Program versions table (one row for each version after the first)
+CREATE TABLE IF NOT EXISTS program_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    program_id UUID REFERENCES programs(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(program_id, version)
+);
+
+-- Enable RLS on program_versions
+ALTER TABLE program_versions ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for program_versions
+CREATE POLICY "Users can view versions of programs they can view" ON program_versions
+    FOR SELECT USING (
+        EXISTS (SELECT 1 FROM programs WHERE programs.id = program_versions.program_id)
+    );
+
+CREATE POLICY "Creators can add versions of their programs" ON program_versions
+    FOR INSERT WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM programs
+            WHERE programs.id = program_versions.program_id
+            AND programs.creator_id = auth.uid()
+        )
+    );
+
+-- Program reviews table (one rating, with optional text, per subscriber)
+CREATE TABLE IF NOT EXISTS program_reviews (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    program_id UUID NOT NULL REFERENCES programs(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    body TEXT,
+    -- Set once enough users report the review; hidden reviews don't count towards ratings
+    is_hidden BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(program_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS program_reviews_program_created_at_idx ON program_reviews(program_id, created_at DESC, id DESC);
+
+-- Enable RLS on program_reviews
+ALTER TABLE program_reviews ENABLE ROW LEVEL SECURITY;
+
+-- Reviewers may only write their rating and text; is_hidden is set by hide_reported_review
+REVOKE INSERT, UPDATE ON program_reviews FROM authenticated;
+GRANT INSERT (program_id, user_id, rating, body) ON program_reviews TO authenticated;
+GRANT UPDATE (rating, body, updated_at) ON program_reviews TO authenticated;
+
+-- RLS Policies for program_reviews
+CREATE POLICY "Users can view reviews that are not hidden" ON program_reviews
+    FOR SELECT USING (is_hidden = FALSE OR auth.uid() = user_id);
+
+-- Subscribers, past or present, can review a program a week after first subscribing
+-- (MIN_REVIEW_SUBSCRIPTION_DAYS in utils/reviews.js); creators can't review their own
+CREATE POLICY "Subscribers can review programs" ON program_reviews
+    FOR INSERT WITH CHECK (
+        auth.uid() = user_id
+        AND EXISTS (
+            SELECT 1 FROM subscriptions
+            WHERE subscriptions.program_id = program_reviews.program_id
+            AND subscriptions.user_id = auth.uid()
+            AND subscriptions.created_at <= NOW() - INTERVAL '7 days'
+        )
+        AND NOT EXISTS (
+            SELECT 1 FROM programs
+            WHERE programs.id = program_reviews.program_id
+            AND programs.creator_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Users can update their own reviews" ON program_reviews
+    FOR UPDATE USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+-- Reviews hidden after reports are kept, so deleting one can't clear its reports
+-- and let the user post the same review again
+CREATE POLICY "Users can delete their own reviews" ON program_reviews
+    FOR DELETE USING (auth.uid() = user_id AND is_hidden = FALSE);
+
+-- Program review replies table (the program creator's public answer to a review)
+CREATE TABLE IF NOT EXISTS program_review_replies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    review_id UUID NOT NULL UNIQUE REFERENCES program_reviews(id) ON DELETE CASCADE,
+    creator_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    body TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable RLS on program_review_replies
+ALTER TABLE program_review_replies ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for program_review_replies
+CREATE POLICY "Users can view replies to reviews they can view" ON program_review_replies
+    FOR SELECT USING (
+        EXISTS (SELECT 1 FROM program_reviews WHERE program_reviews.id = program_review_replies.review_id)
+    );
+
+CREATE POLICY "Creators can reply to reviews of their programs" ON program_review_replies
+    FOR ALL USING (auth.uid() = creator_id)
+    WITH CHECK (
+        auth.uid() = creator_id
+        AND EXISTS (
+            SELECT 1 FROM program_reviews
+            JOIN programs ON programs.id = program_reviews.program_id
+            WHERE program_reviews.id = program_review_replies.review_id
+            AND programs.creator_id = auth.uid()
+        )
+    );
+
+-- Review reports table (users flagging reviews as abusive)
+CREATE TABLE IF NOT EXISTS review_reports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    review_id UUID NOT NULL REFERENCES program_reviews(id) ON DELETE CASCADE,
+    reporter_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    reason TEXT NOT NULL CHECK (reason IN ('spam', 'abuse', 'off_topic', 'other')),
+    details TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(review_id, reporter_id)
+);
+
+-- Enable RLS on review_reports
+ALTER TABLE review_reports ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for review_reports (reports are reviewed with the service role)
+CREATE POLICY "Users can view their own reports" ON review_reports
+    FOR SELECT USING (auth.uid() = reporter_id);
+
+CREATE POLICY "Users can report reviews by other users" ON review_reports
+    FOR INSERT WITH CHECK (
+        auth.uid() = reporter_id
+        AND EXISTS (
+            SELECT 1 FROM program_reviews
+            WHERE program_reviews.id = review_reports.review_id
+            AND program_reviews.user_id <> auth.uid()
+        )
+    );
+
 -- Activity tracking table (for user activity logging)
 CREATE TABLE IF NOT EXISTS activity_logs (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -193,6 +437,19 @@ CREATE TABLE IF NOT EXISTS settings (
     timezone TEXT NOT NULL DEFAULT 'UTC',
     default_page TEXT NOT NULL DEFAULT 'dashboard',
     color_mode TEXT NOT NULL DEFAULT 'light',
+    reminders_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    reminder_offset_minutes INTEGER NOT NULL DEFAULT 15,
+    quiet_hours_start TIME,
+    quiet_hours_end TIME,
+    reminder_channels TEXT[] NOT NULL DEFAULT '{email}',
+    daily_digest_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    weekly_digest_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    digest_time TIME NOT NULL DEFAULT '07:00',
+    digest_token UUID NOT NULL UNIQUE DEFAULT uuid_generate_v4(),
+    -- Secret for the calendar feed link, which calendar apps fetch without logging in
+    calendar_token UUID NOT NULL UNIQUE DEFAULT uuid_generate_v4(),
+    streak_rule TEXT NOT NULL DEFAULT 'any' CHECK (streak_rule IN ('any', 'all')),
+    streak_rest_days INTEGER[] NOT NULL DEFAULT '{}',
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     UNIQUE(user_id)
@@ -215,6 +472,45 @@ CREATE POLICY "Users can update their own settings"
     USING (auth.uid() = user_id)
     WITH CHECK (auth.uid() = user_id);
 
+-- Data exports table (archives of a user's data built in the background)
+CREATE TABLE IF NOT EXISTS data_exports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'expired')),
+    -- Path of the archive in the private exports storage bucket
+    file_path TEXT,
+    error TEXT,
+    requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS data_exports_status_idx ON data_exports(status, requested_at);
+
+-- Enable RLS on data_exports
+ALTER TABLE data_exports ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for data_exports (only the service role builds and updates exports)
+CREATE POLICY "Users can view their own data exports" ON data_exports
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can request their own data exports" ON data_exports
+    FOR INSERT WITH CHECK (auth.uid() = user_id AND status = 'pending');
+
+-- Job runs table (claims that stop multiple server instances running the same scheduled work)
+CREATE TABLE IF NOT EXISTS job_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_name TEXT NOT NULL,
+    run_key TEXT NOT NULL,
+    claimed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE(job_name, run_key)
+);
+
+-- Enable RLS on job_runs (no policies: only the service role may access it)
+ALTER TABLE job_runs ENABLE ROW LEVEL SECURITY;
+
 -- Create function to handle updated_at
 CREATE OR REPLACE FUNCTION handle_updated_at()
 RETURNS TRIGGER AS $$
@@ -263,6 +559,55 @@ CREATE TRIGGER update_activities_modtime
     BEFORE UPDATE ON activities
     FOR EACH ROW EXECUTE FUNCTION update_modified_column();
 
+CREATE TRIGGER update_program_reviews_modtime
+    BEFORE UPDATE ON program_reviews
+    FOR EACH ROW EXECUTE FUNCTION update_modified_column();
+
+CREATE TRIGGER update_program_review_replies_modtime
+    BEFORE UPDATE ON program_review_replies
+    FOR EACH ROW EXECUTE FUNCTION update_modified_column();
+
+-- Hide a review from other users once it has been reported by enough of them.
+-- Runs as the owner because reporters can't update other users' reviews.
+CREATE OR REPLACE FUNCTION hide_reported_review()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF (SELECT COUNT(*) FROM review_reports WHERE review_id = NEW.review_id) >= 3 THEN
+        UPDATE program_reviews SET is_hidden = TRUE WHERE id = NEW.review_id AND is_hidden = FALSE;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER hide_reported_review
+    AFTER INSERT ON review_reports
+    FOR EACH ROW EXECUTE FUNCTION hide_reported_review();
+
+-- Put new and returning subscribers on the latest version of the program.
+-- Runs as the owner because subscribers may not be able to read private programs yet.
+CREATE OR REPLACE FUNCTION set_subscription_program_version()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_OP = 'INSERT'
+        OR (OLD.status IN ('ended', 'completed') AND NEW.status = 'active') THEN
+        NEW.program_version := (SELECT current_version FROM programs WHERE id = NEW.program_id);
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER set_subscription_program_version
+    BEFORE INSERT OR UPDATE OF status ON subscriptions
+    FOR EACH ROW EXECUTE FUNCTION set_subscription_program_version();
+
 -- Storage bucket policies
 CREATE POLICY "Avatar images are publicly accessible."
   ON storage.objects FOR SELECT
@@ -294,4 +639,265 @@ CREATE POLICY "Users can update their own program images."
 
 CREATE POLICY "Users can delete their own program images."
   ON storage.objects FOR DELETE
-  USING ( bucket_id = 'programs' AND auth.uid() = owner ); 
\ No newline at end of file
+  USING ( bucket_id = 'programs' AND auth.uid() = owner );
+
+-- Task completion counts for the current user, bucketed by day, week (starting Sunday)
+-- or month and grouped by program or priority. Runs as the caller so RLS applies.
+CREATE OR REPLACE FUNCTION task_completion_series(
+    p_start DATE,
+    p_end DATE,
+    p_bucket TEXT DEFAULT 'day',
+    p_group_by TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+    bucket DATE,
+    group_key TEXT,
+    group_label TEXT,
+    total BIGINT,
+    completed BIGINT
+)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+    SELECT
+        CASE p_bucket
+            WHEN 'week' THEN t.due_date - EXTRACT(DOW FROM t.due_date)::INTEGER
+            WHEN 'month' THEN date_trunc('month', t.due_date)::DATE
+            ELSE t.due_date
+        END AS bucket,
+        CASE p_group_by
+            WHEN 'program' THEN t.program_id::TEXT
+            WHEN 'priority' THEN t.priority
+        END AS group_key,
+        MAX(CASE p_group_by
+            WHEN 'program' THEN p.title
+            WHEN 'priority' THEN t.priority
+        END) AS group_label,
+        COUNT(*) AS total,
+        COUNT(*) FILTER (WHERE t.is_completed) AS completed
+    FROM tasks t
+    LEFT JOIN programs p ON p.id = t.program_id
+    WHERE t.user_id = auth.uid()
+        AND t.is_deleted = FALSE
+        AND t.due_date BETWEEN p_start AND p_end
+    GROUP BY 1, 2
+    ORDER BY 1, 2;
+$$;
+
+CREATE INDEX IF NOT EXISTS tasks_user_due_date_idx ON tasks(user_id, due_date);
+
+-- Subscriber growth for a program, for its creator only: new subscriptions and
+-- unsubscribes per bucket in the creator's timezone, plus the number of
+-- subscribers before the range. The creator's own subscription is excluded.
+CREATE OR REPLACE FUNCTION program_subscriber_growth(
+    p_program_id UUID,
+    p_start DATE,
+    p_end DATE,
+    p_bucket TEXT DEFAULT 'week',
+    p_timezone TEXT DEFAULT 'UTC'
+)
+RETURNS TABLE (
+    bucket DATE,
+    subscribed BIGINT,
+    unsubscribed BIGINT,
+    subscribers_before BIGINT
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM programs WHERE id = p_program_id AND creator_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Not authorized to view analytics for this program' USING ERRCODE = '42501';
+    END IF;
+
+    RETURN QUERY
+    WITH events AS (
+        -- First subscription of every subscriber, including those who have left
+        SELECT (s.created_at AT TIME ZONE p_timezone)::DATE AS day, 1 AS joined, 0 AS left_program
+        FROM subscriptions s
+        JOIN programs p ON p.id = s.program_id
+        WHERE s.program_id = p_program_id AND s.user_id <> p.creator_id
+        UNION ALL
+        -- Unsubscribes and resubscribes; a subscription row only holds its latest cycle
+        SELECT
+            (l.created_at AT TIME ZONE p_timezone)::DATE,
+            CASE WHEN l.action_type = 'program_resubscribed' THEN 1 ELSE 0 END,
+            CASE WHEN l.action_type = 'program_unsubscribed' THEN 1 ELSE 0 END
+        FROM activity_logs l
+        JOIN programs p ON p.id = l.target_id
+        WHERE l.action_type IN ('program_unsubscribed', 'program_resubscribed')
+            AND l.target_id = p_program_id AND l.user_id <> p.creator_id
+    ),
+    before_range AS (
+        SELECT COALESCE(SUM(joined - left_program), 0)::BIGINT AS total
+        FROM events
+        WHERE day < p_start
+    )
+    SELECT
+        CASE p_bucket
+            WHEN 'week' THEN e.day - EXTRACT(DOW FROM e.day)::INTEGER
+            WHEN 'month' THEN date_trunc('month', e.day)::DATE
+            ELSE e.day
+        END,
+        SUM(e.joined)::BIGINT,
+        SUM(e.left_program)::BIGINT,
+        (SELECT total FROM before_range)
+    FROM events e
+    WHERE e.day BETWEEN p_start AND p_end
+    GROUP BY 1
+    UNION ALL
+    -- Always return the starting count, even when nothing changed in the range
+    SELECT NULL, 0, 0, (SELECT total FROM before_range)
+    ORDER BY 1 NULLS FIRST;
+END;
+$$;
+
+-- Completion per activity of a program across its subscribers, for its creator
+-- only. Totals are withheld for activities with fewer than 3 subscribers so
+-- individual subscribers' task data can't be inferred. Activities replaced in a
+-- later version are included while subscribers on earlier versions have tasks.
+CREATE OR REPLACE FUNCTION program_activity_completion(
+    p_program_id UUID,
+    p_start DATE,
+    p_end DATE
+)
+RETURNS TABLE (
+    activity_id UUID,
+    title TEXT,
+    version_added INTEGER,
+    version_removed INTEGER,
+    total BIGINT,
+    completed BIGINT,
+    skipped BIGINT
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    min_subscribers CONSTANT INTEGER := 3;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM programs WHERE id = p_program_id AND creator_id = auth.uid()) THEN
+        RAISE EXCEPTION 'Not authorized to view analytics for this program' USING ERRCODE = '42501';
+    END IF;
+
+    RETURN QUERY
+    SELECT
+        a.id,
+        a.title,
+        a.version_added,
+        a.version_removed,
+        CASE WHEN COUNT(DISTINCT t.user_id) >= min_subscribers THEN COUNT(t.id) END,
+        CASE WHEN COUNT(DISTINCT t.user_id) >= min_subscribers
+            THEN COUNT(t.id) FILTER (WHERE t.is_completed) END,
+        CASE WHEN COUNT(DISTINCT t.user_id) >= min_subscribers
+            THEN COUNT(t.id) FILTER (WHERE NOT t.is_completed AND t.due_date < CURRENT_DATE) END
+    FROM activities a
+    JOIN programs p ON p.id = a.program_id
+    LEFT JOIN tasks t ON t.activity_id = a.id
+        AND t.user_id <> p.creator_id
+        AND t.is_deleted = FALSE
+        AND t.due_date BETWEEN p_start AND LEAST(p_end, CURRENT_DATE)
+    WHERE a.program_id = p_program_id AND (a.is_deleted = FALSE OR a.version_removed IS NOT NULL)
+    GROUP BY a.id, a.title, a.version_added, a.version_removed, a.is_deleted
+    HAVING a.is_deleted = FALSE OR COUNT(t.id) > 0
+    ORDER BY a.title, a.version_added;
+END;
+$$;
+
+-- Public programs for discovery, filtered and sorted in the database. Returns
+-- one page of program ids with their subscriber counts and the value they are
+-- sorted by; pages after the first start after the (sort_value, id) of the
+-- previous page's last row. Sorts are 'newest', 'popular' (current
+-- subscribers), 'trending' (subscribers who joined in the last week) and
+-- 'relevance' (to the search query).
+CREATE OR REPLACE FUNCTION search_programs(
+    p_query TEXT DEFAULT NULL,
+    p_category TEXT DEFAULT NULL,
+    p_difficulty TEXT DEFAULT NULL,
+    p_sort TEXT DEFAULT 'newest',
+    p_cursor_value DOUBLE PRECISION DEFAULT NULL,
+    p_cursor_id UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE (
+    id UUID,
+    subscriber_count BIGINT,
+    recent_subscriber_count BIGINT,
+    sort_value DOUBLE PRECISION
+)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    WITH matches AS (
+        SELECT
+            p.id,
+            p.created_at,
+            CASE WHEN NULLIF(p_query, '') IS NULL THEN 0
+                ELSE ts_rank(p.search_vector, websearch_to_tsquery('english', p_query)) END AS rank
+        FROM programs p
+        WHERE p.is_public = TRUE
+            AND p.is_deleted = FALSE
+            AND p.is_personal = FALSE
+            AND p.is_archived = FALSE
+            -- Programs of accounts pending deletion stay out of the feed until restored
+            AND NOT EXISTS (
+                SELECT 1 FROM profiles pr
+                WHERE pr.id = p.creator_id
+                AND pr.deletion_requested_at IS NOT NULL
+            )
+            AND (NULLIF(p_query, '') IS NULL OR p.search_vector @@ websearch_to_tsquery('english', p_query))
+            AND (p_category IS NULL OR p.category = p_category)
+            AND (p_difficulty IS NULL OR p.difficulty = p_difficulty)
+    ),
+    counted AS (
+        SELECT
+            m.id,
+            COUNT(s.id) AS subscriber_count,
+            COUNT(s.id) FILTER (WHERE s.subscribed_at >= NOW() - INTERVAL '7 days') AS recent_subscriber_count,
+            (CASE p_sort
+                WHEN 'popular' THEN COUNT(s.id)
+                WHEN 'trending' THEN COUNT(s.id) FILTER (WHERE s.subscribed_at >= NOW() - INTERVAL '7 days')
+                WHEN 'relevance' THEN MAX(m.rank)
+                ELSE EXTRACT(EPOCH FROM MAX(m.created_at))
+            END)::DOUBLE PRECISION AS sort_value
+        FROM matches m
+        LEFT JOIN subscriptions s ON s.program_id = m.id AND s.status IN ('active', 'paused')
+        GROUP BY m.id
+    )
+    SELECT c.id, c.subscriber_count, c.recent_subscriber_count, c.sort_value
+    FROM counted c
+    WHERE p_cursor_id IS NULL OR (c.sort_value, c.id) < (p_cursor_value, p_cursor_id)
+    ORDER BY c.sort_value DESC, c.id DESC
+    LIMIT p_limit;
+$$;
+
+-- Current subscribers and average rating of each of several programs, read in
+-- one query. Ratings leave out hidden reviews; the average is null for programs
+-- without any.
+CREATE OR REPLACE FUNCTION program_stats(p_program_ids UUID[])
+RETURNS TABLE (
+    program_id UUID,
+    subscriber_count BIGINT,
+    rating_average NUMERIC,
+    rating_count BIGINT
+)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT
+        ids.id,
+        (SELECT COUNT(*) FROM subscriptions s
+            WHERE s.program_id = ids.id AND s.status IN ('active', 'paused')),
+        (SELECT ROUND(AVG(r.rating), 2) FROM program_reviews r
+            WHERE r.program_id = ids.id AND r.is_hidden = FALSE),
+        (SELECT COUNT(*) FROM program_reviews r
+            WHERE r.program_id = ids.id AND r.is_hidden = FALSE)
+    FROM UNNEST(p_program_ids) AS ids(id);
+$$;
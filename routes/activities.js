@@ -1,6 +1,6 @@
 import express from 'express';
 import activitiesController from '../controllers/activities.js';
-import { validateRequest, activitySchema } from '../middleware/validation.js';
+import { validateRequest, activitySchema, editActivitySchema, programActivitiesSchema } from '../middleware/validation.js';
 import { verifyToken } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -13,12 +13,12 @@ router.post('/', verifyToken, validateRequest(activitySchema), activitiesControl
 // Get a specific activity
 router.get('/:activityId', verifyToken, activitiesController.getActivity);
 
-// Get all activities for a program
-router.get('/program/:programId', verifyToken, activitiesController.getProgramActivities);
+// Get a page of the activities for a program
+router.get('/program/:programId', verifyToken, validateRequest(programActivitiesSchema), activitiesController.getProgramActivities);
 
 /* UPDATE */
 // Edit an activity
-router.patch('/:activityId', verifyToken, activitiesController.editActivity);
+router.patch('/:activityId', verifyToken, validateRequest(editActivitySchema), activitiesController.editActivity);
 
 // Delete an activity
 router.delete('/:activityId', verifyToken, activitiesController.deleteActivity);
@@ -0,0 +1,22 @@
+import express from 'express';
+import Joi from 'joi';
+import { getCalendarFeed } from '../controllers/calendar.js';
+import { validateRequest } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Validation schema for calendar feed links
+const calendarFeedSchema = {
+    query: Joi.object({
+        token: Joi.string().guid().required().messages({
+            'string.guid': 'Calendar token is invalid',
+            'any.required': 'Calendar token is required'
+        }),
+        tasks: Joi.string().valid('todos', 'events').default('todos')
+    })
+};
+
+// Routes (public: the token in the link identifies the user)
+router.get('/feed.ics', validateRequest(calendarFeedSchema), getCalendarFeed);
+
+export default router;
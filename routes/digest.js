@@ -0,0 +1,23 @@
+import express from 'express';
+import Joi from 'joi';
+import { showDigestUnsubscribe, unsubscribeDigest } from '../controllers/digest.js';
+import { validateRequest } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Validation schema for unsubscribe links
+const unsubscribeSchema = {
+    query: Joi.object({
+        token: Joi.string().guid().required().messages({
+            'string.guid': 'Unsubscribe token is invalid',
+            'any.required': 'Unsubscribe token is required'
+        })
+    })
+};
+
+// Routes (public: the token in the link identifies the user). Opening the
+// link only asks for confirmation; unsubscribing takes a POST.
+router.get('/unsubscribe', validateRequest(unsubscribeSchema), showDigestUnsubscribe);
+router.post('/unsubscribe', validateRequest(unsubscribeSchema), unsubscribeDigest);
+
+export default router;
@@ -2,7 +2,7 @@ import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import programsController from '../controllers/programs.js';
-import { validateRequest, createProgramSchema } from '../middleware/validation.js';
+import { validateRequest, createProgramSchema, programAnalyticsSchema, subscribeProgramSchema, pauseSubscriptionSchema, importProgramSchema, feedProgramsSchema, listProgramsSchema } from '../middleware/validation.js';
 import { verifyToken } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -36,15 +36,21 @@ const upload = multer({
 // Create a new program
 router.post('/', verifyToken, upload.single('image'), validateRequest(createProgramSchema), programsController.createProgram);
 
+// Import a program from an export document
+router.post('/import', verifyToken, validateRequest(importProgramSchema), programsController.importProgram);
+
+// Fork a program into a new program owned by the current user
+router.post('/:programId/fork', verifyToken, programsController.forkProgram);
+
 /* READ */
-// Get all public programs for the feed
-router.get('/feed', verifyToken, programsController.getFeedPrograms);
+// Search public programs for the discovery feed
+router.get('/feed', verifyToken, validateRequest(feedProgramsSchema), programsController.getFeedPrograms);
 
 // Get all programs that a user is subscribed to
-router.get('/user', verifyToken, programsController.getUserPrograms);
+router.get('/user', verifyToken, validateRequest(listProgramsSchema), programsController.getUserPrograms);
 
 // Get all programs that were created by the current user
-router.get('/creator', verifyToken, programsController.getCreatorPrograms);
+router.get('/creator', verifyToken, validateRequest(listProgramsSchema), programsController.getCreatorPrograms);
 
 // Get or create a personal program for the user
 router.get('/personal', verifyToken, programsController.getPersonalProgram);
@@ -52,6 +58,18 @@ router.get('/personal', verifyToken, programsController.getPersonalProgram);
 // Get a specific program by ID
 router.get('/:programId', verifyToken, programsController.getProgram);
 
+// Export a program as a portable JSON document
+router.get('/:programId/export', verifyToken, programsController.exportProgram);
+
+// Get the current user's completion summary for a program they subscribed to
+router.get('/:programId/summary', verifyToken, programsController.getProgramSummary);
+
+// Get the versions of a program and the subscribers on each (creator only)
+router.get('/:programId/versions', verifyToken, programsController.getProgramVersions);
+
+// Get anonymised subscriber and completion analytics for a program (creator only)
+router.get('/:programId/analytics', verifyToken, validateRequest(programAnalyticsSchema), programsController.getProgramAnalytics);
+
 /* UPDATE */
 // Edit a program
 router.patch('/:programId', verifyToken, upload.single('image'), programsController.editProgram);
@@ -60,10 +78,19 @@ router.patch('/:programId', verifyToken, upload.single('image'), programsControl
 router.delete('/:programId', verifyToken, programsController.deleteProgram);
 
 /* SUBSCRIBE/UNSUBSCRIBE */
-// Subscribe to a program
-router.post('/subscribe/:programId', verifyToken, programsController.subscribeProgram);
+// Subscribe to a program, optionally starting on a later day
+router.post('/subscribe/:programId', verifyToken, validateRequest(subscribeProgramSchema), programsController.subscribeProgram);
 
 // Unsubscribe from a program
 router.delete('/subscribe/:programId', verifyToken, programsController.unsubscribeProgram);
 
+// Pause a subscription, optionally until a given day
+router.post('/subscribe/:programId/pause', verifyToken, validateRequest(pauseSubscriptionSchema), programsController.pauseProgram);
+
+// Resume a paused subscription
+router.post('/subscribe/:programId/resume', verifyToken, programsController.resumeProgram);
+
+// Move a subscription to the latest version of the program
+router.post('/subscribe/:programId/upgrade', verifyToken, programsController.upgradeProgram);
+
 export default router; 
\ No newline at end of file
@@ -0,0 +1,30 @@
+import express from 'express';
+import reviewsController from '../controllers/reviews.js';
+import { validateRequest, programReviewsSchema, saveReviewSchema, reviewReplySchema, reportReviewSchema } from '../middleware/validation.js';
+import { verifyToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/* CREATE */
+// Report a review as abusive
+router.post('/:reviewId/report', verifyToken, validateRequest(reportReviewSchema), reviewsController.reportReview);
+
+/* READ */
+// Get a page of the reviews of a program
+router.get('/program/:programId', verifyToken, validateRequest(programReviewsSchema), reviewsController.getProgramReviews);
+
+/* UPDATE */
+// Rate and review a program, or change the current user's review
+router.put('/program/:programId', verifyToken, validateRequest(saveReviewSchema), reviewsController.saveReview);
+
+// Reply to a review of one of the current user's programs
+router.put('/:reviewId/reply', verifyToken, validateRequest(reviewReplySchema), reviewsController.replyToReview);
+
+/* DELETE */
+// Delete the current user's review of a program
+router.delete('/program/:programId', verifyToken, reviewsController.deleteReview);
+
+// Delete the reply to a review
+router.delete('/:reviewId/reply', verifyToken, reviewsController.deleteReply);
+
+export default router;
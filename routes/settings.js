@@ -1,5 +1,5 @@
 import express from 'express';
-import { getUserSettings, updateUserSettings } from '../controllers/settings.js';
+import { getUserSettings, updateUserSettings, updateReminderSettings, updateDigestSettings, updateStreakSettings, getCalendarSettings, resetCalendarToken } from '../controllers/settings.js';
 import { verifyToken } from '../middleware/auth.js';
 import { validateRequest } from '../middleware/validation.js';
 import Joi from 'joi';
@@ -15,8 +15,41 @@ const updateSettingsSchema = {
     })
 };
 
+// Validation schema for reminder preferences update
+const updateReminderSettingsSchema = {
+    body: Joi.object({
+        remindersEnabled: Joi.boolean(),
+        reminderOffsetMinutes: Joi.number().integer().min(0).max(24 * 60),
+        quietHoursStart: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).allow(null),
+        quietHoursEnd: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).allow(null),
+        reminderChannels: Joi.array().items(Joi.string().valid('email')).min(1)
+    }).min(1)
+};
+
+// Validation schema for digest preferences update
+const updateDigestSettingsSchema = {
+    body: Joi.object({
+        dailyDigestEnabled: Joi.boolean(),
+        weeklyDigestEnabled: Joi.boolean(),
+        digestTime: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    }).min(1)
+};
+
+// Validation schema for streak preferences update
+const updateStreakSettingsSchema = {
+    body: Joi.object({
+        streakRule: Joi.string().valid('any', 'all'),
+        streakRestDays: Joi.array().items(Joi.number().integer().min(0).max(6)).max(6)
+    }).min(1)
+};
+
 // Routes
 router.get('/', verifyToken, getUserSettings);
 router.patch('/', verifyToken, validateRequest(updateSettingsSchema), updateUserSettings);
+router.patch('/reminders', verifyToken, validateRequest(updateReminderSettingsSchema), updateReminderSettings);
+router.patch('/digest', verifyToken, validateRequest(updateDigestSettingsSchema), updateDigestSettings);
+router.patch('/streak', verifyToken, validateRequest(updateStreakSettingsSchema), updateStreakSettings);
+router.get('/calendar', verifyToken, getCalendarSettings);
+router.post('/calendar/reset', verifyToken, resetCalendarToken);
 
 export default router; 
\ No newline at end of file
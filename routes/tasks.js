@@ -1,14 +1,40 @@
 import express from "express";
-import { getFeedTasks, populateUserTasks, getUserTasks, createTask, completeTask, deleteTask, updateTask } from "../controllers/tasks.js";
+import multer from "multer";
+import { getFeedTasks, populateUserTasks, populateUserTasksRange, getUserTasks, getTaskHistory, getActivityStreaks, createTask, importTasks, completeTask, deleteTask, updateTask } from "../controllers/tasks.js";
 import { verifyToken } from "../middleware/auth.js";
-import { validateRequest, createTaskSchema, updateTaskSchema } from "../middleware/validation.js";
+import { validateRequest, createTaskSchema, updateTaskSchema, populateTasksRangeSchema, activityStreaksSchema, importTasksSchema, feedTasksSchema } from "../middleware/validation.js";
 
 const router = express.Router();
 
+// Configure multer for memory storage, as imported files are only parsed
+const storage = multer.memoryStorage();
+
+// File filter to only allow task files from other tools
+const fileFilter = (req, file, cb) => {
+  const allowedExtensions = ['.csv', '.ics'];
+
+  if (!allowedExtensions.some(extension => file.originalname.toLowerCase().endsWith(extension))) {
+    return cb(new Error('Only .csv and .ics files can be imported'), false);
+  }
+
+  cb(null, true);
+};
+
+const upload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+});
+
 /* READ */
-router.get("/", verifyToken, getFeedTasks);
+router.get("/", verifyToken, validateRequest(feedTasksSchema), getFeedTasks);
+router.get("/streaks", verifyToken, validateRequest(activityStreaksSchema), getActivityStreaks);
+router.get("/:id/history", verifyToken, validateRequest({
+  params: updateTaskSchema.params
+}), getTaskHistory);
 router.get("/:userId/:day", verifyToken, getUserTasks);
 router.post("/populate", verifyToken, populateUserTasks);
+router.post("/populate/range", verifyToken, validateRequest(populateTasksRangeSchema), populateUserTasksRange);
 
 /* UPDATE */
 router.patch("/:id/complete", verifyToken, validateRequest({
@@ -23,5 +49,6 @@ router.delete("/:id/delete", verifyToken, validateRequest({
 
 /* WRITE */
 router.post("/new", verifyToken, validateRequest(createTaskSchema), createTask);
+router.post("/import", verifyToken, upload.single("file"), validateRequest(importTasksSchema), importTasks);
 
 export default router; 
\ No newline at end of file
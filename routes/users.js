@@ -1,7 +1,7 @@
 import express from 'express';
 import multer from 'multer';
 import usersController from '../controllers/users.js';
-import { validateRequest, updateProfileSchema } from '../middleware/validation.js';
+import { validateRequest, updateProfileSchema, analyticsSchema, dataExportSchema, deleteAccountSchema } from '../middleware/validation.js';
 import { verifyToken } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -38,8 +38,24 @@ router.get('/profile', verifyToken, usersController.getProfile);
 // Get user stats (task completion, etc.)
 router.get('/stats', verifyToken, usersController.getUserStats);
 
+// Get completion trends over a date range, by program and priority
+router.get('/analytics', verifyToken, validateRequest(analyticsSchema), usersController.getUserAnalytics);
+
+// Download all of the user's data, or start preparing it for large accounts
+router.get('/export', verifyToken, usersController.exportUserData);
+
+// Get the status of a data export being prepared
+router.get('/export/:exportId', verifyToken, validateRequest(dataExportSchema), usersController.getDataExport);
+
 /* UPDATE */
 // Update user profile
 router.patch('/profile', verifyToken, upload.single('avatar'), validateRequest(updateProfileSchema), usersController.updateProfile);
 
+// Restore an account during its deletion grace period
+router.post('/me/restore', verifyToken, usersController.restoreAccount);
+
+/* DELETE */
+// Schedule the current user's account for deletion
+router.delete('/me', verifyToken, validateRequest(deleteAccountSchema), usersController.deleteAccount);
+
 export default router; 
\ No newline at end of file
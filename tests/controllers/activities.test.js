@@ -0,0 +1,103 @@
+import { jest } from '@jest/globals';
+import { createFakeSupabase, createDbModule } from '../fakeSupabase.js';
+import { createRequest, createResponse } from '../fakeExpress.js';
+import { activitySchema, editActivitySchema } from '../../middleware/validation.js';
+
+let fake;
+
+jest.unstable_mockModule('../../utils/db.js', () => createDbModule(() => fake));
+
+const { editActivity } = await import('../../controllers/activities.js');
+
+const CREATOR_ID = '00000000-0000-4000-8000-000000000001';
+const PROGRAM_ID = '00000000-0000-4000-8000-0000000000a1';
+const DAY_ACTIVITY_ID = '00000000-0000-4000-8000-0000000000b1';
+const WEEK_ACTIVITY_ID = '00000000-0000-4000-8000-0000000000b2';
+
+const setUp = () => {
+  fake = createFakeSupabase({
+    profiles: [{ id: CREATOR_ID, email: 'creator@example.com' }],
+    programs: [{ id: PROGRAM_ID, title: 'Couch to 5K', creator_id: CREATOR_ID, is_public: true }],
+    activities: [
+      { id: DAY_ACTIVITY_ID, program_id: PROGRAM_ID, title: 'First run', cron: '0 7 * * *', relative_day: 1 },
+      { id: WEEK_ACTIVITY_ID, program_id: PROGRAM_ID, title: 'Long run', cron: '0 8 * * *', relative_week: 2, relative_weekday: 6 }
+    ]
+  });
+};
+
+// Edit an activity the way the route does, validating the body first
+const edit = async (activityId, body) => {
+  const res = createResponse();
+  const { error, value } = editActivitySchema.body.validate(body);
+  if (error) {
+    return { statusCode: 400, body: { message: error.message } };
+  }
+  await editActivity(createRequest(CREATOR_ID, { params: { activityId }, body: value }), res);
+  return res;
+};
+
+const getActivity = (id) => fake.tables.activities.find(activity => activity.id === id);
+
+describe('Activities controller', () => {
+  beforeEach(() => {
+    setUp();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('activitySchema', () => {
+    it('should reject activities whose cron expression can\'t be parsed', () => {
+      const activities = [{ title: 'Run', cron: '0 7 * * *' }, { title: 'Swim', cron: 'every morning' }];
+
+      const { error } = activitySchema.body.validate({ programId: PROGRAM_ID, activities });
+
+      expect(error.message).toContain('must be a valid five-field cron expression');
+    });
+  });
+
+  describe('editActivity', () => {
+    it('should move an activity from a day to a week when the day is cleared', async () => {
+      const res = await edit(DAY_ACTIVITY_ID, { relativeDay: null, relativeWeek: 3, relativeWeekday: 1 });
+
+      expect(res.statusCode).toBe(200);
+      expect(getActivity(DAY_ACTIVITY_ID)).toMatchObject({ relative_day: null, relative_week: 3, relative_weekday: 1 });
+    });
+
+    it('should reject a week for an activity that keeps its day', async () => {
+      const res = await edit(DAY_ACTIVITY_ID, { relativeWeek: 3, relativeWeekday: 1 });
+
+      expect(res.statusCode).toBe(400);
+      expect(getActivity(DAY_ACTIVITY_ID)).toMatchObject({ relative_day: 1, relative_week: null });
+    });
+
+    it('should reject clearing the weekday of an activity that keeps its week', async () => {
+      const res = await edit(WEEK_ACTIVITY_ID, { relativeWeekday: null });
+
+      expect(res.statusCode).toBe(400);
+      expect(getActivity(WEEK_ACTIVITY_ID)).toMatchObject({ relative_week: 2, relative_weekday: 6 });
+    });
+
+    it('should reject a cron expression that can\'t be parsed', async () => {
+      const res = await edit(WEEK_ACTIVITY_ID, { cron: '0 25 * * *' });
+
+      expect(res.statusCode).toBe(400);
+      expect(getActivity(WEEK_ACTIVITY_ID).cron).toBe('0 8 * * *');
+    });
+
+    it('should ignore fields it doesn\'t know', async () => {
+      const res = await edit(WEEK_ACTIVITY_ID, { title: 'Longer run', position: 2 });
+
+      expect(res.statusCode).toBe(200);
+      expect(getActivity(WEEK_ACTIVITY_ID).title).toBe('Longer run');
+    });
+
+    it('should reject relative fields that are out of range', async () => {
+      const res = await edit(WEEK_ACTIVITY_ID, { relativeWeekday: 7 });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import { jest } from '@jest/globals';
+import { createFakeSupabase, createDbModule } from '../fakeSupabase.js';
+import { createResponse } from '../fakeExpress.js';
+import { parseCalendar } from '../../utils/ical.js';
+
+let fake;
+
+jest.unstable_mockModule('../../utils/db.js', () => createDbModule(() => fake));
+
+const { getCalendarFeed } = await import('../../controllers/calendar.js');
+
+const USER_ID = '00000000-0000-4000-8000-000000000001';
+const PROGRAM_ID = '00000000-0000-4000-8000-0000000000a1';
+const PAUSED_PROGRAM_ID = '00000000-0000-4000-8000-0000000000a2';
+const ACTIVITY_ID = '00000000-0000-4000-8000-0000000000b1';
+const CALENDAR_TOKEN = '00000000-0000-4000-8000-0000000000c1';
+const TODAY = '2024-03-01';
+
+const setUp = () => {
+  fake = createFakeSupabase({
+    profiles: [{ id: USER_ID, email: 'user@example.com' }],
+    settings: [{ user_id: USER_ID, calendar_token: CALENDAR_TOKEN }],
+    programs: [
+      { id: PROGRAM_ID, title: 'Couch to 5K', creator_id: USER_ID, duration: 4, duration_unit: 'weeks' },
+      { id: PAUSED_PROGRAM_ID, title: 'Meditation', creator_id: USER_ID }
+    ],
+    activities: [
+      { id: ACTIVITY_ID, program_id: PROGRAM_ID, title: 'Run', cron: '0 7 * * 1,3,5' },
+      { program_id: PROGRAM_ID, title: 'Time trial', cron: '0 8 * * *', relative_day: 28 },
+      { program_id: PROGRAM_ID, title: 'Retired', cron: '0 9 * * *', version_removed: 1, is_deleted: true },
+      { program_id: PAUSED_PROGRAM_ID, title: 'Breathe', cron: '0 6 * * *' }
+    ],
+    subscriptions: [
+      { user_id: USER_ID, program_id: PROGRAM_ID, start_date: TODAY },
+      { user_id: USER_ID, program_id: PAUSED_PROGRAM_ID, start_date: TODAY, status: 'paused' }
+    ],
+    tasks: [
+      { user_id: USER_ID, title: 'Buy shoes', due_date: '2024-03-02', priority: 'high' },
+      { user_id: USER_ID, title: 'Run', activity_id: ACTIVITY_ID, program_id: PROGRAM_ID, due_date: '2024-03-04', due_time: '07:00' },
+      { user_id: USER_ID, title: 'Too old', due_date: '2024-01-01' }
+    ]
+  });
+};
+
+const getFeed = async (query) => {
+  const res = createResponse();
+  await getCalendarFeed({ query }, res);
+  return res;
+};
+
+// Summaries of the feed's components of a type
+const getSummaries = (res, type) => parseCalendar(res.body)
+  .filter(component => component.type === type)
+  .map(component => component.properties.SUMMARY.value);
+
+describe('Calendar controller', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date(`${TODAY}T12:00:00Z`), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    setUp();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.error.mockRestore();
+  });
+
+  describe('getCalendarFeed', () => {
+    it('should return the user\'s recent tasks as to-dos and their programs as events', async () => {
+      const res = await getFeed({ token: CALENDAR_TOKEN });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['Content-Type']).toBe('text/calendar; charset=utf-8');
+      expect(getSummaries(res, 'VTODO')).toEqual(['Buy shoes', 'Run']);
+      expect(getSummaries(res, 'VEVENT')).toEqual(['Run', 'Time trial']);
+    });
+
+    it('should repeat program activities until the end of the program and place relative ones on their day', async () => {
+      const events = parseCalendar((await getFeed({ token: CALENDAR_TOKEN })).body)
+        .filter(component => component.type === 'VEVENT');
+
+      expect(events[0].properties.DTSTART.value).toBe('20240301T070000');
+      expect(events[0].properties.RRULE.value).toBe('FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20240328T235959');
+      expect(events[1].properties.DTSTART.value).toBe('20240328T080000');
+      expect(events[1].properties.RRULE).toBeUndefined();
+    });
+
+    it('should show tasks as events and leave out program tasks when asked to', async () => {
+      const res = await getFeed({ token: CALENDAR_TOKEN, tasks: 'events' });
+
+      expect(getSummaries(res, 'VTODO')).toEqual([]);
+      expect(getSummaries(res, 'VEVENT')).toEqual(['Buy shoes', 'Run', 'Time trial']);
+    });
+
+    it('should include paused programs from the day they resume', async () => {
+      fake.tables.subscriptions[1].resume_on = '2024-03-10';
+
+      const events = parseCalendar((await getFeed({ token: CALENDAR_TOKEN })).body);
+      const breathe = events.find(component => component.properties.SUMMARY.value === 'Breathe');
+
+      expect(breathe.properties.DTSTART.value).toBe('20240310T060000');
+    });
+
+    it('should return 404 for an unknown token', async () => {
+      const res = await getFeed({ token: '00000000-0000-4000-8000-0000000000ff' });
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('should return 404 while the account is pending deletion', async () => {
+      Object.assign(fake.tables.profiles[0], { is_active: false, deletion_requested_at: '2024-02-28T10:00:00.000Z' });
+
+      const res = await getFeed({ token: CALENDAR_TOKEN });
+
+      expect(res.statusCode).toBe(404);
+      expect(fake.queries.map(query => query.table)).not.toContain('tasks');
+    });
+  });
+});
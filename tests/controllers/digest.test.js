@@ -0,0 +1,63 @@
+import { jest } from '@jest/globals';
+import { createFakeSupabase, createDbModule } from '../fakeSupabase.js';
+import { createResponse } from '../fakeExpress.js';
+
+let fake;
+
+jest.unstable_mockModule('../../utils/db.js', () => createDbModule(() => fake));
+
+const { showDigestUnsubscribe, unsubscribeDigest } = await import('../../controllers/digest.js');
+
+const USER_ID = '00000000-0000-4000-8000-000000000001';
+const DIGEST_TOKEN = '00000000-0000-4000-8000-0000000000d1';
+
+// Unsubscribe links work without logging in, so requests carry only the token
+const call = async (handler, token) => {
+  const res = createResponse();
+  await handler({ query: { token }, params: {}, body: {} }, res);
+  return res;
+};
+
+const getSettings = () => fake.tables.settings[0];
+
+describe('Digest controller', () => {
+  beforeEach(() => {
+    fake = createFakeSupabase({
+      profiles: [{ id: USER_ID, email: 'user@example.com' }],
+      settings: [{ user_id: USER_ID, digest_token: DIGEST_TOKEN, daily_digest_enabled: true, weekly_digest_enabled: true }]
+    });
+  });
+
+  describe('showDigestUnsubscribe', () => {
+    it('should ask for confirmation without unsubscribing', async () => {
+      const res = await call(showDigestUnsubscribe, DIGEST_TOKEN);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toContain('<form method="post">');
+      expect(getSettings()).toMatchObject({ daily_digest_enabled: true, weekly_digest_enabled: true });
+    });
+
+    it('should reject unknown tokens', async () => {
+      const res = await call(showDigestUnsubscribe, '00000000-0000-4000-8000-0000000000d2');
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body).not.toContain('<form');
+    });
+  });
+
+  describe('unsubscribeDigest', () => {
+    it('should turn off both digests', async () => {
+      const res = await call(unsubscribeDigest, DIGEST_TOKEN);
+
+      expect(res.statusCode).toBe(200);
+      expect(getSettings()).toMatchObject({ daily_digest_enabled: false, weekly_digest_enabled: false });
+    });
+
+    it('should reject unknown tokens', async () => {
+      const res = await call(unsubscribeDigest, '00000000-0000-4000-8000-0000000000d2');
+
+      expect(res.statusCode).toBe(404);
+      expect(getSettings()).toMatchObject({ daily_digest_enabled: true });
+    });
+  });
+});
@@ -0,0 +1,149 @@
+import { jest } from '@jest/globals';
+import { createFakeSupabase, createDbModule } from '../fakeSupabase.js';
+import { createRequest, createResponse } from '../fakeExpress.js';
+
+let fake;
+
+jest.unstable_mockModule('../../utils/db.js', () => createDbModule(() => fake));
+
+const { getProgramAnalytics, unsubscribeProgram } = await import('../../controllers/programs.js');
+
+const CREATOR_ID = '00000000-0000-4000-8000-000000000001';
+const SUBSCRIBER_ID = '00000000-0000-4000-8000-000000000002';
+const PROGRAM_ID = '00000000-0000-4000-8000-0000000000a1';
+
+// Arguments each database function was called with
+let calls;
+
+const setUp = () => {
+  calls = {};
+  fake = createFakeSupabase({
+    profiles: [
+      { id: CREATOR_ID, email: 'creator@example.com' },
+      { id: SUBSCRIBER_ID, email: 'subscriber@example.com' }
+    ],
+    settings: [{ user_id: CREATOR_ID, timezone: 'Asia/Tokyo' }],
+    programs: [{ id: PROGRAM_ID, title: 'Couch to 5K', creator_id: CREATOR_ID, is_public: true }],
+    activities: [{ program_id: PROGRAM_ID, title: 'Run', cron: '0 7 * * *' }],
+    subscriptions: [{ user_id: SUBSCRIBER_ID, program_id: PROGRAM_ID, subscribed_at: '2024-01-02T08:00:00.000Z' }]
+  }, {
+    program_subscriber_growth: (args) => {
+      calls.growth = args;
+      return [
+        { bucket: null, subscribed: 0, unsubscribed: 0, subscribers_before: 2 },
+        { bucket: args.p_end, subscribed: 1, unsubscribed: 0, subscribers_before: 2 }
+      ];
+    },
+    program_activity_completion: (args) => {
+      calls.completion = args;
+      return [
+        { activity_id: 'a1', title: 'Run', version_added: 1, version_removed: null, total: 10, completed: 4, skipped: 6 },
+        { activity_id: 'a2', title: 'Stretch', version_added: 1, version_removed: null, total: null, completed: null, skipped: null }
+      ];
+    }
+  });
+};
+
+const call = async (handler, userId, parts) => {
+  const res = createResponse();
+  await handler(createRequest(userId, parts), res);
+  return res;
+};
+
+describe('Program analytics', () => {
+  beforeEach(() => {
+    setUp();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('getProgramAnalytics', () => {
+    it('should default to the last 90 days of the creator\'s timezone in weeks', async () => {
+      jest.useFakeTimers({ now: new Date('2024-03-31T20:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+
+      try {
+        const res = await call(getProgramAnalytics, CREATOR_ID, { params: { programId: PROGRAM_ID } });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toMatchObject({ startDate: '2024-01-03', endDate: '2024-04-01', bucket: 'week' });
+        expect(calls.growth).toEqual({
+          p_program_id: PROGRAM_ID,
+          p_start: '2024-01-03',
+          p_end: '2024-04-01',
+          p_bucket: 'week',
+          p_timezone: 'Asia/Tokyo'
+        });
+        expect(calls.completion).toEqual({ p_program_id: PROGRAM_ID, p_start: '2024-01-03', p_end: '2024-04-01' });
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should summarise growth, churn and skipped activities', async () => {
+      const res = await call(getProgramAnalytics, CREATOR_ID, {
+        params: { programId: PROGRAM_ID },
+        query: { startDate: '2024-01-01', endDate: '2024-01-03', bucket: 'day' }
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.growth.map(point => point.subscribers)).toEqual([2, 2, 3]);
+      expect(res.body.subscriberCount).toBe(3);
+      expect(res.body.churn).toEqual({ unsubscribes: 0, churnRate: 0 });
+      expect(res.body.activities.map(activity => activity.suppressed)).toEqual([false, true]);
+      expect(res.body.mostSkipped.map(activity => activity.activityId)).toEqual(['a1']);
+    });
+
+    it('should only show analytics to the program\'s creator', async () => {
+      const res = await call(getProgramAnalytics, SUBSCRIBER_ID, { params: { programId: PROGRAM_ID } });
+
+      expect(res.statusCode).toBe(403);
+      expect(calls.growth).toBeUndefined();
+    });
+
+    it('should reject a range that ends before it starts', async () => {
+      const res = await call(getProgramAnalytics, CREATOR_ID, {
+        params: { programId: PROGRAM_ID },
+        query: { startDate: '2024-02-01', endDate: '2024-01-01' }
+      });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should reject ranges longer than two years', async () => {
+      const res = await call(getProgramAnalytics, CREATOR_ID, {
+        params: { programId: PROGRAM_ID },
+        query: { startDate: '0001-01-01', endDate: '9999-12-31', bucket: 'day' }
+      });
+
+      expect(res.statusCode).toBe(400);
+      expect(calls.growth).toBeUndefined();
+    });
+
+    it('should fail when a database function fails', async () => {
+      fake = createFakeSupabase(fake.tables);
+
+      const res = await call(getProgramAnalytics, CREATOR_ID, { params: { programId: PROGRAM_ID } });
+
+      expect(res.statusCode).toBe(500);
+    });
+  });
+
+  describe('unsubscribeProgram', () => {
+    it('should log the unsubscribe with when the subscriber joined', async () => {
+      const res = await call(unsubscribeProgram, SUBSCRIBER_ID, { params: { programId: PROGRAM_ID } });
+
+      expect(res.statusCode).toBe(200);
+      expect(fake.tables.activity_logs).toEqual([
+        expect.objectContaining({
+          user_id: SUBSCRIBER_ID,
+          action_type: 'program_unsubscribed',
+          target_id: PROGRAM_ID,
+          metadata: { subscribed_at: '2024-01-02T08:00:00.000Z' }
+        })
+      ]);
+    });
+  });
+});
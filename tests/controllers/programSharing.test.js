@@ -0,0 +1,206 @@
+import { jest } from '@jest/globals';
+import { createFakeSupabase, createDbModule } from '../fakeSupabase.js';
+import { createRequest, createResponse } from '../fakeExpress.js';
+import { importProgramSchema } from '../../middleware/validation.js';
+
+let fake;
+
+jest.unstable_mockModule('../../utils/db.js', () => createDbModule(() => fake));
+
+const { exportProgram, importProgram, forkProgram } = await import('../../controllers/programs.js');
+
+const CREATOR_ID = '00000000-0000-4000-8000-000000000001';
+const USER_ID = '00000000-0000-4000-8000-000000000002';
+const PROGRAM_ID = '00000000-0000-4000-8000-0000000000a1';
+const PERSONAL_PROGRAM_ID = '00000000-0000-4000-8000-0000000000a2';
+const PRIVATE_PROGRAM_ID = '00000000-0000-4000-8000-0000000000a3';
+const SUBSCRIBER_ID = '00000000-0000-4000-8000-000000000003';
+
+const setUp = () => {
+  fake = createFakeSupabase({
+    profiles: [
+      { id: CREATOR_ID, email: 'creator@example.com' },
+      { id: USER_ID, email: 'user@example.com' },
+      { id: SUBSCRIBER_ID, email: 'subscriber@example.com' }
+    ],
+    programs: [
+      {
+        id: PROGRAM_ID,
+        title: 'Couch to 5K',
+        description: 'Nine weeks to your first 5K',
+        category: 'fitness',
+        difficulty: 'beginner',
+        duration: 9,
+        duration_unit: 'weeks',
+        current_version: 2,
+        creator_id: CREATOR_ID,
+        is_public: true
+      },
+      { id: PERSONAL_PROGRAM_ID, title: 'Personal', creator_id: USER_ID, is_personal: true },
+      { id: PRIVATE_PROGRAM_ID, title: 'Coaching plan', creator_id: CREATOR_ID, is_public: false }
+    ],
+    activities: [
+      { program_id: PROGRAM_ID, title: 'Warm up', cron: '0 7 * * 1,3,5' },
+      { program_id: PROGRAM_ID, title: 'First run', description: 'Run for a minute', cron: '0 7 * * *', relative_day: 1 },
+      { program_id: PROGRAM_ID, title: 'Long run', cron: '0 8 * * *', relative_week: 2, relative_weekday: 6 },
+      { program_id: PROGRAM_ID, title: 'Old stretch', cron: '0 9 * * *', version_removed: 2, is_deleted: true },
+      { program_id: PROGRAM_ID, title: 'Unscheduled', cron: null },
+      { program_id: PERSONAL_PROGRAM_ID, title: 'Water plants', cron: null },
+      { program_id: PRIVATE_PROGRAM_ID, title: 'Check in', cron: '0 18 * * 0' }
+    ],
+    // Former subscribers keep access to programs that aren't public
+    subscriptions: [{ user_id: SUBSCRIBER_ID, program_id: PRIVATE_PROGRAM_ID, status: 'ended' }]
+  });
+};
+
+const call = async (handler, userId, parts) => {
+  const res = createResponse();
+  await handler(createRequest(userId, parts), res);
+  return res;
+};
+
+// Import a document the way the route does, validating it first
+const importDocument = async (userId, document) => {
+  const { error, value } = importProgramSchema.body.validate(document);
+  if (error) {
+    return { statusCode: 400, body: { message: error.message } };
+  }
+  return call(importProgram, userId, { body: value });
+};
+
+// The schedule of each of a program's activities, in a comparable form
+const getSchedules = (programId) => fake.tables.activities
+  .filter(activity => activity.program_id === programId)
+  .map(({ title, description, cron, relative_day, relative_week, relative_weekday }) => ({
+    title, description, cron, relative_day, relative_week, relative_weekday
+  }));
+
+describe('Program forks, export and import', () => {
+  beforeEach(() => {
+    setUp();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('exportProgram', () => {
+    it('should export the program with the activities of its current version that have a schedule', async () => {
+      const res = await call(exportProgram, USER_ID, { params: { programId: PROGRAM_ID } });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({
+        format: 'regular-program',
+        version: 1,
+        program: { title: 'Couch to 5K', difficulty: 'beginner', duration: 9, durationUnit: 'weeks' }
+      });
+      expect(res.body.activities).toEqual([
+        { title: 'Warm up', description: '', cron: '0 7 * * 1,3,5' },
+        { title: 'First run', description: 'Run for a minute', cron: '0 7 * * *', relativeDay: 1 },
+        { title: 'Long run', description: '', cron: '0 8 * * *', relativeWeek: 2, relativeWeekday: 6 }
+      ]);
+    });
+
+    it('should refuse to export personal programs', async () => {
+      const res = await call(exportProgram, USER_ID, { params: { programId: PERSONAL_PROGRAM_ID } });
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('importProgram', () => {
+    it('should accept every export and recreate the same activities', async () => {
+      const exported = await call(exportProgram, USER_ID, { params: { programId: PROGRAM_ID } });
+
+      const res = await importDocument(USER_ID, exported.body);
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.program).toMatchObject({
+        title: 'Couch to 5K',
+        description: 'Nine weeks to your first 5K',
+        creator_id: USER_ID,
+        duration: 9,
+        duration_unit: 'weeks',
+        is_public: false,
+        forked_from_id: null
+      });
+      expect(getSchedules(res.body.program.id)).toEqual([
+        { title: 'Warm up', description: '', cron: '0 7 * * 1,3,5', relative_day: null, relative_week: null, relative_weekday: null },
+        { title: 'First run', description: 'Run for a minute', cron: '0 7 * * *', relative_day: 1, relative_week: null, relative_weekday: null },
+        { title: 'Long run', description: '', cron: '0 8 * * *', relative_day: null, relative_week: 2, relative_weekday: 6 }
+      ]);
+    });
+
+    it('should export an imported program unchanged', async () => {
+      const exported = await call(exportProgram, USER_ID, { params: { programId: PROGRAM_ID } });
+      const imported = await importDocument(USER_ID, exported.body);
+
+      const reexported = await call(exportProgram, USER_ID, { params: { programId: imported.body.program.id } });
+
+      expect(reexported.body.program).toEqual(exported.body.program);
+      expect(reexported.body.activities).toEqual(exported.body.activities);
+    });
+
+    it('should reject documents with activities that have no schedule', async () => {
+      const exported = await call(exportProgram, USER_ID, { params: { programId: PROGRAM_ID } });
+      const document = { ...exported.body, activities: [...exported.body.activities, { title: 'Unscheduled', cron: null }] };
+
+      const res = await importDocument(USER_ID, document);
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('forkProgram', () => {
+    it('should copy the program and its current activities into a private program of the user', async () => {
+      const res = await call(forkProgram, USER_ID, { params: { programId: PROGRAM_ID } });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.program).toMatchObject({
+        title: 'Couch to 5K',
+        creator_id: USER_ID,
+        forked_from_id: PROGRAM_ID,
+        current_version: 1,
+        is_public: false
+      });
+      expect(res.body.program.activities.map(activity => activity.title)).toEqual(['Warm up', 'First run', 'Long run', 'Unscheduled']);
+      expect(getSchedules(res.body.program.id)).toEqual(getSchedules(PROGRAM_ID).filter(activity => activity.title !== 'Old stretch'));
+    });
+
+    it('should leave the source program untouched', async () => {
+      const before = JSON.parse(JSON.stringify(fake.tables.activities));
+
+      await call(forkProgram, USER_ID, { params: { programId: PROGRAM_ID } });
+
+      expect(fake.tables.activities.slice(0, before.length)).toEqual(before);
+      expect(fake.tables.programs.find(program => program.id === PROGRAM_ID).creator_id).toBe(CREATOR_ID);
+    });
+
+    it('should export a fork the same way as the program it was forked from', async () => {
+      const fork = await call(forkProgram, USER_ID, { params: { programId: PROGRAM_ID } });
+
+      const exportedFork = await call(exportProgram, USER_ID, { params: { programId: fork.body.program.id } });
+      const exportedSource = await call(exportProgram, USER_ID, { params: { programId: PROGRAM_ID } });
+
+      expect(exportedFork.body.program).toEqual(exportedSource.body.program);
+      expect(exportedFork.body.activities).toEqual(exportedSource.body.activities);
+    });
+
+    it('should let former subscribers fork a program that isn\'t public', async () => {
+      const res = await call(forkProgram, SUBSCRIBER_ID, { params: { programId: PRIVATE_PROGRAM_ID } });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.program.activities.map(activity => activity.title)).toEqual(['Check in']);
+    });
+
+    it('should refuse programs the user can\'t see and personal programs', async () => {
+      const hidden = await call(forkProgram, USER_ID, { params: { programId: PRIVATE_PROGRAM_ID } });
+      const personal = await call(forkProgram, USER_ID, { params: { programId: PERSONAL_PROGRAM_ID } });
+
+      expect(hidden.statusCode).toBe(403);
+      expect(personal.statusCode).toBe(403);
+      expect(fake.tables.programs).toHaveLength(3);
+    });
+  });
+});
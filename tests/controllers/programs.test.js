@@ -0,0 +1,123 @@
+import { jest } from '@jest/globals';
+
+// Every query the controllers run, by table or database function
+const queries = [];
+let rows = {};
+
+// Stand-in for a Supabase client that records each query it runs. Filters and
+// modifiers are chained as usual; awaiting the query returns the rows set up
+// for its table.
+const createQuery = (table) => {
+  const query = new Proxy({}, {
+    get: (target, prop) => {
+      if (prop === 'then') {
+        return (resolve, reject) => {
+          queries.push(table);
+          return Promise.resolve({ data: rows[table] || [], error: null }).then(resolve, reject);
+        };
+      }
+      return () => query;
+    }
+  });
+  return query;
+};
+
+const client = {
+  from: createQuery,
+  rpc: (name) => createQuery(`rpc:${name}`)
+};
+
+jest.unstable_mockModule('../../utils/db.js', () => ({
+  supabase: client,
+  supabaseAdmin: client,
+  createAuthenticatedClient: () => client,
+  fetchAllRows: async () => ({ data: [], error: null }),
+  default: {}
+}));
+
+const { getFeedPrograms, getUserPrograms, getCreatorPrograms } = await import('../../controllers/programs.js');
+
+const createPrograms = (count) => Array.from({ length: count }, (value, index) => ({
+  id: `program-${index}`,
+  title: `Program ${index}`,
+  current_version: 1
+}));
+
+// Rows returned for a listing of `count` programs, each with two subscribers and a rating
+const setUpPrograms = (count) => {
+  const programs = createPrograms(count);
+
+  rows = {
+    programs,
+    subscriptions: programs.map(program => ({
+      id: `subscription-${program.id}`,
+      status: 'active',
+      program_version: 1,
+      program
+    })),
+    'rpc:search_programs': programs.map((program, index) => ({
+      id: program.id,
+      subscriber_count: 2,
+      sort_value: count - index
+    })),
+    'rpc:program_stats': programs.map(program => ({
+      program_id: program.id,
+      subscriber_count: 2,
+      rating_average: '4.50',
+      rating_count: 6
+    }))
+  };
+};
+
+// Run a handler and return the response body and the number of queries it ran
+const runHandler = async (handler, count) => {
+  setUpPrograms(count);
+  queries.length = 0;
+
+  const req = {
+    user: { id: 'user-1' },
+    query: { limit: '50' },
+    header: () => 'Bearer token'
+  };
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+
+  await handler(req, res);
+  return { statusCode: res.statusCode, body: res.body, queryCount: queries.length };
+};
+
+describe('Program listing query counts', () => {
+  const listings = [
+    ['getFeedPrograms', getFeedPrograms, body => body.data],
+    ['getUserPrograms', getUserPrograms, body => body.data],
+    ['getCreatorPrograms', getCreatorPrograms, body => body.data]
+  ];
+
+  it.each(listings)('%s should run the same number of queries however many programs are listed', async (name, handler, getPrograms) => {
+    const small = await runHandler(handler, 1);
+    const large = await runHandler(handler, 40);
+
+    expect(small.statusCode).toBe(200);
+    expect(large.statusCode).toBe(200);
+    expect(getPrograms(large.body)).toHaveLength(40);
+    expect(large.queryCount).toBe(small.queryCount);
+    expect(large.queryCount).toBeLessThanOrEqual(3);
+  });
+
+  it.each(listings)('%s should include each program\'s subscriber count and rating', async (name, handler, getPrograms) => {
+    const { body } = await runHandler(handler, 3);
+
+    for (const program of getPrograms(body)) {
+      expect(program).toMatchObject({ subscriberCount: 2, ratingAverage: 4.5, ratingCount: 6 });
+    }
+    expect(getPrograms(body)).toHaveLength(3);
+  });
+});
@@ -0,0 +1,163 @@
+import { jest } from '@jest/globals';
+import { createFakeSupabase, createDbModule } from '../fakeSupabase.js';
+import { createRequest, createResponse } from '../fakeExpress.js';
+
+let fake;
+
+jest.unstable_mockModule('../../utils/db.js', () => createDbModule(() => fake));
+
+const { getProgramReviews, saveReview, reportReview, deleteReview } = await import('../../controllers/reviews.js');
+
+const CREATOR_ID = '00000000-0000-4000-8000-000000000001';
+const REVIEWER_ID = '00000000-0000-4000-8000-000000000002';
+const READER_ID = '00000000-0000-4000-8000-000000000003';
+const PROGRAM_ID = '00000000-0000-4000-8000-0000000000a1';
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const setUp = ({ isPublic = true, subscribedDaysAgo = 10 } = {}) => {
+  fake = createFakeSupabase({
+    profiles: [CREATOR_ID, REVIEWER_ID, READER_ID].map((id, index) => ({
+      id,
+      email: `user${index}@example.com`,
+      first_name: `User ${index}`
+    })),
+    programs: [{ id: PROGRAM_ID, title: 'Couch to 5K', creator_id: CREATOR_ID, is_public: isPublic }],
+    subscriptions: [{ user_id: REVIEWER_ID, program_id: PROGRAM_ID, created_at: daysAgo(subscribedDaysAgo) }]
+  });
+};
+
+const call = async (handler, userId, parts) => {
+  const res = createResponse();
+  await handler(createRequest(userId, parts), res);
+  return res;
+};
+
+describe('Reviews controller', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('saveReview', () => {
+    it('should add a review from a subscriber of more than a week', async () => {
+      setUp();
+
+      const res = await call(saveReview, REVIEWER_ID, { params: { programId: PROGRAM_ID }, body: { rating: 4, body: 'Steady progress' } });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data).toMatchObject({ rating: 4, body: 'Steady progress', reviewer: { id: REVIEWER_ID }, reply: null });
+      expect(fake.tables.program_reviews).toHaveLength(1);
+    });
+
+    it('should update the existing review instead of adding another', async () => {
+      setUp();
+      await call(saveReview, REVIEWER_ID, { params: { programId: PROGRAM_ID }, body: { rating: 4 } });
+
+      const res = await call(saveReview, REVIEWER_ID, { params: { programId: PROGRAM_ID }, body: { rating: 2 } });
+
+      expect(res.statusCode).toBe(200);
+      expect(fake.tables.program_reviews.map(review => review.rating)).toEqual([2]);
+    });
+
+    it('should refuse subscribers of less than a week, non-subscribers and the creator', async () => {
+      setUp({ subscribedDaysAgo: 3 });
+
+      expect((await call(saveReview, REVIEWER_ID, { params: { programId: PROGRAM_ID }, body: { rating: 5 } })).statusCode).toBe(403);
+      expect((await call(saveReview, READER_ID, { params: { programId: PROGRAM_ID }, body: { rating: 5 } })).statusCode).toBe(403);
+      expect((await call(saveReview, CREATOR_ID, { params: { programId: PROGRAM_ID }, body: { rating: 5 } })).statusCode).toBe(403);
+      expect(fake.tables.program_reviews).toHaveLength(0);
+    });
+  });
+
+  describe('getProgramReviews', () => {
+    it('should list the reviews of a public program with their replies', async () => {
+      setUp();
+      await call(saveReview, REVIEWER_ID, { params: { programId: PROGRAM_ID }, body: { rating: 5, body: 'Great' } });
+      fake.tables.program_review_replies.push({
+        id: '00000000-0000-4000-8000-0000000000c1',
+        review_id: fake.tables.program_reviews[0].id,
+        creator_id: CREATOR_ID,
+        body: 'Thanks!'
+      });
+
+      const res = await call(getProgramReviews, READER_ID, { params: { programId: PROGRAM_ID } });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0]).toMatchObject({ rating: 5, body: 'Great', reply: { body: 'Thanks!' } });
+      expect(res.body.pagination).toEqual({ limit: 20, cursor: null, nextCursor: null });
+    });
+
+    it('should only show the reviews of a program that is not public to its creator and subscribers', async () => {
+      setUp({ isPublic: false });
+
+      expect((await call(getProgramReviews, READER_ID, { params: { programId: PROGRAM_ID } })).statusCode).toBe(404);
+      expect((await call(getProgramReviews, REVIEWER_ID, { params: { programId: PROGRAM_ID } })).statusCode).toBe(200);
+      expect((await call(getProgramReviews, CREATOR_ID, { params: { programId: PROGRAM_ID } })).statusCode).toBe(200);
+    });
+
+    it('should leave out hidden reviews', async () => {
+      setUp();
+      await call(saveReview, REVIEWER_ID, { params: { programId: PROGRAM_ID }, body: { rating: 1 } });
+      fake.tables.program_reviews[0].is_hidden = true;
+
+      const res = await call(getProgramReviews, READER_ID, { params: { programId: PROGRAM_ID } });
+
+      expect(res.body.data).toEqual([]);
+    });
+  });
+
+  describe('reportReview', () => {
+    it('should record one report per user and refuse reports of the user\'s own review', async () => {
+      setUp();
+      await call(saveReview, REVIEWER_ID, { params: { programId: PROGRAM_ID }, body: { rating: 1 } });
+      const reviewId = fake.tables.program_reviews[0].id;
+
+      expect((await call(reportReview, READER_ID, { params: { reviewId }, body: { reason: 'spam' } })).statusCode).toBe(201);
+      expect((await call(reportReview, READER_ID, { params: { reviewId }, body: { reason: 'spam' } })).statusCode).toBe(409);
+      expect((await call(reportReview, REVIEWER_ID, { params: { reviewId }, body: { reason: 'abuse' } })).statusCode).toBe(400);
+      expect(fake.tables.review_reports).toHaveLength(1);
+    });
+  });
+
+  describe('deleteReview', () => {
+    it('should delete the user\'s review', async () => {
+      setUp();
+      await call(saveReview, REVIEWER_ID, { params: { programId: PROGRAM_ID }, body: { rating: 3 } });
+
+      const res = await call(deleteReview, REVIEWER_ID, { params: { programId: PROGRAM_ID } });
+
+      expect(res.statusCode).toBe(200);
+      expect(fake.tables.program_reviews).toHaveLength(0);
+    });
+
+    it('should keep a review hidden after reports, with its reports', async () => {
+      setUp();
+      await call(saveReview, REVIEWER_ID, { params: { programId: PROGRAM_ID }, body: { rating: 1 } });
+      const reviewId = fake.tables.program_reviews[0].id;
+      await call(reportReview, READER_ID, { params: { reviewId }, body: { reason: 'abuse' } });
+      fake.tables.program_reviews[0].is_hidden = true;
+
+      const res = await call(deleteReview, REVIEWER_ID, { params: { programId: PROGRAM_ID } });
+      const repost = await call(saveReview, REVIEWER_ID, { params: { programId: PROGRAM_ID }, body: { rating: 1 } });
+
+      expect(res.statusCode).toBe(403);
+      expect(repost.statusCode).toBe(200);
+      expect(fake.tables.program_reviews).toHaveLength(1);
+      expect(fake.tables.program_reviews[0].is_hidden).toBe(true);
+      expect(fake.tables.review_reports).toHaveLength(1);
+    });
+
+    it('should return 404 when the user has no review', async () => {
+      setUp();
+
+      const res = await call(deleteReview, REVIEWER_ID, { params: { programId: PROGRAM_ID } });
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+});
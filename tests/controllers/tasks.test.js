@@ -0,0 +1,194 @@
+import { jest } from '@jest/globals';
+import { createFakeSupabase, createDbModule } from '../fakeSupabase.js';
+import { createRequest, createResponse } from '../fakeExpress.js';
+
+let fake;
+
+jest.unstable_mockModule('../../utils/db.js', () => createDbModule(() => fake));
+
+const { populateUserTasksRange } = await import('../../controllers/tasks.js');
+const { pauseProgram, resumeProgram, unsubscribeProgram } = await import('../../controllers/programs.js');
+
+const USER_ID = '00000000-0000-4000-8000-000000000001';
+const CREATOR_ID = '00000000-0000-4000-8000-000000000002';
+const PROGRAM_ID = '00000000-0000-4000-8000-0000000000a1';
+const ACTIVITY_ID = '00000000-0000-4000-8000-0000000000b1';
+
+// Set the current time to noon UTC on a day
+const setToday = (day) => {
+  jest.setSystemTime(new Date(`${day}T12:00:00Z`));
+};
+
+const setUp = () => {
+  fake = createFakeSupabase({
+    profiles: [
+      { id: USER_ID, email: 'user@example.com' },
+      { id: CREATOR_ID, email: 'creator@example.com' }
+    ],
+    programs: [{ id: PROGRAM_ID, title: 'Daily stretch', creator_id: CREATOR_ID, is_public: true }],
+    activities: [{ id: ACTIVITY_ID, program_id: PROGRAM_ID, title: 'Stretch', cron: '0 9 * * *' }],
+    subscriptions: [{ user_id: USER_ID, program_id: PROGRAM_ID, start_date: '2024-02-20' }]
+  });
+};
+
+const call = async (handler, parts) => {
+  const res = createResponse();
+  await handler(createRequest(USER_ID, parts), res);
+  return res;
+};
+
+const getTaskDays = () => fake.tables.tasks.map(task => task.due_date).sort();
+
+describe('Tasks controller', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  describe('populating after a pause', () => {
+    it('should not create tasks for the days a subscription was paused once it is resumed', async () => {
+      setUp();
+      setToday('2024-03-01');
+      expect((await call(pauseProgram, { params: { programId: PROGRAM_ID }, body: {} })).statusCode).toBe(200);
+
+      setToday('2024-03-05');
+      expect((await call(resumeProgram, { params: { programId: PROGRAM_ID } })).statusCode).toBe(200);
+      const res = await call(populateUserTasksRange, { body: { startDate: '2024-02-28', endDate: '2024-03-07' } });
+
+      expect(res.statusCode).toBe(200);
+      expect(getTaskDays()).toEqual(['2024-02-28', '2024-02-29', '2024-03-05', '2024-03-06', '2024-03-07']);
+      expect(fake.tables.subscription_pauses).toEqual([
+        expect.objectContaining({ paused_from: '2024-03-01', resume_on: '2024-03-05' })
+      ]);
+    });
+
+    it('should not create tasks for the days before a scheduled resume', async () => {
+      setUp();
+      setToday('2024-03-01');
+      await call(pauseProgram, { params: { programId: PROGRAM_ID }, body: { resumeOn: '2024-03-04' } });
+
+      setToday('2024-03-06');
+      const res = await call(populateUserTasksRange, { body: { startDate: '2024-02-29', endDate: '2024-03-06' } });
+
+      expect(res.statusCode).toBe(200);
+      expect(getTaskDays()).toEqual(['2024-02-29', '2024-03-04', '2024-03-05', '2024-03-06']);
+      expect(fake.tables.subscriptions[0]).toMatchObject({ status: 'active', resume_on: null });
+    });
+
+    it('should keep every pause when a subscription is paused more than once', async () => {
+      setUp();
+      setToday('2024-03-01');
+      await call(pauseProgram, { params: { programId: PROGRAM_ID }, body: {} });
+      setToday('2024-03-03');
+      await call(resumeProgram, { params: { programId: PROGRAM_ID } });
+      setToday('2024-03-05');
+      await call(pauseProgram, { params: { programId: PROGRAM_ID }, body: { resumeOn: '2024-03-09' } });
+      // Pausing again only moves the resume date of the current pause
+      await call(pauseProgram, { params: { programId: PROGRAM_ID }, body: { resumeOn: '2024-03-07' } });
+
+      setToday('2024-03-08');
+      await call(populateUserTasksRange, { body: { startDate: '2024-03-01', endDate: '2024-03-08' } });
+
+      expect(getTaskDays()).toEqual(['2024-03-03', '2024-03-04', '2024-03-07', '2024-03-08']);
+      expect(fake.tables.subscription_pauses.map(pause => [pause.paused_from, pause.resume_on])).toEqual([
+        ['2024-03-01', '2024-03-03'],
+        ['2024-03-05', '2024-03-07']
+      ]);
+    });
+  });
+
+  describe('unsubscribing', () => {
+    it('should delete future tasks of activities retired in a later version', async () => {
+      setUp();
+      setToday('2024-03-01');
+      await call(populateUserTasksRange, { body: { startDate: '2024-02-28', endDate: '2024-03-03' } });
+
+      // The creator replaced the activity; the user still follows the first version
+      Object.assign(fake.tables.activities[0], { is_deleted: true, version_removed: 2 });
+
+      expect((await call(unsubscribeProgram, { params: { programId: PROGRAM_ID } })).statusCode).toBe(200);
+      expect(getTaskDays()).toEqual(['2024-02-28', '2024-02-29']);
+    });
+  });
+
+  describe('populateUserTasksRange', () => {
+    beforeEach(() => {
+      setUp();
+      setToday('2024-03-01');
+    });
+
+    it('should create the tasks of each day in the range and count them by day', async () => {
+      const res = await call(populateUserTasksRange, { body: { startDate: '2024-03-01', endDate: '2024-03-03' } });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({
+        message: 'Tasks populated for range',
+        count: 3,
+        days: { '2024-03-01': 1, '2024-03-02': 1, '2024-03-03': 1 }
+      });
+      expect(fake.tables.tasks[0]).toMatchObject({ user_id: USER_ID, activity_id: ACTIVITY_ID, title: 'Stretch', due_time: '09:00:00' });
+    });
+
+    it('should not create tasks twice when a range is populated again', async () => {
+      await call(populateUserTasksRange, { body: { startDate: '2024-03-01', endDate: '2024-03-03' } });
+
+      const res = await call(populateUserTasksRange, { body: { startDate: '2024-02-29', endDate: '2024-03-03' } });
+
+      expect(res.body.count).toBe(1);
+      expect(getTaskDays()).toEqual(['2024-02-29', '2024-03-01', '2024-03-02', '2024-03-03']);
+    });
+
+    it('should not create tasks before the subscription\'s start date', async () => {
+      const res = await call(populateUserTasksRange, { body: { startDate: '2024-02-18', endDate: '2024-02-21' } });
+
+      expect(res.body.days).toEqual({ '2024-02-18': 0, '2024-02-19': 0, '2024-02-20': 1, '2024-02-21': 1 });
+    });
+
+    it('should accept a range of up to 62 days', async () => {
+      const res = await call(populateUserTasksRange, { body: { startDate: '2024-03-01', endDate: '2024-05-01' } });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.count).toBe(62);
+    });
+
+    it('should not create tasks twice when more tasks exist in the range than fit in one page', async () => {
+      // 20 daily activities over 62 days already have 1240 tasks
+      for (let index = 1; index < 20; index++) {
+        fake.tables.activities.push({ ...fake.tables.activities[0], id: `00000000-0000-4000-8000-0000000001${String(index).padStart(2, '0')}` });
+      }
+      const range = { startDate: '2024-03-01', endDate: '2024-05-01' };
+      expect((await call(populateUserTasksRange, { body: range })).body.count).toBe(1240);
+
+      const res = await call(populateUserTasksRange, { body: range });
+
+      expect(res.body.count).toBe(0);
+      expect(fake.tables.tasks).toHaveLength(1240);
+    });
+
+    it('should reject longer ranges without querying anything', async () => {
+      const longer = await call(populateUserTasksRange, { body: { startDate: '2024-03-01', endDate: '2024-05-02' } });
+      const huge = await call(populateUserTasksRange, { body: { startDate: '0001-01-01', endDate: '9999-12-31' } });
+
+      expect(longer.statusCode).toBe(400);
+      expect(longer.body.message).toBe('Date range cannot exceed 62 days');
+      expect(huge.statusCode).toBe(400);
+      expect(fake.queries).toHaveLength(0);
+    });
+
+    it('should reject invalid days and ranges that end before they start', async () => {
+      const invalid = await call(populateUserTasksRange, { body: { startDate: '2024-02-30', endDate: '2024-03-01' } });
+      const reversed = await call(populateUserTasksRange, { body: { startDate: '2024-03-02', endDate: '2024-03-01' } });
+
+      expect(invalid.statusCode).toBe(400);
+      expect(reversed.statusCode).toBe(400);
+      expect(reversed.body.message).toBe('End date must not be before start date');
+    });
+  });
+});
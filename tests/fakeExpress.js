@@ -0,0 +1,68 @@
+/**
+ * Stand-ins for Express requests and responses, for calling controllers directly
+ */
+
+/**
+ * Create a request from a logged-in user
+ * @param {string} userId - ID of the user
+ * @param {Object} parts - Request `params`, `query` and `body`
+ * @returns {Object} - The request
+ */
+export const createRequest = (userId, { params = {}, query = {}, body = {}, file } = {}) => ({
+  user: { id: userId },
+  params,
+  query,
+  body,
+  file,
+  header: (name) => (name.toLowerCase() === 'authorization' ? 'Bearer test-token' : undefined)
+});
+
+/**
+ * Create a response that records its status, body and headers
+ * @returns {Object} - The response
+ */
+export const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      return res;
+    },
+    set(name, value) {
+      if (typeof name === 'object') {
+        Object.assign(res.headers, name);
+      } else {
+        res.headers[name] = value;
+      }
+      return res;
+    },
+    setHeader(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    attachment(filename) {
+      res.headers['Content-Disposition'] = `attachment; filename="${filename}"`;
+      return res;
+    },
+    type(value) {
+      res.headers['Content-Type'] = value;
+      return res;
+    }
+  };
+  return res;
+};
+
+export default {
+  createRequest,
+  createResponse
+};
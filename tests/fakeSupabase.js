@@ -0,0 +1,534 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+
+/**
+ * In-memory stand-in for a Supabase client, for controller and job tests
+ * Tables, columns, defaults, unique constraints and foreign keys are read
+ * from migrations/supabase-schema.sql, so a query naming a column that
+ * doesn't exist fails here as it would against the database. Row level
+ * security is not applied: the client acts like the service role. Like the
+ * API, a select returns at most MAX_ROWS rows, so lists that can grow past
+ * that must be read in pages.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCHEMA_PATH = path.resolve(__dirname, '..', 'migrations', 'supabase-schema.sql');
+
+// Most rows the API returns for one request
+const MAX_ROWS = 1000;
+
+// Evaluate a column's DEFAULT for a new row
+const parseDefault = (definition, type) => {
+  const match = definition.match(/DEFAULT\s+(NOW\(\)|TRUE|FALSE|NULL|CURRENT_DATE|uuid_generate_v4\(\)|-?\d+(?:\.\d+)?|'[^']*')/i);
+  if (!match) {
+    return undefined;
+  }
+
+  const value = match[1];
+  if (/^NOW\(\)$/i.test(value)) return () => new Date().toISOString();
+  if (/^CURRENT_DATE$/i.test(value)) return () => new Date().toISOString().split('T')[0];
+  if (/^uuid_generate_v4\(\)$/i.test(value)) return () => randomUUID();
+  if (/^TRUE$/i.test(value)) return () => true;
+  if (/^FALSE$/i.test(value)) return () => false;
+  if (/^NULL$/i.test(value)) return () => null;
+  if (value.startsWith("'")) {
+    const text = value.slice(1, -1);
+    if (type.endsWith('[]')) {
+      const items = text.replace(/^\{|\}$/g, '').split(',').filter(Boolean);
+      return () => (type.startsWith('INTEGER') ? items.map(Number) : items);
+    }
+    return () => text;
+  }
+  return () => Number(value);
+};
+
+/**
+ * Read the tables of the schema file
+ * @returns {Object} - Tables by name, each with `columns` and `unique` column sets
+ */
+export const loadSchema = () => {
+  const sql = fs.readFileSync(SCHEMA_PATH, 'utf8');
+  const tables = {};
+
+  for (const [, name, body] of sql.matchAll(/CREATE TABLE IF NOT EXISTS (\w+) \(\n([\s\S]*?)\n\);/g)) {
+    const table = { columns: {}, unique: [] };
+
+    for (const rawLine of body.split('\n')) {
+      const line = rawLine.trim().replace(/,$/, '');
+      const constraint = line.match(/^UNIQUE\s*\(([^)]+)\)/i);
+      if (constraint) {
+        table.unique.push(constraint[1].split(',').map(column => column.trim()));
+        continue;
+      }
+
+      const column = line.match(/^([a-z_]+)\s+([A-Z]+(?: PRECISION)?(?:\[\])?)(.*)$/);
+      if (!column || ['CHECK', 'PRIMARY', 'FOREIGN', 'CONSTRAINT'].includes(column[1].toUpperCase())) {
+        continue;
+      }
+
+      const [, columnName, type, definition] = column;
+      const reference = definition.match(/REFERENCES\s+([\w.]+)\((\w+)\)(?:\s+ON DELETE (CASCADE|SET NULL))?/i);
+      table.columns[columnName] = {
+        type,
+        default: parseDefault(definition, type),
+        references: reference ? { table: reference[1], column: reference[2], onDelete: reference[3] || null } : null
+      };
+
+      if (/\bUNIQUE\b/i.test(definition) || /\bPRIMARY KEY\b/i.test(definition)) {
+        table.unique.push([columnName]);
+      }
+    }
+
+    tables[name] = table;
+  }
+
+  return tables;
+};
+
+// Split a select or filter list on commas outside parentheses
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')') depth--;
+    if (!quoted && depth === 0 && char === ',') {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) {
+    parts.push(current.trim());
+  }
+  return parts;
+};
+
+// Parse a PostgREST select list into columns and embedded resources
+const parseSelect = (text) => {
+  return splitTopLevel(text.replace(/\s+/g, ' ')).map(item => {
+    const embed = item.match(/^(?:(\w+):)?\s*(\w+)(?:!\w+)?\s*\((.*)\)$/s);
+    if (embed) {
+      return { type: 'embed', alias: embed[1] || embed[2], source: embed[2], items: parseSelect(embed[3]) };
+    }
+
+    if (item === '*') {
+      return { type: 'star' };
+    }
+
+    const [alias, column] = item.includes(':') ? item.split(':').map(part => part.trim()) : [item, item];
+    return { type: 'column', alias, column };
+  });
+};
+
+const isMissing = (value) => value === null || value === undefined;
+
+// Compare two values as the database would for sorting and ranges
+const compare = (a, b) => {
+  if (typeof a === 'number' && !isMissing(b) && !Number.isNaN(Number(b))) return a - Number(b);
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+};
+
+const equals = (a, b) => !isMissing(a) && !isMissing(b) && String(a) === String(b);
+
+// Parse a filter value written in PostgREST syntax
+const parseFilterValue = (value) => {
+  if (value.startsWith('"') && value.endsWith('"')) return value.slice(1, -1);
+  if (value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+};
+
+// Build a row test for one PostgREST operator
+const createCondition = (column, operator, value) => {
+  switch (operator) {
+    case 'eq': return row => equals(row[column], value);
+    case 'neq': return row => !isMissing(row[column]) && !equals(row[column], value);
+    case 'gt': return row => !isMissing(row[column]) && compare(row[column], value) > 0;
+    case 'gte': return row => !isMissing(row[column]) && compare(row[column], value) >= 0;
+    case 'lt': return row => !isMissing(row[column]) && compare(row[column], value) < 0;
+    case 'lte': return row => !isMissing(row[column]) && compare(row[column], value) <= 0;
+    case 'in': {
+      const values = Array.isArray(value) ? value : String(value).replace(/^\(|\)$/g, '').split(',').map(parseFilterValue);
+      return row => values.some(item => equals(row[column], item));
+    }
+    case 'is': return row => (value === null ? isMissing(row[column]) : row[column] === value);
+    case 'cs': return row => Array.isArray(row[column]) && value.every(item => row[column].includes(item));
+    case 'like':
+    case 'ilike': {
+      const pattern = new RegExp(`^${String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*')}$`, operator === 'ilike' ? 'i' : '');
+      return row => !isMissing(row[column]) && pattern.test(String(row[column]));
+    }
+    default:
+      throw new Error(`Filter operator "${operator}" is not supported by the fake client`);
+  }
+};
+
+// Parse the conditions of an or() filter, including nested and() groups
+const parseLogicTree = (text) => {
+  return splitTopLevel(text).map(part => {
+    const group = part.match(/^(and|or)\((.*)\)$/s);
+    if (group) {
+      const conditions = parseLogicTree(group[2]);
+      return { columns: conditions.flatMap(condition => condition.columns), test: group[1] === 'and'
+        ? row => conditions.every(condition => condition.test(row))
+        : row => conditions.some(condition => condition.test(row)) };
+    }
+
+    const [, column, negated, operator, value] = part.match(/^(\w+)\.(not\.)?(\w+)\.(.*)$/s);
+    const condition = createCondition(column, operator, parseFilterValue(value));
+    return { columns: [column], test: negated ? row => !condition(row) : condition };
+  });
+};
+
+/**
+ * Create a fake Supabase client over in-memory tables
+ * @param {Object} seed - Rows to start with, by table name; defaults are filled in
+ * @param {Object} functions - Database functions for rpc(), called with their arguments and the tables
+ * @returns {Object} - The `client`, its `tables` and the `queries` it has run
+ */
+export const createFakeSupabase = (seed = {}, functions = {}) => {
+  const schema = loadSchema();
+  const tables = Object.fromEntries(Object.keys(schema).map(name => [name, []]));
+  const queries = [];
+
+  const columnError = (table, column) => ({ code: '42703', message: `column ${table}.${column} does not exist` });
+
+  const findUnknownColumn = (table, columns) => columns.find(column => !(column in schema[table].columns));
+
+  // Fill in defaults for a new row
+  const createRow = (table, values) => {
+    const row = {};
+    for (const [column, definition] of Object.entries(schema[table].columns)) {
+      if (column in values) {
+        row[column] = values[column];
+      } else if (definition.default) {
+        row[column] = definition.default();
+      } else {
+        row[column] = null;
+      }
+    }
+    return row;
+  };
+
+  // Find a row that would break a unique constraint
+  const findConflict = (table, row, columnSets = schema[table].unique) => {
+    for (const columns of columnSets) {
+      if (columns.some(column => isMissing(row[column]))) continue;
+      const existing = tables[table].find(other => other !== row && columns.every(column => equals(other[column], row[column])));
+      if (existing) return existing;
+    }
+    return null;
+  };
+
+  // Remove rows, applying ON DELETE actions of the tables that reference them
+  const deleteRows = (table, rows) => {
+    tables[table] = tables[table].filter(row => !rows.includes(row));
+
+    for (const [otherTable, definition] of Object.entries(schema)) {
+      for (const [column, { references }] of Object.entries(definition.columns)) {
+        if (!references || references.table !== table) continue;
+
+        const ids = rows.map(row => row[references.column]);
+        const dependents = tables[otherTable].filter(other => ids.some(id => equals(other[column], id)));
+        if (references.onDelete === 'CASCADE') {
+          deleteRows(otherTable, dependents);
+        } else if (references.onDelete === 'SET NULL') {
+          dependents.forEach(other => { other[column] = null; });
+        }
+      }
+    }
+  };
+
+  // Shape a row as selected, resolving embedded resources through foreign keys
+  const project = (table, row, items) => {
+    const result = {};
+
+    for (const item of items) {
+      if (item.type === 'star') {
+        Object.assign(result, row);
+      } else if (item.type === 'column') {
+        if (!(item.column in schema[table].columns)) throw columnError(table, item.column);
+        result[item.alias] = row[item.column];
+      } else {
+        const column = schema[table].columns[item.source];
+        if (column && column.references) {
+          // Many-to-one through a column of this table
+          const target = column.references.table;
+          const related = (tables[target] || []).find(other => equals(other[column.references.column], row[item.source]));
+          result[item.alias] = related ? project(target, related, item.items) : null;
+        } else if (schema[item.source]) {
+          // One-to-many through a column of the embedded table
+          const [foreignKey] = Object.entries(schema[item.source].columns)
+            .find(([, definition]) => definition.references && definition.references.table === table) || [];
+          if (!foreignKey) throw { code: 'PGRST200', message: `No relationship between ${table} and ${item.source}` };
+
+          const related = tables[item.source].filter(other => equals(other[foreignKey], row.id));
+          const oneToOne = schema[item.source].unique.some(columns => columns.length === 1 && columns[0] === foreignKey);
+          result[item.alias] = oneToOne
+            ? (related[0] ? project(item.source, related[0], item.items) : null)
+            : related.map(other => project(item.source, other, item.items));
+        } else {
+          throw { code: 'PGRST200', message: `No relationship between ${table} and ${item.source}` };
+        }
+      }
+    }
+
+    return result;
+  };
+
+  const from = (table) => {
+    const state = {
+      operation: 'select',
+      columns: null,
+      options: {},
+      payload: null,
+      filters: [],
+      filterColumns: [],
+      orders: [],
+      limit: null,
+      range: null,
+      single: false,
+      maybeSingle: false,
+      returning: false
+    };
+
+    const addFilter = (column, operator, value) => {
+      state.filterColumns.push(column);
+      state.filters.push(createCondition(column, operator, value));
+      return builder;
+    };
+
+    const run = () => {
+      if (!schema[table]) {
+        return { data: null, error: { code: '42P01', message: `relation "${table}" does not exist` } };
+      }
+
+      const unknownFilter = findUnknownColumn(table, state.filterColumns.concat(state.orders.map(order => order.column)));
+      if (unknownFilter) {
+        return { data: null, error: columnError(table, unknownFilter) };
+      }
+
+      const matches = () => tables[table].filter(row => state.filters.every(test => test(row)));
+      let rows;
+
+      if (state.operation === 'insert' || state.operation === 'upsert') {
+        const payload = Array.isArray(state.payload) ? state.payload : [state.payload];
+        const unknownColumn = findUnknownColumn(table, payload.flatMap(values => Object.keys(values)));
+        if (unknownColumn) {
+          return { data: null, error: columnError(table, unknownColumn) };
+        }
+
+        rows = [];
+        for (const values of payload) {
+          const conflictColumns = state.options.onConflict
+            ? [state.options.onConflict.split(',').map(column => column.trim())]
+            : [['id']];
+          const existing = state.operation === 'upsert' ? findConflict(table, values, conflictColumns) : null;
+
+          if (existing) {
+            if (!state.options.ignoreDuplicates) {
+              Object.assign(existing, values);
+              rows.push(existing);
+            }
+            continue;
+          }
+
+          const row = createRow(table, values);
+          if (findConflict(table, row)) {
+            return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on ${table}` } };
+          }
+          tables[table].push(row);
+          rows.push(row);
+        }
+      } else if (state.operation === 'update') {
+        const unknownColumn = findUnknownColumn(table, Object.keys(state.payload));
+        if (unknownColumn) {
+          return { data: null, error: columnError(table, unknownColumn) };
+        }
+
+        rows = matches();
+        rows.forEach(row => Object.assign(row, state.payload));
+      } else if (state.operation === 'delete') {
+        rows = matches();
+        deleteRows(table, rows);
+      } else {
+        rows = matches();
+      }
+
+      for (const { column, ascending } of [...state.orders].reverse()) {
+        rows = [...rows].sort((a, b) => {
+          if (isMissing(a[column]) || isMissing(b[column])) {
+            return (isMissing(a[column]) ? 1 : 0) - (isMissing(b[column]) ? 1 : 0);
+          }
+          return ascending ? compare(a[column], b[column]) : -compare(a[column], b[column]);
+        });
+      }
+
+      const count = rows.length;
+      if (state.range) rows = rows.slice(state.range[0], state.range[1] + 1);
+      if (state.limit !== null) rows = rows.slice(0, state.limit);
+      if (state.operation === 'select') rows = rows.slice(0, MAX_ROWS);
+
+      if (state.options.head) {
+        return { data: null, error: null, count };
+      }
+
+      if (state.operation !== 'select' && !state.returning) {
+        return { data: null, error: null, count };
+      }
+
+      let data;
+      try {
+        const items = parseSelect(state.columns || '*');
+        data = rows.map(row => project(table, row, items));
+      } catch (error) {
+        return { data: null, error };
+      }
+
+      if (state.single || state.maybeSingle) {
+        if (data.length > 1 || (state.single && data.length === 0)) {
+          return { data: null, error: { code: 'PGRST116', message: `JSON object requested, ${data.length} rows returned` } };
+        }
+        return { data: data[0] || null, error: null };
+      }
+
+      return { data, error: null, count };
+    };
+
+    const builder = {
+      select(columns = '*', options = {}) {
+        state.columns = columns;
+        if (state.operation === 'select') {
+          state.options = { ...state.options, ...options };
+        } else {
+          state.returning = true;
+        }
+        return builder;
+      },
+      insert(payload) { state.operation = 'insert'; state.payload = payload; return builder; },
+      upsert(payload, options = {}) { state.operation = 'upsert'; state.payload = payload; state.options = options; return builder; },
+      update(payload) { state.operation = 'update'; state.payload = payload; return builder; },
+      delete() { state.operation = 'delete'; return builder; },
+      eq: (column, value) => addFilter(column, 'eq', value),
+      neq: (column, value) => addFilter(column, 'neq', value),
+      gt: (column, value) => addFilter(column, 'gt', value),
+      gte: (column, value) => addFilter(column, 'gte', value),
+      lt: (column, value) => addFilter(column, 'lt', value),
+      lte: (column, value) => addFilter(column, 'lte', value),
+      in: (column, values) => addFilter(column, 'in', values),
+      is: (column, value) => addFilter(column, 'is', value),
+      like: (column, value) => addFilter(column, 'like', value),
+      ilike: (column, value) => addFilter(column, 'ilike', value),
+      contains: (column, value) => addFilter(column, 'cs', value),
+      match(values) {
+        Object.entries(values).forEach(([column, value]) => addFilter(column, 'eq', value));
+        return builder;
+      },
+      not(column, operator, value) {
+        state.filterColumns.push(column);
+        const condition = createCondition(column, operator, value);
+        state.filters.push(row => !condition(row));
+        return builder;
+      },
+      or(text) {
+        const conditions = parseLogicTree(text);
+        state.filterColumns.push(...conditions.flatMap(condition => condition.columns));
+        state.filters.push(row => conditions.some(condition => condition.test(row)));
+        return builder;
+      },
+      order(column, { ascending = true } = {}) { state.orders.push({ column, ascending }); return builder; },
+      limit(count) { state.limit = count; return builder; },
+      range(start, end) { state.range = [start, end]; return builder; },
+      single() { state.single = true; return builder; },
+      maybeSingle() { state.maybeSingle = true; return builder; },
+      then(resolve, reject) {
+        queries.push({ table, operation: state.operation });
+        return Promise.resolve().then(run).then(resolve, reject);
+      }
+    };
+
+    return builder;
+  };
+
+  const rpc = (name, args = {}) => {
+    let range = null;
+    const call = {
+      range(start, end) { range = [start, end]; return call; },
+      then(resolve, reject) {
+        queries.push({ table: `rpc:${name}`, operation: 'rpc' });
+        return Promise.resolve()
+          .then(() => {
+            if (!functions[name]) {
+              return { data: null, error: { code: '42883', message: `function ${name} does not exist` } };
+            }
+            const data = functions[name](args, tables);
+            return { data: range && Array.isArray(data) ? data.slice(range[0], range[1] + 1) : data, error: null };
+          })
+          .then(resolve, reject);
+      }
+    };
+    return call;
+  };
+
+  for (const [table, rows] of Object.entries(seed)) {
+    if (!schema[table]) {
+      throw new Error(`Unknown table "${table}" in test data`);
+    }
+    const unknownColumn = findUnknownColumn(table, rows.flatMap(row => Object.keys(row)));
+    if (unknownColumn) {
+      throw new Error(`Unknown column "${table}.${unknownColumn}" in test data`);
+    }
+    tables[table].push(...rows.map(row => createRow(table, row)));
+  }
+
+  return { client: { from, rpc }, tables, queries };
+};
+
+/**
+ * Build a replacement for utils/db.js whose clients all use the current fake
+ * @param {Function} getFake - Returns the fake made by createFakeSupabase for the running test
+ * @returns {Object} - Module exports for jest.unstable_mockModule
+ */
+export const createDbModule = (getFake) => {
+  const client = {
+    from: (table) => getFake().client.from(table),
+    rpc: (name, args) => getFake().client.rpc(name, args)
+  };
+
+  return {
+    supabase: client,
+    supabaseAdmin: client,
+    createAuthenticatedClient: () => client,
+    // Same paging as utils/db.js
+    fetchAllRows: async (buildQuery, pageSize = MAX_ROWS) => {
+      const rows = [];
+      for (let from = 0; ; from += pageSize) {
+        const { data, error } = await buildQuery().range(from, from + pageSize - 1);
+        if (error) {
+          return { data: null, error };
+        }
+        rows.push(...data);
+        if (data.length < pageSize) {
+          return { data: rows, error: null };
+        }
+      }
+    },
+    default: {}
+  };
+};
+
+export default {
+  loadSchema,
+  createFakeSupabase,
+  createDbModule
+};
@@ -0,0 +1,77 @@
+import { jest } from '@jest/globals';
+import { createFakeSupabase, createDbModule } from '../fakeSupabase.js';
+
+let fake;
+const deleteUser = jest.fn();
+const deleteFile = jest.fn();
+const deletePrivateFiles = jest.fn();
+
+jest.unstable_mockModule('../../utils/db.js', () => {
+  const db = createDbModule(() => fake);
+  return { ...db, supabaseAdmin: { ...db.supabaseAdmin, auth: { admin: { deleteUser } } } };
+});
+jest.unstable_mockModule('../../utils/storage.js', () => ({
+  deleteFile,
+  deletePrivateFiles,
+  default: {}
+}));
+
+const { supabaseAdmin } = await import('../../utils/db.js');
+const { purgeDeletedAccounts } = await import('../../jobs/accountDeletions.js');
+
+const LEAVING_USER_ID = '00000000-0000-4000-8000-000000000001';
+const OTHER_USER_ID = '00000000-0000-4000-8000-000000000002';
+const STORAGE_URL = 'https://project.supabase.co/storage/v1/object/public';
+const AVATAR_URL = `${STORAGE_URL}/avatars/leaving.png`;
+const SHARED_IMAGE_URL = `${STORAGE_URL}/programs/shared.png`;
+const OWN_IMAGE_URL = `${STORAGE_URL}/programs/own.png`;
+
+describe('Account deletions job', () => {
+  beforeEach(() => {
+    deleteUser.mockReset().mockResolvedValue({ error: null });
+    deleteFile.mockReset().mockResolvedValue(true);
+    deletePrivateFiles.mockReset().mockResolvedValue(true);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    fake = createFakeSupabase({
+      profiles: [
+        {
+          id: LEAVING_USER_ID,
+          email: 'leaving@example.com',
+          avatar_url: AVATAR_URL,
+          is_active: false,
+          deletion_requested_at: '2024-01-01T00:00:00.000Z',
+          deletion_scheduled_for: '2024-01-31T00:00:00.000Z'
+        },
+        { id: OTHER_USER_ID, email: 'other@example.com' }
+      ],
+      programs: [
+        { title: 'Original', creator_id: LEAVING_USER_ID, image_url: SHARED_IMAGE_URL },
+        { title: 'Second', creator_id: LEAVING_USER_ID, image_url: OWN_IMAGE_URL },
+        { title: 'Third', creator_id: LEAVING_USER_ID, image_url: OWN_IMAGE_URL },
+        // A fork keeps the image of the program it was made from
+        { title: 'Original (fork)', creator_id: OTHER_USER_ID, image_url: SHARED_IMAGE_URL }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('should delete the account\'s files with the service role', async () => {
+    await purgeDeletedAccounts();
+
+    expect(deleteUser).toHaveBeenCalledWith(LEAVING_USER_ID);
+    expect(deleteFile).toHaveBeenCalledWith(AVATAR_URL, supabaseAdmin);
+    expect(deleteFile).toHaveBeenCalledWith(OWN_IMAGE_URL, supabaseAdmin);
+  });
+
+  it('should keep program images that programs of other users still use', async () => {
+    await purgeDeletedAccounts();
+
+    expect(fake.tables.programs.map(program => program.title)).toEqual(['Original (fork)']);
+    expect(deleteFile).not.toHaveBeenCalledWith(SHARED_IMAGE_URL, expect.anything());
+    expect(deleteFile.mock.calls.filter(([url]) => url === OWN_IMAGE_URL)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,144 @@
+import { jest } from '@jest/globals';
+import { createFakeSupabase, createDbModule } from '../fakeSupabase.js';
+
+let fake;
+const sendMail = jest.fn();
+
+jest.unstable_mockModule('../../utils/db.js', () => createDbModule(() => fake));
+jest.unstable_mockModule('../../utils/mailer.js', () => ({
+  transporter: { sendMail },
+  createMailTransporter: () => ({ sendMail }),
+  default: {}
+}));
+
+const { sendDigests } = await import('../../jobs/digests.js');
+
+const USER_ID = '00000000-0000-4000-8000-000000000001';
+const PROGRAM_ID = '00000000-0000-4000-8000-0000000000a1';
+// A Sunday, when weekly digests go out
+const TODAY = '2024-03-03';
+
+const setUp = ({ settings = {}, tasks = [] } = {}) => {
+  fake = createFakeSupabase({
+    profiles: [{ id: USER_ID, email: 'user@example.com' }],
+    programs: [{ id: PROGRAM_ID, title: 'Daily stretch', creator_id: USER_ID, is_public: true }],
+    settings: [{ user_id: USER_ID, daily_digest_enabled: true, digest_time: '07:00', ...settings }],
+    tasks: tasks.map(task => ({ user_id: USER_ID, ...task }))
+  });
+};
+
+// Make every query on a table fail, until the returned function is called
+const failTable = (table) => {
+  const from = fake.client.from;
+  const failing = new Proxy({}, {
+    get: (target, property) => property === 'then'
+      ? (resolve) => resolve({ data: null, count: null, error: { message: 'Query timed out' } })
+      : () => failing
+  });
+  fake.client.from = (name) => (name === table ? failing : from(name));
+  return () => {
+    fake.client.from = from;
+  };
+};
+
+const getRunKeys = () => fake.tables.job_runs.map(run => run.run_key);
+
+describe('Digests job', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date(`${TODAY}T07:30:00Z`), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    sendMail.mockReset();
+    sendMail.mockResolvedValue({ messageId: '1' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  it('should email the daily digest of today\'s tasks once', async () => {
+    setUp({ tasks: [{ title: 'Stretch', due_date: TODAY, due_time: '09:00', program_id: PROGRAM_ID }] });
+
+    await sendDigests();
+    await sendDigests();
+
+    expect(sendMail).toHaveBeenCalledTimes(1);
+    expect(sendMail.mock.calls[0][0]).toMatchObject({
+      to: 'user@example.com',
+      subject: `Your tasks for ${TODAY}: 1 to do`,
+      headers: { 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+    });
+    expect(sendMail.mock.calls[0][0].text).toContain('- [09:00] Stretch (Daily stretch)');
+  });
+
+  it('should keep the claim without sending when there is nothing to report', async () => {
+    setUp();
+
+    await sendDigests();
+
+    expect(sendMail).not.toHaveBeenCalled();
+    expect(getRunKeys()).toEqual([`${USER_ID}:daily:${TODAY}`]);
+  });
+
+  it('should release the claim when the digest can\'t be built, and send it on a later tick', async () => {
+    setUp({ tasks: [{ title: 'Stretch', due_date: TODAY }] });
+    const restore = failTable('tasks');
+
+    await sendDigests();
+
+    expect(sendMail).not.toHaveBeenCalled();
+    expect(getRunKeys()).toEqual([]);
+
+    restore();
+    await sendDigests();
+
+    expect(sendMail).toHaveBeenCalledTimes(1);
+  });
+
+  it('should release the claim when sending fails', async () => {
+    sendMail.mockRejectedValue(new Error('Connection refused'));
+    setUp({ tasks: [{ title: 'Stretch', due_date: TODAY }] });
+
+    await sendDigests();
+
+    expect(getRunKeys()).toEqual([]);
+  });
+
+  it('should summarise the previous week on Sundays', async () => {
+    setUp({
+      settings: { daily_digest_enabled: false, weekly_digest_enabled: true },
+      tasks: [
+        { title: 'Stretch', due_date: '2024-02-25', is_completed: true },
+        { title: 'Stretch', due_date: '2024-03-02' },
+        { title: 'Stretch', due_date: TODAY, is_completed: true }
+      ]
+    });
+
+    await sendDigests();
+
+    expect(sendMail).toHaveBeenCalledTimes(1);
+    expect(sendMail.mock.calls[0][0].subject).toBe('Your week in review: 50% complete');
+    expect(sendMail.mock.calls[0][0].text).toContain('You completed 1 of 2 tasks (50%) from 2024-02-25 to 2024-03-02.');
+  });
+
+  it('should release the weekly claim when the tasks can\'t be counted', async () => {
+    setUp({ settings: { daily_digest_enabled: false, weekly_digest_enabled: true } });
+    failTable('tasks');
+
+    await sendDigests();
+
+    expect(sendMail).not.toHaveBeenCalled();
+    expect(getRunKeys()).toEqual([]);
+  });
+
+  it('should only send in the hours after the digest time', async () => {
+    setUp({ settings: { digest_time: '10:00' }, tasks: [{ title: 'Stretch', due_date: TODAY }] });
+
+    await sendDigests();
+
+    expect(sendMail).not.toHaveBeenCalled();
+    expect(getRunKeys()).toEqual([]);
+  });
+});
@@ -0,0 +1,104 @@
+import { jest } from '@jest/globals';
+import { createFakeSupabase, createDbModule } from '../fakeSupabase.js';
+
+let fake;
+
+jest.unstable_mockModule('../../utils/db.js', () => createDbModule(() => fake));
+
+const { populateTasksForAllUsers } = await import('../../jobs/populateTasks.js');
+
+const ACTIVE_USER_ID = '00000000-0000-4000-8000-000000000001';
+const DELETING_USER_ID = '00000000-0000-4000-8000-000000000002';
+const TOKYO_USER_ID = '00000000-0000-4000-8000-000000000003';
+const PROGRAM_ID = '00000000-0000-4000-8000-0000000000a1';
+
+// Query that fails however it is built
+const failingQuery = new Proxy({}, {
+  get: (target, property) => property === 'then'
+    ? (resolve) => resolve({ data: null, error: { message: 'Query timed out' } })
+    : () => failingQuery
+});
+
+const getTaskDays = (userId) => fake.tables.tasks
+  .filter(task => task.user_id === userId)
+  .map(task => task.due_date)
+  .sort();
+
+describe('Populate tasks job', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    fake = createFakeSupabase({
+      profiles: [
+        { id: ACTIVE_USER_ID, email: 'active@example.com' },
+        { id: DELETING_USER_ID, email: 'leaving@example.com', is_active: false, deletion_requested_at: new Date().toISOString() }
+      ],
+      settings: [
+        { user_id: ACTIVE_USER_ID, timezone: 'UTC' },
+        { user_id: DELETING_USER_ID, timezone: 'UTC' }
+      ],
+      programs: [{ id: PROGRAM_ID, title: 'Daily stretch', creator_id: ACTIVE_USER_ID, is_public: true }],
+      activities: [{ program_id: PROGRAM_ID, title: 'Stretch', cron: '0 9 * * *' }],
+      subscriptions: [
+        { user_id: ACTIVE_USER_ID, program_id: PROGRAM_ID, start_date: '2024-01-01' },
+        { user_id: DELETING_USER_ID, program_id: PROGRAM_ID, start_date: '2024-01-01' }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('should populate today\'s tasks once per user', async () => {
+    await populateTasksForAllUsers();
+    await populateTasksForAllUsers();
+
+    expect(fake.tables.tasks.filter(task => task.user_id === ACTIVE_USER_ID)).toHaveLength(1);
+  });
+
+  it('should populate each user\'s own day once it has started where they are', async () => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T23:30:00.000Z'), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    await fake.client.from('profiles').insert({ id: TOKYO_USER_ID, email: 'tokyo@example.com' });
+    await fake.client.from('settings').insert({ user_id: TOKYO_USER_ID, timezone: 'Asia/Tokyo' });
+    await fake.client.from('subscriptions').insert({ user_id: TOKYO_USER_ID, program_id: PROGRAM_ID, start_date: '2024-01-01' });
+
+    try {
+      await populateTasksForAllUsers();
+
+      expect(getTaskDays(ACTIVE_USER_ID)).toEqual(['2024-01-01']);
+      expect(getTaskDays(TOKYO_USER_ID)).toEqual(['2024-01-02']);
+
+      jest.setSystemTime(new Date('2024-01-02T00:15:00.000Z'));
+      await populateTasksForAllUsers();
+
+      expect(getTaskDays(ACTIVE_USER_ID)).toEqual(['2024-01-01', '2024-01-02']);
+      expect(getTaskDays(TOKYO_USER_ID)).toEqual(['2024-01-02']);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should release the claim when a user\'s tasks can\'t be populated so a later tick retries', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const from = fake.client.from;
+    fake.client.from = (table) => (table === 'subscriptions' ? failingQuery : from(table));
+
+    await populateTasksForAllUsers();
+
+    expect(fake.tables.tasks).toEqual([]);
+    expect(fake.tables.job_runs).toEqual([]);
+
+    fake.client.from = from;
+    await populateTasksForAllUsers();
+
+    expect(getTaskDays(ACTIVE_USER_ID)).toHaveLength(1);
+    console.error.mockRestore();
+  });
+
+  it('should skip accounts pending deletion', async () => {
+    await populateTasksForAllUsers();
+
+    expect(fake.tables.tasks.map(task => task.user_id)).toEqual([ACTIVE_USER_ID]);
+    expect(fake.tables.job_runs.map(run => run.run_key.split(':')[0])).toEqual([ACTIVE_USER_ID]);
+  });
+});
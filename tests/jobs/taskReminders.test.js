@@ -0,0 +1,134 @@
+import { jest } from '@jest/globals';
+import { createFakeSupabase, createDbModule } from '../fakeSupabase.js';
+
+let fake;
+const sendMail = jest.fn();
+
+jest.unstable_mockModule('../../utils/db.js', () => createDbModule(() => fake));
+jest.unstable_mockModule('../../utils/mailer.js', () => ({
+  transporter: { sendMail },
+  createMailTransporter: () => ({ sendMail }),
+  default: {}
+}));
+
+const { isWithinQuietHours, isReminderDue, sendTaskReminders } = await import('../../jobs/taskReminders.js');
+const { registerChannel } = await import('../../utils/notifications.js');
+
+const USER_ID = '00000000-0000-4000-8000-000000000001';
+
+const setUp = (settings = {}) => {
+  fake = createFakeSupabase({
+    profiles: [{ id: USER_ID, email: 'user@example.com' }],
+    settings: [{ user_id: USER_ID, reminders_enabled: true, reminder_offset_minutes: 15, ...settings }],
+    tasks: [
+      { user_id: USER_ID, title: 'Stretch', due_date: '2024-03-01', due_time: '09:00' },
+      { user_id: USER_ID, title: 'Read', due_date: '2024-03-01', due_time: '18:00' },
+      { user_id: USER_ID, title: 'Done already', due_date: '2024-03-01', due_time: '09:00', is_completed: true }
+    ]
+  });
+};
+
+describe('Task reminders job', () => {
+  describe('isWithinQuietHours', () => {
+    it('should hold back notifications between the start and end of quiet hours', () => {
+      expect(isWithinQuietHours(13 * 60, '12:00', '14:00')).toBe(true);
+      expect(isWithinQuietHours(12 * 60, '12:00', '14:00')).toBe(true);
+      expect(isWithinQuietHours(14 * 60, '12:00', '14:00')).toBe(false);
+      expect(isWithinQuietHours(11 * 60 + 59, '12:00', '14:00')).toBe(false);
+    });
+
+    it('should handle quiet hours that wrap past midnight', () => {
+      expect(isWithinQuietHours(23 * 60, '22:00', '07:00')).toBe(true);
+      expect(isWithinQuietHours(6 * 60 + 59, '22:00', '07:00')).toBe(true);
+      expect(isWithinQuietHours(7 * 60, '22:00', '07:00')).toBe(false);
+      expect(isWithinQuietHours(12 * 60, '22:00', '07:00')).toBe(false);
+    });
+
+    it('should not hold anything back without quiet hours, or when they start and end together', () => {
+      expect(isWithinQuietHours(12 * 60, null, null)).toBe(false);
+      expect(isWithinQuietHours(12 * 60, '22:00', null)).toBe(false);
+      expect(isWithinQuietHours(12 * 60, '12:00', '12:00')).toBe(false);
+    });
+  });
+
+  describe('isReminderDue', () => {
+    const nineAm = 9 * 60;
+
+    it('should be due from the offset before the task until one interval after it', () => {
+      expect(isReminderDue(nineAm - 31, nineAm, 30, 5)).toBe(false);
+      expect(isReminderDue(nineAm - 30, nineAm, 30, 5)).toBe(true);
+      expect(isReminderDue(nineAm, nineAm, 30, 5)).toBe(true);
+      expect(isReminderDue(nineAm + 4, nineAm, 30, 5)).toBe(true);
+      expect(isReminderDue(nineAm + 5, nineAm, 30, 5)).toBe(false);
+    });
+
+    it('should be due on at least one tick for offsets shorter than the interval', () => {
+      for (const offset of [0, 1, 2, 4]) {
+        for (const start of [0, 1, 2, 3, 4]) {
+          const ticks = [];
+          for (let minutes = nineAm - 60 + start; minutes < nineAm + 60; minutes += 5) {
+            ticks.push(minutes);
+          }
+          expect(ticks.filter(minutes => isReminderDue(minutes, nineAm, offset, 5)).length).toBeGreaterThanOrEqual(1);
+        }
+      }
+    });
+  });
+
+  describe('sendTaskReminders', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2024-03-01T08:50:00Z'), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+      sendMail.mockReset();
+      sendMail.mockResolvedValue({ messageId: '1' });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      console.log.mockRestore();
+      console.error.mockRestore();
+    });
+
+    it('should email a reminder for incomplete tasks due within the offset, once', async () => {
+      setUp();
+
+      await sendTaskReminders();
+      await sendTaskReminders();
+
+      expect(sendMail).toHaveBeenCalledTimes(1);
+      expect(sendMail.mock.calls[0][0]).toMatchObject({ to: 'user@example.com', subject: expect.stringContaining('Stretch') });
+      expect(fake.tables.job_runs).toHaveLength(1);
+    });
+
+    it('should send nothing during quiet hours', async () => {
+      setUp({ quiet_hours_start: '08:00', quiet_hours_end: '10:00' });
+
+      await sendTaskReminders();
+
+      expect(sendMail).not.toHaveBeenCalled();
+      expect(fake.tables.job_runs).toHaveLength(0);
+    });
+
+    it('should deliver through the channels the user chose instead of email', async () => {
+      const push = jest.fn().mockResolvedValue();
+      registerChannel('push', { send: push });
+      setUp({ reminder_channels: ['push'] });
+
+      await sendTaskReminders();
+
+      expect(push).toHaveBeenCalledWith({ userId: USER_ID, email: 'user@example.com' }, expect.objectContaining({ subject: expect.stringContaining('Stretch') }));
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+
+    it('should release the claim to retry on the next tick when every channel fails', async () => {
+      sendMail.mockRejectedValue(new Error('Connection refused'));
+      setUp();
+
+      await sendTaskReminders();
+
+      expect(sendMail).toHaveBeenCalledTimes(1);
+      expect(fake.tables.job_runs).toHaveLength(0);
+    });
+  });
+});
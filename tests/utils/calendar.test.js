@@ -0,0 +1,128 @@
+import config from '../../config/config.js';
+import { getCalendarFeedUrl, buildTaskComponent, buildActivityComponent } from '../../utils/calendar.js';
+
+// Properties of a component as an object, for easier assertions
+const getProperties = (component) => Object.fromEntries(component.properties);
+
+describe('Calendar feed utilities', () => {
+  const subscription = {
+    id: 'subscription-1',
+    start_date: '2024-03-01',
+    endDate: null,
+    program: { title: 'Couch to 5K' }
+  };
+
+  const createActivity = (fields) => ({
+    id: 'activity-1',
+    title: 'Run',
+    updated_at: '2024-01-01T00:00:00Z',
+    ...fields
+  });
+
+  describe('getCalendarFeedUrl', () => {
+    it('should link to the feed with the token encoded', () => {
+      expect(getCalendarFeedUrl('a+b/c')).toBe(`${config.server.url}/calendar/feed.ics?token=a%2Bb%2Fc`);
+    });
+  });
+
+  describe('buildActivityComponent', () => {
+    it('should repeat an activity from its first day after the subscription became active', () => {
+      const component = buildActivityComponent(createActivity({ cron: '0 7 * * 1,3,5' }), subscription, '2024-03-02');
+      const properties = getProperties(component);
+
+      expect(component.type).toBe('VEVENT');
+      expect(properties.UID).toMatch(/^activity-activity-1-subscription-1@/);
+      expect(properties.SUMMARY).toBe('Run');
+      expect(properties.DESCRIPTION).toBe('Couch to 5K');
+      expect(properties.DTSTART).toBe('20240304T070000');
+      expect(properties.RRULE).toBe('FREQ=WEEKLY;BYDAY=MO,WE,FR');
+    });
+
+    it('should stop repeating on the last day of a fixed-length program', () => {
+      const fixedLength = { ...subscription, endDate: '2024-03-31' };
+
+      const timed = getProperties(buildActivityComponent(createActivity({ cron: '0 7 * * 1,3,5' }), fixedLength, '2024-03-01'));
+      const allDay = getProperties(buildActivityComponent(createActivity({ cron: '* * * * *' }), fixedLength, '2024-03-01'));
+
+      // UNTIL has the same value type as DTSTART
+      expect(timed.RRULE).toBe('FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20240331T235959');
+      expect(allDay['DTSTART;VALUE=DATE']).toBe('20240301');
+      expect(allDay['DTEND;VALUE=DATE']).toBe('20240302');
+      expect(allDay.RRULE).toBe('FREQ=DAILY;UNTIL=20240331');
+    });
+
+    it('should add the activity description after the program title', () => {
+      const properties = getProperties(buildActivityComponent(createActivity({ cron: '0 7 * * *', description: 'Easy pace, please' }), subscription, '2024-03-01'));
+
+      expect(properties.DESCRIPTION).toBe('Couch to 5K\\n\\nEasy pace\\, please');
+    });
+
+    it('should place an activity on a day of the program once, without repeating it', () => {
+      const properties = getProperties(buildActivityComponent(createActivity({ cron: '0 7 * * *', relative_day: 3 }), subscription, '2024-03-01'));
+
+      expect(properties.DTSTART).toBe('20240303T070000');
+      expect(properties.RRULE).toBeUndefined();
+    });
+
+    it('should place an activity on a weekday of a week of the program', () => {
+      // The program starts on a Friday, so Saturday of week 2 is its ninth day
+      const activity = createActivity({ cron: '0 7 * * *', relative_week: 2, relative_weekday: 6 });
+
+      expect(getProperties(buildActivityComponent(activity, subscription, '2024-03-01')).DTSTART).toBe('20240309T070000');
+    });
+
+    it('should leave out relative activities that fall after the end of the program', () => {
+      const fixedLength = { ...subscription, endDate: '2024-03-07' };
+
+      expect(buildActivityComponent(createActivity({ cron: '0 7 * * *', relative_day: 10 }), fixedLength, '2024-03-01')).toBeNull();
+    });
+
+    it('should leave out schedules a single RRULE can\'t express', () => {
+      expect(buildActivityComponent(createActivity({ cron: '0 7 1 * 1' }), subscription, '2024-03-01')).toBeNull();
+    });
+  });
+
+  describe('buildTaskComponent', () => {
+    const task = {
+      id: 'task-1',
+      title: 'Stretch',
+      description: 'Ten minutes',
+      due_date: '2024-03-02',
+      due_time: '09:30:00',
+      priority: 'high',
+      is_completed: true,
+      completed_at: '2024-03-02T10:00:00Z',
+      updated_at: '2024-03-02T10:00:00Z'
+    };
+
+    it('should build a to-do with its due time, priority and status', () => {
+      const component = buildTaskComponent(task, false);
+
+      expect(component.type).toBe('VTODO');
+      expect(getProperties(component)).toMatchObject({
+        SUMMARY: 'Stretch',
+        DESCRIPTION: 'Ten minutes',
+        DUE: '20240302T093000',
+        PRIORITY: '1',
+        STATUS: 'COMPLETED',
+        COMPLETED: '20240302T100000Z'
+      });
+    });
+
+    it('should default to medium priority and all-day due dates', () => {
+      const properties = getProperties(buildTaskComponent({ ...task, due_time: null, priority: null, is_completed: false }, false));
+
+      expect(properties['DUE;VALUE=DATE']).toBe('20240302');
+      expect(properties.PRIORITY).toBe('5');
+      expect(properties.STATUS).toBe('NEEDS-ACTION');
+    });
+
+    it('should build an event for calendar apps that only show events', () => {
+      const component = buildTaskComponent(task, true);
+
+      expect(component.type).toBe('VEVENT');
+      expect(getProperties(component)).toMatchObject({ DTSTART: '20240302T093000', TRANSP: 'TRANSPARENT' });
+      expect(getProperties(component).STATUS).toBeUndefined();
+    });
+  });
+});
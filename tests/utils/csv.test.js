@@ -0,0 +1,39 @@
+import { parseCsvRows, parseCsv, toCsv } from '../../utils/csv.js';
+
+describe('CSV utilities', () => {
+  describe('parseCsvRows', () => {
+    it('should handle quoted fields with commas, quotes and line breaks', () => {
+      expect(parseCsvRows('a,"b, c","say ""hi""","two\nlines"\r\nd,e,f,g')).toEqual([
+        ['a', 'b, c', 'say "hi"', 'two\nlines'],
+        ['d', 'e', 'f', 'g']
+      ]);
+    });
+
+    it('should ignore a byte order mark and a trailing line break', () => {
+      expect(parseCsvRows('\uFEFFtitle\nRun\n')).toEqual([['title'], ['Run']]);
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('should key values by header and number rows from the header', () => {
+      expect(parseCsv('Title,Priority\nRun,high\n\nSwim\n')).toEqual([
+        { row: 2, values: { Title: 'Run', Priority: 'high' } },
+        { row: 4, values: { Title: 'Swim', Priority: '' } }
+      ]);
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should write a header of every key and quote fields when needed', () => {
+      expect(toCsv([{ id: 1, title: 'Run, then "rest"' }, { id: 2, notes: null, tags: ['a'] }])).toBe(
+        'id,title,notes,tags\r\n1,"Run, then ""rest""",,\r\n2,,,"[""a""]"\r\n'
+      );
+    });
+
+    it('should round-trip through parseCsvRows', () => {
+      const text = toCsv([{ title: 'two\nlines', priority: 'high' }]);
+
+      expect(parseCsvRows(text)).toEqual([['title', 'priority'], ['two\nlines', 'high']]);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+import { isValidDay, addDays, getDaysBetween, getStartOfWeek, getBucketStart, getBucketsInRange, getDaysInRange, getTodayInTimezone } from '../../utils/dates.js';
+
+describe('Date utilities', () => {
+  it('should validate calendar days', () => {
+    expect(isValidDay('2024-02-29')).toBe(true);
+    expect(isValidDay('2023-02-29')).toBe(false);
+    expect(isValidDay('2024-2-1')).toBe(false);
+  });
+
+  it('should add days across month and year boundaries', () => {
+    expect(addDays('2024-01-31', 1)).toBe('2024-02-01');
+    expect(addDays('2024-01-01', -1)).toBe('2023-12-31');
+    expect(getDaysBetween('2023-12-31', '2024-01-02')).toBe(2);
+  });
+
+  it('should find the Sunday that starts the week', () => {
+    // 2024-01-03 is a Wednesday
+    expect(getStartOfWeek('2024-01-03')).toBe('2023-12-31');
+    expect(getStartOfWeek('2023-12-31')).toBe('2023-12-31');
+  });
+
+  it('should find the start of day, week and month buckets', () => {
+    expect(getBucketStart('2024-01-03', 'day')).toBe('2024-01-03');
+    expect(getBucketStart('2024-01-03', 'week')).toBe('2023-12-31');
+    expect(getBucketStart('2024-01-03', 'month')).toBe('2024-01-01');
+  });
+
+  it('should list every bucket overlapping a range', () => {
+    expect(getBucketsInRange('2024-01-03', '2024-01-15', 'week')).toEqual(['2023-12-31', '2024-01-07', '2024-01-14']);
+    expect(getBucketsInRange('2024-01-31', '2024-03-01', 'month')).toEqual(['2024-01-01', '2024-02-01', '2024-03-01']);
+    expect(getBucketsInRange('2024-02-28', '2024-03-01', 'day')).toEqual(['2024-02-28', '2024-02-29', '2024-03-01']);
+  });
+
+  it('should list every day in a range', () => {
+    expect(getDaysInRange('2024-02-28', '2024-03-01')).toEqual(['2024-02-28', '2024-02-29', '2024-03-01']);
+    expect(getDaysInRange('2024-03-01', '2024-02-28')).toEqual([]);
+  });
+
+  it('should resolve today in the given timezone', () => {
+    const now = new Date('2024-01-01T23:30:00.000Z');
+    expect(getTodayInTimezone('UTC', now)).toBe('2024-01-01');
+    expect(getTodayInTimezone('Asia/Tokyo', now)).toBe('2024-01-02');
+    expect(getTodayInTimezone('America/Los_Angeles', now)).toBe('2024-01-01');
+    expect(getTodayInTimezone('Not/AZone', now)).toBe('2024-01-01');
+  });
+});
@@ -0,0 +1,75 @@
+import config from '../../config/config.js';
+import { escapeHtml, renderTaskReminder, renderDailyDigest, renderWeeklyDigest } from '../../utils/emailTemplates.js';
+
+describe('Email templates', () => {
+  const unsubscribeUrl = 'https://api.example.com/digest/unsubscribe?token=abc&x=1';
+
+  describe('escapeHtml', () => {
+    it('should escape characters with a meaning in HTML', () => {
+      expect(escapeHtml('<b>"Tom" & \'Jerry\'</b>')).toBe('&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;');
+    });
+
+    it('should convert other values to strings', () => {
+      expect(escapeHtml(42)).toBe('42');
+    });
+  });
+
+  describe('renderTaskReminder', () => {
+    it('should name the task and its due time', () => {
+      const notification = renderTaskReminder({ title: 'Stretch', description: 'Ten minutes', due_time: '09:00:00' });
+
+      expect(notification.subject).toBe('Reminder: Stretch is due at 09:00');
+      expect(notification.text).toContain('"Stretch" is due today at 09:00.');
+      expect(notification.text).toContain('Ten minutes');
+      expect(notification.text).toContain(config.client.url);
+      expect(notification.html).toContain('<p><strong>Stretch</strong> is due today at 09:00.</p>');
+    });
+
+    it('should escape the task in the HTML body', () => {
+      const notification = renderTaskReminder({ title: '<script>', description: 'a & b', due_time: '09:00' });
+
+      expect(notification.html).toContain('&lt;script&gt;');
+      expect(notification.html).toContain('<p>a &amp; b</p>');
+      expect(notification.html).not.toContain('<script>');
+    });
+  });
+
+  describe('renderDailyDigest', () => {
+    const tasks = [
+      { title: 'Stretch', due_time: '09:00:00', program: { title: 'Daily stretch', is_personal: false } },
+      { title: 'Water plants', due_time: null, program: { title: 'Personal', is_personal: true } }
+    ];
+
+    it('should list the day\'s tasks with their times and programs', () => {
+      const notification = renderDailyDigest({ day: '2024-03-03', tasks, unsubscribeUrl });
+
+      expect(notification.subject).toBe('Your tasks for 2024-03-03: 2 to do');
+      expect(notification.text).toContain('- [09:00] Stretch (Daily stretch)\n- [Any time] Water plants\n');
+      expect(notification.html).toContain('<li>09:00 - <strong>Stretch</strong> <span style="color: #888;">Daily stretch</span></li>');
+      expect(notification.html).toContain('<li>Any time - <strong>Water plants</strong></li>');
+    });
+
+    it('should include the unsubscribe link', () => {
+      const notification = renderDailyDigest({ day: '2024-03-03', tasks, unsubscribeUrl });
+
+      expect(notification.text).toContain(`Unsubscribe from digest emails: ${unsubscribeUrl}`);
+      expect(notification.html).toContain('<a href="https://api.example.com/digest/unsubscribe?token=abc&amp;x=1">Unsubscribe</a>');
+    });
+  });
+
+  describe('renderWeeklyDigest', () => {
+    it('should summarise the week\'s completion', () => {
+      const notification = renderWeeklyDigest({
+        firstDay: '2024-02-25',
+        lastDay: '2024-03-02',
+        stats: { completed: 3, total: 4, completionRate: 75 },
+        unsubscribeUrl
+      });
+
+      expect(notification.subject).toBe('Your week in review: 75% complete');
+      expect(notification.text).toContain('You completed 3 of 4 tasks (75%) from 2024-02-25 to 2024-03-02.');
+      expect(notification.html).toContain('<h2>Your week in review</h2>');
+      expect(notification.html).toContain('Unsubscribe</a> from digest emails.');
+    });
+  });
+});
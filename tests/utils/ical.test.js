@@ -0,0 +1,81 @@
+import {
+  escapeText,
+  foldLine,
+  formatLocalDateTime,
+  formatUtcDateTime,
+  getDayProperties,
+  buildCalendar,
+  unescapeText,
+  parseCalendar
+} from '../../utils/ical.js';
+
+describe('iCalendar utilities', () => {
+  describe('escapeText', () => {
+    it('should escape separators, backslashes and line breaks', () => {
+      expect(escapeText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+    });
+  });
+
+  describe('foldLine', () => {
+    it('should leave short lines alone', () => {
+      expect(foldLine('SUMMARY:Run')).toBe('SUMMARY:Run');
+    });
+
+    it('should fold long lines at 75 octets without splitting characters', () => {
+      const folded = foldLine(`SUMMARY:${'é'.repeat(80)}`);
+      const lines = folded.split('\r\n');
+
+      expect(lines.length).toBeGreaterThan(1);
+      lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+      expect(lines.slice(1).every(line => line.startsWith(' '))).toBe(true);
+      expect(lines.map((line, index) => (index ? line.slice(1) : line)).join('')).toBe(`SUMMARY:${'é'.repeat(80)}`);
+    });
+  });
+
+  describe('date formatting', () => {
+    it('should format floating and UTC date-times', () => {
+      expect(formatLocalDateTime('2024-01-05', '07:30')).toBe('20240105T073000');
+      expect(formatUtcDateTime('2024-01-05T07:30:15.123Z')).toBe('20240105T073015Z');
+    });
+
+    it('should give all-day events an end date on the next day', () => {
+      expect(getDayProperties('DTSTART', '2024-01-31', null)).toEqual([
+        ['DTSTART;VALUE=DATE', '20240131'],
+        ['DTEND;VALUE=DATE', '20240201']
+      ]);
+      expect(getDayProperties('DUE', '2024-01-31', '09:00:00')).toEqual([['DUE', '20240131T090000']]);
+    });
+  });
+
+  describe('buildCalendar', () => {
+    it('should wrap components in a calendar with CRLF line endings', () => {
+      const calendar = buildCalendar('Regular', [
+        { type: 'VEVENT', properties: [['UID', 'a@b'], ['SUMMARY', 'Run']] }
+      ]);
+
+      expect(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(calendar).toContain('BEGIN:VEVENT\r\nUID:a@b\r\nSUMMARY:Run\r\nEND:VEVENT');
+      expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    });
+  });
+
+  describe('parseCalendar', () => {
+    it('should unfold lines and read properties with parameters', () => {
+      const [todo] = parseCalendar('BEGIN:VCALENDAR\r\nBEGIN:VTODO\r\nSUMMARY:Long\r\n  title\r\nDUE;TZID="Europe/London":20240105T090000\r\nEND:VTODO\r\nEND:VCALENDAR\r\n');
+
+      expect(todo.type).toBe('VTODO');
+      expect(todo.properties.SUMMARY.value).toBe('Long title');
+      expect(todo.properties.DUE).toEqual({ name: 'DUE', params: { TZID: 'Europe/London' }, value: '20240105T090000' });
+    });
+
+    it('should ignore properties of nested components', () => {
+      const [event] = parseCalendar('BEGIN:VCALENDAR\nBEGIN:VEVENT\nBEGIN:VALARM\nSUMMARY:Alarm\nEND:VALARM\nSUMMARY:Event\nEND:VEVENT\nEND:VCALENDAR\n');
+
+      expect(event.properties.SUMMARY.value).toBe('Event');
+    });
+
+    it('should round-trip escaped text', () => {
+      expect(unescapeText(escapeText('a,b;c\\d\ne'))).toBe('a,b;c\\d\ne');
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../../config/config.js';
+import { createMailTransporter } from '../../utils/mailer.js';
+
+describe('Mailer', () => {
+  const originalEmailConfig = { ...config.email };
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+    Object.assign(config.email, { transport: 'file', fileDir: directory });
+  });
+
+  afterEach(() => {
+    Object.assign(config.email, originalEmailConfig);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('createMailTransporter', () => {
+    it('should write each message to an .eml file with the file transport', async () => {
+      const transporter = createMailTransporter();
+
+      const info = await transporter.sendMail({
+        from: 'app@example.com',
+        to: 'user@example.com',
+        subject: 'Reminder: Stretch is due at 9:00',
+        text: 'Time to stretch'
+      });
+
+      const files = fs.readdirSync(directory);
+      expect(files).toHaveLength(1);
+      expect(files[0]).toMatch(/\.eml$/);
+      expect(info.path).toBe(path.join(directory, files[0]));
+      expect(info.envelope).toEqual({ from: 'app@example.com', to: ['user@example.com'] });
+
+      const message = fs.readFileSync(info.path, 'utf8');
+      expect(message).toContain('To: user@example.com');
+      expect(message).toContain('Subject: Reminder: Stretch is due at 9:00');
+      expect(message).toContain('Time to stretch');
+    });
+
+    it('should create the directory for messages if it does not exist', async () => {
+      config.email.fileDir = path.join(directory, 'nested', 'mail');
+
+      await createMailTransporter().sendMail({ from: 'app@example.com', to: 'user@example.com', subject: 'Hi', text: 'Hello' });
+
+      expect(fs.readdirSync(config.email.fileDir)).toHaveLength(1);
+    });
+
+    it('should connect to the configured SMTP server with the smtp transport', () => {
+      Object.assign(config.email, { transport: 'smtp', host: 'mail.local', port: 2525 });
+
+      const transporter = createMailTransporter();
+
+      expect(transporter.options).toMatchObject({ host: 'mail.local', port: 2525 });
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import { jest } from '@jest/globals';
+
+const sendMail = jest.fn();
+
+jest.unstable_mockModule('../../utils/mailer.js', () => ({
+  transporter: { sendMail },
+  createMailTransporter: () => ({ sendMail }),
+  default: {}
+}));
+
+const { default: config } = await import('../../config/config.js');
+const { registerChannel, sendNotification } = await import('../../utils/notifications.js');
+
+describe('Notifications', () => {
+  const recipient = { userId: 'user-1', email: 'user@example.com' };
+  const notification = { subject: 'Reminder', text: 'Time to stretch', html: '<p>Time to stretch</p>' };
+
+  beforeEach(() => {
+    sendMail.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('sendNotification', () => {
+    it('should email the recipient through the email channel', async () => {
+      sendMail.mockResolvedValue({ messageId: '1' });
+
+      expect(await sendNotification('email', recipient, { ...notification, headers: { 'X-Test': '1' } })).toBe(true);
+      expect(sendMail).toHaveBeenCalledWith({
+        from: config.email.from,
+        to: 'user@example.com',
+        subject: 'Reminder',
+        text: 'Time to stretch',
+        html: '<p>Time to stretch</p>',
+        headers: { 'X-Test': '1' }
+      });
+    });
+
+    it('should fail without sending when the recipient has no email address', async () => {
+      expect(await sendNotification('email', { userId: 'user-1' }, notification)).toBe(false);
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+
+    it('should fail when sending the email fails', async () => {
+      sendMail.mockRejectedValue(new Error('Connection refused'));
+
+      expect(await sendNotification('email', recipient, notification)).toBe(false);
+    });
+
+    it('should deliver through a registered channel', async () => {
+      const send = jest.fn().mockResolvedValue();
+      registerChannel('push', { send });
+
+      expect(await sendNotification('push', recipient, notification)).toBe(true);
+      expect(send).toHaveBeenCalledWith(recipient, notification);
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+
+    it('should fail for a channel that is not registered', async () => {
+      expect(await sendNotification('sms', recipient, notification)).toBe(false);
+    });
+  });
+});
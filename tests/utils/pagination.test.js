@@ -0,0 +1,123 @@
+import {
+  encodeCursor,
+  decodeCursor,
+  getPageParams,
+  applyCursor,
+  getPage,
+  formatPageResponse
+} from '../../utils/pagination.js';
+
+const ID = '7f8e4f9e-3b0a-4c39-9d2b-0d1f5a3c2e11';
+
+// Query builder that records the calls made to it
+const createQuery = () => {
+  const calls = [];
+  const query = {
+    calls,
+    order: (...args) => { calls.push(['order', ...args]); return query; },
+    or: (...args) => { calls.push(['or', ...args]); return query; },
+    limit: (...args) => { calls.push(['limit', ...args]); return query; }
+  };
+  return query;
+};
+
+describe('Pagination Utils', () => {
+  describe('encodeCursor and decodeCursor', () => {
+    it('round-trips numeric and string sort values', () => {
+      expect(decodeCursor(encodeCursor(1718000000.123456, ID))).toEqual({ value: 1718000000.123456, id: ID });
+      expect(decodeCursor(encodeCursor('2024-06-10T08:00:00.000Z', ID))).toEqual({ value: '2024-06-10T08:00:00.000Z', id: ID });
+    });
+
+    it('produces URL-safe cursors', () => {
+      expect(encodeCursor('a value with spaces, commas & ??>>', ID)).toMatch(/^[A-Za-z0-9_-]+$/);
+    });
+  });
+
+  describe('decodeCursor', () => {
+    it('rejects missing and malformed cursors', () => {
+      expect(decodeCursor(undefined)).toBeNull();
+      expect(decodeCursor('')).toBeNull();
+      expect(decodeCursor('not a cursor')).toBeNull();
+      expect(decodeCursor(Buffer.from('[1,2]').toString('base64url'))).toBeNull();
+      expect(decodeCursor(Buffer.from(JSON.stringify({ v: {}, id: ID })).toString('base64url'))).toBeNull();
+      expect(decodeCursor(Buffer.from(JSON.stringify({ v: 1 })).toString('base64url'))).toBeNull();
+    });
+
+    it('rejects IDs that are not UUIDs', () => {
+      expect(decodeCursor(encodeCursor(1, 'abc),id.neq.(x'))).toBeNull();
+    });
+  });
+
+  describe('getPageParams', () => {
+    it('uses the default limit and no cursor', () => {
+      expect(getPageParams({})).toEqual({ limit: 20, cursor: null });
+    });
+
+    it('reads the limit and decodes the cursor', () => {
+      expect(getPageParams({ limit: '5', cursor: encodeCursor(3, ID) })).toEqual({ limit: 5, cursor: { value: 3, id: ID } });
+    });
+
+    it('reports cursors that cannot be decoded', () => {
+      expect(getPageParams({ cursor: 'nope' })).toEqual({ limit: 20, cursor: null, error: 'Invalid cursor' });
+    });
+  });
+
+  describe('applyCursor', () => {
+    it('orders by ID and fetches one row more than the limit for the first page', () => {
+      const query = createQuery();
+      applyCursor(query, { column: 'created_at', limit: 10 });
+
+      expect(query.calls).toEqual([
+        ['order', 'id', { ascending: false }],
+        ['limit', 11]
+      ]);
+    });
+
+    it('starts after the cursor row in the sort direction', () => {
+      const descending = createQuery();
+      applyCursor(descending, { column: 'created_at', cursor: { value: '2024-06-10T08:00:00+00:00', id: ID }, limit: 10 });
+
+      expect(descending.calls[1]).toEqual([
+        'or',
+        `created_at.lt."2024-06-10T08:00:00+00:00",and(created_at.eq."2024-06-10T08:00:00+00:00",id.lt.${ID})`
+      ]);
+
+      const ascending = createQuery();
+      applyCursor(ascending, { column: 'created_at', ascending: true, cursor: { value: 'a"b', id: ID }, limit: 10 });
+
+      expect(ascending.calls[0]).toEqual(['order', 'id', { ascending: true }]);
+      expect(ascending.calls[1]).toEqual(['or', `created_at.gt."ab",and(created_at.eq."ab",id.gt.${ID})`]);
+    });
+  });
+
+  describe('getPage', () => {
+    const rows = [
+      { id: 'a', created_at: '2024-01-03' },
+      { id: 'b', created_at: '2024-01-02' },
+      { id: 'c', created_at: '2024-01-01' }
+    ];
+
+    it('returns a cursor for the last row when there are more rows', () => {
+      const { items, nextCursor } = getPage(rows, 2, 'created_at');
+
+      expect(items).toEqual(rows.slice(0, 2));
+      expect(JSON.parse(Buffer.from(nextCursor, 'base64url').toString())).toEqual({ v: '2024-01-02', id: 'b' });
+    });
+
+    it('returns no cursor on the last page', () => {
+      expect(getPage(rows, 3, 'created_at')).toEqual({ items: rows, nextCursor: null });
+      expect(getPage([], 3, 'created_at')).toEqual({ items: [], nextCursor: null });
+    });
+  });
+
+  describe('formatPageResponse', () => {
+    it('wraps the page in a success response with its pagination', () => {
+      expect(formatPageResponse('Tasks retrieved successfully', [{ id: 'a' }], { limit: 20, nextCursor: 'next' })).toEqual({
+        success: true,
+        message: 'Tasks retrieved successfully',
+        data: [{ id: 'a' }],
+        pagination: { limit: 20, cursor: null, nextCursor: 'next' }
+      });
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import { getSubscriberGrowth, formatActivityCompletion, getMostSkippedActivities } from '../../utils/programAnalytics.js';
+
+describe('Program analytics utilities', () => {
+  describe('getSubscriberGrowth', () => {
+    // Rows as program_subscriber_growth returns them: the count before the range first
+    const rows = [
+      { bucket: null, subscribed: '0', unsubscribed: '0', subscribers_before: '10' },
+      { bucket: '2023-12-31', subscribed: '4', unsubscribed: '1', subscribers_before: '10' },
+      { bucket: '2024-01-14', subscribed: '1', unsubscribed: '3', subscribers_before: '10' }
+    ];
+
+    it('should fill in weeks without changes and keep a running subscriber count', () => {
+      const { growth, subscriberCount } = getSubscriberGrowth(rows, '2024-01-03', '2024-01-20', 'week');
+
+      expect(growth).toEqual([
+        { bucket: '2023-12-31', subscribed: 4, unsubscribed: 1, net: 3, subscribers: 13 },
+        { bucket: '2024-01-07', subscribed: 0, unsubscribed: 0, net: 0, subscribers: 13 },
+        { bucket: '2024-01-14', subscribed: 1, unsubscribed: 3, net: -2, subscribers: 11 }
+      ]);
+      expect(subscriberCount).toBe(11);
+    });
+
+    it('should rate churn against everyone who followed the program in the range', () => {
+      const { churn } = getSubscriberGrowth(rows, '2024-01-03', '2024-01-20', 'week');
+
+      // 4 unsubscribes out of the 10 starting and 5 new subscribers
+      expect(churn).toEqual({ unsubscribes: 4, churnRate: 27 });
+    });
+
+    it('should report no churn for a program without subscribers', () => {
+      const empty = [{ bucket: null, subscribed: '0', unsubscribed: '0', subscribers_before: '0' }];
+
+      const { growth, subscriberCount, churn } = getSubscriberGrowth(empty, '2024-01-01', '2024-03-15', 'month');
+
+      expect(growth.map(point => point.bucket)).toEqual(['2024-01-01', '2024-02-01', '2024-03-01']);
+      expect(subscriberCount).toBe(0);
+      expect(churn).toEqual({ unsubscribes: 0, churnRate: 0 });
+    });
+  });
+
+  describe('formatActivityCompletion', () => {
+    it('should convert totals and work out completion rates', () => {
+      const [activity] = formatActivityCompletion([
+        { activity_id: 'a1', title: 'Run', version_added: 1, version_removed: null, total: '8', completed: '6', skipped: '2' }
+      ]);
+
+      expect(activity).toEqual({
+        activityId: 'a1',
+        title: 'Run',
+        versionAdded: 1,
+        versionRemoved: null,
+        suppressed: false,
+        total: 8,
+        completed: 6,
+        skipped: 2,
+        completionRate: 75
+      });
+    });
+
+    it('should mark activities withheld for having too few subscribers as suppressed', () => {
+      const [activity] = formatActivityCompletion([
+        { activity_id: 'a1', title: 'Run', version_added: 1, version_removed: null, total: null, completed: null, skipped: null }
+      ]);
+
+      expect(activity).toMatchObject({ suppressed: true, total: null, completed: null, skipped: null, completionRate: null });
+    });
+
+    it('should give activities without tasks a completion rate of zero', () => {
+      const [activity] = formatActivityCompletion([
+        { activity_id: 'a1', title: 'Run', version_added: 2, version_removed: null, total: '0', completed: '0', skipped: '0' }
+      ]);
+
+      expect(activity.completionRate).toBe(0);
+    });
+  });
+
+  describe('getMostSkippedActivities', () => {
+    const activities = [
+      { activityId: 'a1', suppressed: false, skipped: 2 },
+      { activityId: 'a2', suppressed: true, skipped: null },
+      { activityId: 'a3', suppressed: false, skipped: 0 },
+      { activityId: 'a4', suppressed: false, skipped: 7 },
+      { activityId: 'a5', suppressed: false, skipped: 4 }
+    ];
+
+    it('should list skipped activities most skipped first, leaving out suppressed ones', () => {
+      expect(getMostSkippedActivities(activities).map(activity => activity.activityId)).toEqual(['a4', 'a5', 'a1']);
+    });
+
+    it('should list at most the limit', () => {
+      expect(getMostSkippedActivities(activities, 2).map(activity => activity.activityId)).toEqual(['a4', 'a5']);
+    });
+  });
+});
@@ -0,0 +1,33 @@
+import { getReviewableFrom, canReviewProgram } from '../../utils/reviews.js';
+
+describe('Review utilities', () => {
+  const program = { id: 'program-1', creator_id: 'creator' };
+  const subscription = { created_at: '2024-03-01T12:00:00.000Z' };
+
+  describe('getReviewableFrom', () => {
+    it('should open reviewing a week after first subscribing', () => {
+      expect(getReviewableFrom(subscription).toISOString()).toBe('2024-03-08T12:00:00.000Z');
+    });
+
+    it('should return null for users who never subscribed', () => {
+      expect(getReviewableFrom(null)).toBeNull();
+      expect(getReviewableFrom({})).toBeNull();
+    });
+  });
+
+  describe('canReviewProgram', () => {
+    it('should only allow subscribers of at least a week', () => {
+      expect(canReviewProgram(program, subscription, 'user', new Date('2024-03-08T11:59:59.000Z'))).toBe(false);
+      expect(canReviewProgram(program, subscription, 'user', new Date('2024-03-08T12:00:00.000Z'))).toBe(true);
+    });
+
+    it('should allow former subscribers', () => {
+      expect(canReviewProgram(program, { ...subscription, status: 'ended' }, 'user', new Date('2024-04-01'))).toBe(true);
+    });
+
+    it('should not allow users who never subscribed or the program creator', () => {
+      expect(canReviewProgram(program, null, 'user', new Date('2024-04-01'))).toBe(false);
+      expect(canReviewProgram(program, subscription, 'creator', new Date('2024-04-01'))).toBe(false);
+    });
+  });
+});
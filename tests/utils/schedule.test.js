@@ -0,0 +1,131 @@
+import { isValidCron, cronMatchesDay, getCronTimeOfDay, getCronRRule, hasValidRelativeSchedule, activityMatchesDay } from '../../utils/schedule.js';
+
+describe('Schedule utilities', () => {
+  describe('cronMatchesDay', () => {
+    it('should match days of the week', () => {
+      // 2024-01-01 is a Monday
+      expect(cronMatchesDay('0 9 * * 1,3,5', '2024-01-01')).toBe(true);
+      expect(cronMatchesDay('0 9 * * 1,3,5', '2024-01-02')).toBe(false);
+    });
+
+    it('should match days of the month', () => {
+      expect(cronMatchesDay('0 9 1,15 * *', '2024-03-15')).toBe(true);
+      expect(cronMatchesDay('0 9 1,15 * *', '2024-03-16')).toBe(false);
+    });
+
+    it('should match months', () => {
+      expect(cronMatchesDay('* * * 2 *', '2024-02-10')).toBe(true);
+      expect(cronMatchesDay('* * * 2 *', '2024-03-10')).toBe(false);
+    });
+
+    it('should support ranges, steps and named days', () => {
+      expect(cronMatchesDay('* * * * 1-5', '2024-01-06')).toBe(false);
+      expect(cronMatchesDay('* * * * MON-FRI', '2024-01-05')).toBe(true);
+      expect(cronMatchesDay('* * */2 * *', '2024-01-03')).toBe(true);
+      expect(cronMatchesDay('* * */2 * *', '2024-01-04')).toBe(false);
+    });
+
+    it('should match either field when both day-of-month and day-of-week are restricted', () => {
+      // 2024-01-10 is a Wednesday, 2024-01-11 is a Thursday
+      expect(cronMatchesDay('0 9 1 * 3', '2024-01-10')).toBe(true);
+      expect(cronMatchesDay('0 9 1 * 3', '2024-01-11')).toBe(false);
+    });
+
+    it('should not match invalid expressions or dates', () => {
+      expect(cronMatchesDay('not a cron', '2024-01-01')).toBe(false);
+      expect(cronMatchesDay('* * * *', '2024-01-01')).toBe(false);
+      expect(cronMatchesDay('* * * * *', 'not a date')).toBe(false);
+    });
+  });
+
+  describe('isValidCron', () => {
+    it('should only accept five-field expressions', () => {
+      expect(isValidCron('30 7 * * 1-5')).toBe(true);
+      expect(isValidCron('0 30 7 * * 1-5')).toBe(false);
+      expect(isValidCron('')).toBe(false);
+    });
+  });
+
+  describe('getCronTimeOfDay', () => {
+    it('should return the time for a single fixed time', () => {
+      expect(getCronTimeOfDay('5 7 * * 1')).toBe('07:05:00');
+    });
+
+    it('should return null for all-day or repeating schedules', () => {
+      expect(getCronTimeOfDay('* * * * 1')).toBeNull();
+      expect(getCronTimeOfDay('*/15 7 * * 1')).toBeNull();
+    });
+  });
+
+  describe('getCronRRule', () => {
+    it('should convert weekday and daily schedules', () => {
+      expect(getCronRRule('0 9 * * 1-5')).toBe('FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+      expect(getCronRRule('0 9 * * 7')).toBe('FREQ=WEEKLY;BYDAY=SU');
+      expect(getCronRRule('*/15 * * * *')).toBe('FREQ=DAILY');
+    });
+
+    it('should convert day-of-month and month schedules', () => {
+      expect(getCronRRule('0 9 1,15 * *')).toBe('FREQ=MONTHLY;BYMONTHDAY=1,15');
+      expect(getCronRRule('0 9 1 1,7 *')).toBe('FREQ=YEARLY;BYMONTH=1,7;BYMONTHDAY=1');
+      expect(getCronRRule('0 9 * 6 *')).toBe('FREQ=DAILY;BYMONTH=6');
+    });
+
+    it('should return null for schedules a single RRULE cannot express', () => {
+      expect(getCronRRule('0 9 1 * 1')).toBeNull();
+      expect(getCronRRule('0 9 L * *')).toBeNull();
+      expect(getCronRRule('not a cron')).toBeNull();
+    });
+  });
+
+  describe('hasValidRelativeSchedule', () => {
+    it('should accept activities with no relative fields, a day, or a week and weekday', () => {
+      expect(hasValidRelativeSchedule({ relative_day: null, relative_week: null, relative_weekday: null })).toBe(true);
+      expect(hasValidRelativeSchedule({ relative_day: 3 })).toBe(true);
+      expect(hasValidRelativeSchedule({ relative_week: 2, relative_weekday: 0 })).toBe(true);
+    });
+
+    it('should reject a day together with a week', () => {
+      expect(hasValidRelativeSchedule({ relative_day: 3, relative_week: 2, relative_weekday: 1 })).toBe(false);
+    });
+
+    it('should reject a week without a weekday and a weekday without a week', () => {
+      expect(hasValidRelativeSchedule({ relative_week: 2, relative_weekday: null })).toBe(false);
+      expect(hasValidRelativeSchedule({ relative_weekday: 4 })).toBe(false);
+    });
+  });
+
+  describe('activityMatchesDay', () => {
+    // 2024-01-01 is a Monday
+    const startDate = '2024-01-01';
+
+    it('should match cron activities on every scheduled day', () => {
+      const activity = { cron: '0 9 * * 1' };
+      expect(activityMatchesDay(activity, '2024-01-08', startDate)).toBe(true);
+      expect(activityMatchesDay(activity, '2024-01-09', startDate)).toBe(false);
+    });
+
+    it('should match day N of the program', () => {
+      const activity = { cron: '* * * * *', relative_day: 3 };
+      expect(activityMatchesDay(activity, '2024-01-03', startDate)).toBe(true);
+      expect(activityMatchesDay(activity, '2024-01-04', startDate)).toBe(false);
+      expect(activityMatchesDay(activity, '2024-01-03', '2024-01-02')).toBe(false);
+    });
+
+    it('should match a weekday of week N of the program', () => {
+      const activity = { cron: '* * * * *', relative_week: 2, relative_weekday: 3 };
+      expect(activityMatchesDay(activity, '2024-01-10', startDate)).toBe(true);
+      expect(activityMatchesDay(activity, '2024-01-03', startDate)).toBe(false);
+      expect(activityMatchesDay(activity, '2024-01-17', startDate)).toBe(false);
+    });
+
+    it('should still apply the cron to relative activities', () => {
+      const activity = { cron: '0 9 * * 1-5', relative_day: 6 };
+      expect(activityMatchesDay(activity, '2024-01-06', startDate)).toBe(false);
+    });
+
+    it('should not match relative activities without a start date', () => {
+      expect(activityMatchesDay({ cron: '* * * * *', relative_day: 1 }, '2024-01-01', null)).toBe(false);
+      expect(activityMatchesDay({ cron: '* * * * *', relative_day: 1 }, '2023-12-31', startDate)).toBe(false);
+    });
+  });
+});
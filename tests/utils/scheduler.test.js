@@ -0,0 +1,129 @@
+import { jest } from '@jest/globals';
+import { createFakeSupabase, createDbModule } from '../fakeSupabase.js';
+
+let fake;
+
+jest.unstable_mockModule('../../utils/db.js', () => createDbModule(() => fake));
+
+const { claimJobRun, releaseJobRun, pruneJobRuns, getActiveUserIds, startScheduler, stopScheduler } = await import('../../utils/scheduler.js');
+
+const ACTIVE_USER_ID = '00000000-0000-4000-8000-000000000001';
+const DEACTIVATED_USER_ID = '00000000-0000-4000-8000-000000000002';
+const DELETING_USER_ID = '00000000-0000-4000-8000-000000000003';
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('Scheduler utilities', () => {
+  beforeEach(() => {
+    fake = createFakeSupabase({
+      profiles: [
+        { id: ACTIVE_USER_ID, email: 'active@example.com' },
+        { id: DEACTIVATED_USER_ID, email: 'deactivated@example.com', is_active: false },
+        { id: DELETING_USER_ID, email: 'leaving@example.com', deletion_requested_at: daysAgo(1) }
+      ]
+    });
+  });
+
+  describe('claimJobRun', () => {
+    it('should let only one instance claim each run', async () => {
+      expect(await claimJobRun('populate-tasks', 'user:2024-01-01')).toBe(true);
+      expect(await claimJobRun('populate-tasks', 'user:2024-01-01')).toBe(false);
+      expect(await claimJobRun('populate-tasks', 'user:2024-01-02')).toBe(true);
+      expect(await claimJobRun('digests', 'user:2024-01-01')).toBe(true);
+    });
+  });
+
+  describe('releaseJobRun', () => {
+    it('should let a released run be claimed again', async () => {
+      await claimJobRun('populate-tasks', 'user:2024-01-01');
+
+      expect(await releaseJobRun('populate-tasks', 'user:2024-01-01')).toBe(true);
+      expect(await claimJobRun('populate-tasks', 'user:2024-01-01')).toBe(true);
+    });
+  });
+
+  describe('pruneJobRuns', () => {
+    it('should delete only the job\'s claims older than the given age', async () => {
+      fake.tables.job_runs.push(
+        { id: 'old', job_name: 'populate-tasks', run_key: 'a', claimed_at: daysAgo(8) },
+        { id: 'recent', job_name: 'populate-tasks', run_key: 'b', claimed_at: daysAgo(2) },
+        { id: 'other-job', job_name: 'digests', run_key: 'a', claimed_at: daysAgo(8) }
+      );
+
+      expect(await pruneJobRuns('populate-tasks', 7)).toBe(true);
+
+      expect(fake.tables.job_runs.map(run => run.id)).toEqual(['recent', 'other-job']);
+    });
+  });
+
+  describe('getActiveUserIds', () => {
+    it('should leave out deactivated accounts and accounts pending deletion', async () => {
+      const activeUserIds = await getActiveUserIds([ACTIVE_USER_ID, DEACTIVATED_USER_ID, DELETING_USER_ID]);
+
+      expect([...activeUserIds]).toEqual([ACTIVE_USER_ID]);
+    });
+
+    it('should not query for an empty list', async () => {
+      expect(await getActiveUserIds([])).toEqual(new Set());
+      expect(fake.queries).toEqual([]);
+    });
+  });
+
+  describe('startScheduler', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      stopScheduler();
+      jest.useRealTimers();
+      console.log.mockRestore();
+    });
+
+    it('should run each job straight away and then on its interval', async () => {
+      const run = jest.fn().mockResolvedValue();
+
+      startScheduler([{ name: 'test-job', intervalMinutes: 15, run }]);
+      expect(run).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(15 * 60 * 1000);
+      expect(run).toHaveBeenCalledTimes(2);
+    });
+
+    it('should skip ticks while the previous run is still going', async () => {
+      let finish;
+      const run = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+
+      startScheduler([{ name: 'test-job', intervalMinutes: 15, run }]);
+      await jest.advanceTimersByTimeAsync(30 * 60 * 1000);
+      expect(run).toHaveBeenCalledTimes(1);
+
+      finish();
+      await jest.advanceTimersByTimeAsync(15 * 60 * 1000);
+      expect(run).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep running a job after a run fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const run = jest.fn().mockRejectedValueOnce(new Error('Database unavailable')).mockResolvedValue();
+
+      startScheduler([{ name: 'test-job', intervalMinutes: 15, run }]);
+      await jest.advanceTimersByTimeAsync(15 * 60 * 1000);
+
+      expect(run).toHaveBeenCalledTimes(2);
+      expect(console.error).toHaveBeenCalledWith('Scheduled job test-job failed:', expect.any(Error));
+      console.error.mockRestore();
+    });
+
+    it('should stop every job', async () => {
+      const run = jest.fn().mockResolvedValue();
+
+      startScheduler([{ name: 'test-job', intervalMinutes: 15, run }]);
+      stopScheduler();
+      await jest.advanceTimersByTimeAsync(60 * 60 * 1000);
+
+      expect(run).toHaveBeenCalledTimes(1);
+    });
+  });
+});
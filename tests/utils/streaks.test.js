@@ -0,0 +1,61 @@
+import { calculateStreaks, calculateCompletionRate, groupTasksByDay } from '../../utils/streaks.js';
+
+describe('Streak utilities', () => {
+  const occurrences = [
+    { day: '2024-01-01', completed: true },
+    { day: '2024-01-03', completed: true },
+    { day: '2024-01-05', completed: true },
+    { day: '2024-01-08', completed: false },
+    { day: '2024-01-10', completed: true },
+    { day: '2024-01-12', completed: true }
+  ];
+
+  it('should count consecutive completed occurrences', () => {
+    expect(calculateStreaks(occurrences, '2024-01-12')).toEqual({ current: 2, longest: 3 });
+  });
+
+  it('should not break the current streak for an incomplete occurrence today', () => {
+    const withToday = [...occurrences, { day: '2024-01-15', completed: false }];
+    expect(calculateStreaks(withToday, '2024-01-15')).toEqual({ current: 2, longest: 3 });
+    expect(calculateStreaks(withToday, '2024-01-16')).toEqual({ current: 0, longest: 3 });
+  });
+
+  it('should ignore occurrences after today', () => {
+    expect(calculateStreaks(occurrences, '2024-01-05')).toEqual({ current: 3, longest: 3 });
+  });
+
+  it('should calculate the completion rate', () => {
+    expect(calculateCompletionRate(occurrences)).toBe(83);
+    expect(calculateCompletionRate([])).toBe(0);
+  });
+
+  describe('groupTasksByDay', () => {
+    // 2024-01-06 is a Saturday
+    const tasks = [
+      { due_date: '2024-01-04', is_completed: true },
+      { due_date: '2024-01-04', is_completed: false },
+      { due_date: '2024-01-05', is_completed: true },
+      { due_date: '2024-01-06', is_completed: false },
+      { due_date: '2024-01-08', is_completed: true }
+    ];
+
+    it('should count a day when any task was completed by default', () => {
+      expect(groupTasksByDay(tasks)).toEqual([
+        { day: '2024-01-04', completed: true },
+        { day: '2024-01-05', completed: true },
+        { day: '2024-01-06', completed: false },
+        { day: '2024-01-08', completed: true }
+      ]);
+    });
+
+    it('should require every task to be completed with the all rule', () => {
+      expect(groupTasksByDay(tasks, { rule: 'all' })[0]).toEqual({ day: '2024-01-04', completed: false });
+    });
+
+    it('should skip rest days so they do not break a streak', () => {
+      const occurrences = groupTasksByDay(tasks, { restDays: [0, 6] });
+      expect(occurrences.map(occurrence => occurrence.day)).toEqual(['2024-01-04', '2024-01-05', '2024-01-08']);
+      expect(calculateStreaks(occurrences, '2024-01-08')).toEqual({ current: 3, longest: 3 });
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import {
+  isCurrentSubscription,
+  isPausedOn,
+  getProgramLengthInDays,
+  getSubscriptionEndDate
+} from '../../utils/subscriptions.js';
+
+describe('Subscription utilities', () => {
+  describe('isCurrentSubscription', () => {
+    it('should treat active and paused subscriptions as current', () => {
+      expect(isCurrentSubscription({ status: 'active' })).toBe(true);
+      expect(isCurrentSubscription({ status: 'paused' })).toBe(true);
+    });
+
+    it('should not treat ended, completed or missing subscriptions as current', () => {
+      expect(isCurrentSubscription({ status: 'ended' })).toBe(false);
+      expect(isCurrentSubscription({ status: 'completed' })).toBe(false);
+      expect(isCurrentSubscription(null)).toBe(false);
+    });
+  });
+
+  describe('isPausedOn', () => {
+    const pauses = [
+      { paused_from: '2024-01-05', resume_on: '2024-01-08' },
+      { paused_from: '2024-01-20', resume_on: null }
+    ];
+
+    it('should cover the days from the first paused day up to the resume day', () => {
+      expect(isPausedOn(pauses, '2024-01-05')).toBe(true);
+      expect(isPausedOn(pauses, '2024-01-07')).toBe(true);
+      expect(isPausedOn(pauses, '2024-01-04')).toBe(false);
+      expect(isPausedOn(pauses, '2024-01-08')).toBe(false);
+    });
+
+    it('should cover every day from the start of a pause without a resume day', () => {
+      expect(isPausedOn(pauses, '2024-01-19')).toBe(false);
+      expect(isPausedOn(pauses, '2024-01-20')).toBe(true);
+      expect(isPausedOn(pauses, '2025-01-01')).toBe(true);
+    });
+
+    it('should not treat any day as paused without pauses', () => {
+      expect(isPausedOn([], '2024-01-05')).toBe(false);
+      expect(isPausedOn(undefined, '2024-01-05')).toBe(false);
+    });
+  });
+
+  describe('getProgramLengthInDays', () => {
+    it('should convert weeks to days', () => {
+      expect(getProgramLengthInDays({ duration: 30, duration_unit: 'days' })).toBe(30);
+      expect(getProgramLengthInDays({ duration: 4, duration_unit: 'weeks' })).toBe(28);
+    });
+
+    it('should return null for programs without a duration', () => {
+      expect(getProgramLengthInDays({ duration: null })).toBeNull();
+    });
+  });
+
+  describe('getSubscriptionEndDate', () => {
+    it('should return the last day of the run, counting the start date', () => {
+      expect(getSubscriptionEndDate('2024-01-01', { duration: 30, duration_unit: 'days' })).toBe('2024-01-30');
+      expect(getSubscriptionEndDate('2024-01-01', { duration: 1, duration_unit: 'weeks' })).toBe('2024-01-07');
+    });
+
+    it('should return null when the program runs forever or has no start date', () => {
+      expect(getSubscriptionEndDate('2024-01-01', {})).toBeNull();
+      expect(getSubscriptionEndDate(null, { duration: 30 })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,75 @@
+import {
+  mapCsvRecordToTask,
+  parseCalendarDate,
+  mapCalendarComponentToTask,
+  parseTaskFile
+} from '../../utils/taskImport.js';
+
+describe('Task import utilities', () => {
+  describe('mapCsvRecordToTask', () => {
+    it('should map common headers to task fields', () => {
+      const record = { row: 2, values: { Name: 'Run', Notes: '5k', 'Due Date': '2024-01-05', 'Due time': '07:30:00', Priority: 'High', Sticky: 'yes' } };
+
+      expect(mapCsvRecordToTask(record)).toEqual({
+        row: 2,
+        task: { title: 'Run', description: '5k', dueDate: '2024-01-05', dueTime: '07:30', priority: 'high', isSticky: true }
+      });
+    });
+
+    it('should default missing fields', () => {
+      expect(mapCsvRecordToTask({ row: 3, values: { title: 'Swim' } }).task).toEqual({
+        title: 'Swim', description: '', dueDate: null, dueTime: null, priority: 'medium', isSticky: false
+      });
+    });
+
+    it('should report values that are not yes or no for sticky', () => {
+      expect(mapCsvRecordToTask({ row: 4, values: { title: 'Swim', sticky: 'maybe' } })).toEqual({
+        row: 4,
+        error: 'Sticky must be yes or no, not "maybe"'
+      });
+    });
+  });
+
+  describe('parseCalendarDate', () => {
+    it('should read dates and floating times as given', () => {
+      expect(parseCalendarDate({ params: { VALUE: 'DATE' }, value: '20240105' }, 'UTC')).toEqual({ dueDate: '2024-01-05', dueTime: null });
+      expect(parseCalendarDate({ params: {}, value: '20240105T073000' }, 'UTC')).toEqual({ dueDate: '2024-01-05', dueTime: '07:30' });
+    });
+
+    it('should convert UTC times to the user\'s timezone', () => {
+      expect(parseCalendarDate({ params: {}, value: '20240105T020000Z' }, 'America/New_York')).toEqual({ dueDate: '2024-01-04', dueTime: '21:00' });
+    });
+
+    it('should return null for values that are not dates', () => {
+      expect(parseCalendarDate({ params: {}, value: 'tomorrow' }, 'UTC')).toBeNull();
+    });
+  });
+
+  describe('mapCalendarComponentToTask', () => {
+    it('should map to-dos and events to tasks', () => {
+      const todo = { type: 'VTODO', properties: { SUMMARY: { params: {}, value: 'Call\\, then email' }, DUE: { params: {}, value: '20240105' }, PRIORITY: { params: {}, value: '9' } } };
+      const event = { type: 'VEVENT', properties: { SUMMARY: { params: {}, value: 'Dentist' }, DTSTART: { params: {}, value: '20240106T090000' } } };
+
+      expect(mapCalendarComponentToTask(todo, 1, 'UTC').task).toEqual({
+        title: 'Call, then email', description: '', dueDate: '2024-01-05', dueTime: null, priority: 'low', isSticky: false
+      });
+      expect(mapCalendarComponentToTask(event, 2, 'UTC').task).toMatchObject({ title: 'Dentist', dueDate: '2024-01-06', dueTime: '09:00', priority: 'medium' });
+    });
+
+    it('should not import recurring entries or completed to-dos', () => {
+      const recurring = { type: 'VEVENT', properties: { SUMMARY: { params: {}, value: 'Standup' }, RRULE: { params: {}, value: 'FREQ=DAILY' } } };
+      const completed = { type: 'VTODO', properties: { SUMMARY: { params: {}, value: 'Done' }, STATUS: { params: {}, value: 'COMPLETED' } } };
+
+      expect(mapCalendarComponentToTask(recurring, 1, 'UTC').error).toBe('Recurring entries are not imported');
+      expect(mapCalendarComponentToTask(completed, 2, 'UTC').error).toBe('Completed to-dos are not imported');
+    });
+  });
+
+  describe('parseTaskFile', () => {
+    it('should number calendar entries from 1', () => {
+      const text = 'BEGIN:VCALENDAR\r\nBEGIN:VTODO\r\nSUMMARY:Run\r\nEND:VTODO\r\nBEGIN:VTODO\r\nSUMMARY:Swim\r\nEND:VTODO\r\nEND:VCALENDAR\r\n';
+
+      expect(parseTaskFile(text, 'ics', 'UTC').map(({ row, task }) => [row, task.title])).toEqual([[1, 'Run'], [2, 'Swim']]);
+    });
+  });
+});
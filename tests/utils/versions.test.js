@@ -0,0 +1,23 @@
+import { isActivityInVersion } from '../../utils/versions.js';
+
+describe('Version utilities', () => {
+  describe('isActivityInVersion', () => {
+    it('should include activities from the version they were added in', () => {
+      const activity = { version_added: 2, version_removed: null, is_deleted: false };
+      expect(isActivityInVersion(activity, 1)).toBe(false);
+      expect(isActivityInVersion(activity, 2)).toBe(true);
+      expect(isActivityInVersion(activity, 3)).toBe(true);
+    });
+
+    it('should exclude activities from the version they were removed in', () => {
+      const activity = { version_added: 1, version_removed: 3, is_deleted: true };
+      expect(isActivityInVersion(activity, 2)).toBe(true);
+      expect(isActivityInVersion(activity, 3)).toBe(false);
+    });
+
+    it('should exclude activities deleted before versioning from every version', () => {
+      const activity = { version_added: 1, version_removed: null, is_deleted: true };
+      expect(isActivityInVersion(activity, 1)).toBe(false);
+    });
+  });
+});
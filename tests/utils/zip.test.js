@@ -0,0 +1,47 @@
+import zlib from 'zlib';
+import { crc32, createZip } from '../../utils/zip.js';
+
+// Read the files back out of an archive using its central directory
+const readZip = (archive) => {
+  const end = archive.length - 22;
+  const count = archive.readUInt16LE(end + 10);
+  let offset = archive.readUInt32LE(end + 16);
+  const files = {};
+
+  for (let i = 0; i < count; i++) {
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const localOffset = archive.readUInt32LE(offset + 42);
+    const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const compressedSize = archive.readUInt32LE(localOffset + 18);
+    const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26);
+
+    const content = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+    files[name] = { content: content.toString('utf8'), crc: archive.readUInt32LE(offset + 16) };
+    offset += 46 + nameLength;
+  }
+
+  return files;
+};
+
+describe('ZIP utilities', () => {
+  describe('crc32', () => {
+    it('should match the standard check value', () => {
+      expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    });
+  });
+
+  describe('createZip', () => {
+    it('should store every file so it can be read back', () => {
+      const archive = createZip([
+        { name: 'data.json', content: '{"title":"Café"}' },
+        { name: 'tasks.csv', content: Buffer.from('id,title\r\n1,Run\r\n') }
+      ]);
+      const files = readZip(archive);
+
+      expect(archive.readUInt32LE(0)).toBe(0x04034b50);
+      expect(Object.keys(files)).toEqual(['data.json', 'tasks.csv']);
+      expect(files['data.json'].content).toBe('{"title":"Café"}');
+      expect(files['tasks.csv'].crc).toBe(crc32(Buffer.from('id,title\r\n1,Run\r\n')));
+    });
+  });
+});
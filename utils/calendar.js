@@ -0,0 +1,147 @@
+import { getCronTimeOfDay, getCronRRule, isRelativeActivity, activityMatchesDay } from './schedule.js';
+import { addDays } from './dates.js';
+import { escapeText, formatDate, formatLocalDateTime, formatUtcDateTime, getDayProperties } from './ical.js';
+import config from '../config/config.js';
+
+/**
+ * Utility functions for the calendar feed
+ * Tasks become to-dos, or events for calendar apps that don't show to-dos.
+ * Activities of subscribed programs become events that repeat for as long as
+ * the subscription runs, or single events for activities relative to the
+ * subscriber's start date.
+ */
+
+// Days searched for the first day an activity is scheduled on
+const FIRST_OCCURRENCE_SEARCH_DAYS = 366;
+
+// iCalendar priorities, where 1 is highest and 9 is lowest
+const TASK_PRIORITIES = {
+  high: 1,
+  medium: 5,
+  low: 9
+};
+
+/**
+ * Build the link calendar apps subscribe to without logging in
+ * @param {string} calendarToken - The user's calendar token from their settings
+ * @returns {string} - Feed URL
+ */
+export const getCalendarFeedUrl = (calendarToken) => {
+  return `${config.server.url}/calendar/feed.ics?token=${encodeURIComponent(calendarToken)}`;
+};
+
+// Domain used to make component UIDs globally unique
+const getUidDomain = () => new URL(config.server.url).hostname;
+
+// Find the first day from `fromDay` an activity is scheduled on, or null
+const getFirstActivityDay = (activity, fromDay, untilDay, startDate) => {
+  for (let offset = 0; offset < FIRST_OCCURRENCE_SEARCH_DAYS; offset++) {
+    const day = addDays(fromDay, offset);
+
+    if (untilDay && day > untilDay) {
+      return null;
+    }
+
+    if (activityMatchesDay(activity, day, startDate)) {
+      return day;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the component for a task
+ * @param {Object} task - Task row
+ * @param {boolean} asEvent - Whether to build an event instead of a to-do
+ * @returns {Object} - VTODO or VEVENT component
+ */
+export const buildTaskComponent = (task, asEvent) => {
+  const properties = [
+    ['UID', `task-${task.id}@${getUidDomain()}`],
+    ['DTSTAMP', formatUtcDateTime(task.updated_at || task.created_at || new Date())],
+    ['SUMMARY', escapeText(task.title)]
+  ];
+
+  if (task.description) {
+    properties.push(['DESCRIPTION', escapeText(task.description)]);
+  }
+
+  if (asEvent) {
+    properties.push(...getDayProperties('DTSTART', task.due_date, task.due_time));
+    properties.push(['TRANSP', 'TRANSPARENT']);
+    return { type: 'VEVENT', properties };
+  }
+
+  properties.push(...getDayProperties('DUE', task.due_date, task.due_time));
+  properties.push(['PRIORITY', String(TASK_PRIORITIES[task.priority] || TASK_PRIORITIES.medium)]);
+  properties.push(['STATUS', task.is_completed ? 'COMPLETED' : 'NEEDS-ACTION']);
+
+  if (task.is_completed && task.completed_at) {
+    properties.push(['COMPLETED', formatUtcDateTime(task.completed_at)]);
+  }
+
+  return { type: 'VTODO', properties };
+};
+
+/**
+ * Build the event for an activity of a subscribed program
+ * @param {Object} activity - Activity row with a cron schedule
+ * @param {Object} subscription - Subscription row with its `program`, `start_date` and `endDate`
+ * @param {string} activeFrom - First day the subscription is active in the feed, in YYYY-MM-DD format
+ * @returns {Object|null} - VEVENT component, or null if the activity can't be shown
+ */
+export const buildActivityComponent = (activity, subscription, activeFrom) => {
+  const time = getCronTimeOfDay(activity.cron);
+
+  // Relative activities can't fall before their day or week of the program
+  let searchFrom = activeFrom;
+  if (isRelativeActivity(activity) && subscription.start_date) {
+    const offset = activity.relative_day ? activity.relative_day - 1 : (activity.relative_week - 1) * 7;
+    const earliestDay = addDays(subscription.start_date, offset);
+    if (earliestDay > searchFrom) {
+      searchFrom = earliestDay;
+    }
+  }
+
+  const firstDay = getFirstActivityDay(activity, searchFrom, subscription.endDate, subscription.start_date);
+
+  if (!firstDay) {
+    return null;
+  }
+
+  const properties = [
+    ['UID', `activity-${activity.id}-${subscription.id}@${getUidDomain()}`],
+    ['DTSTAMP', formatUtcDateTime(activity.updated_at || activity.created_at || new Date())],
+    ['SUMMARY', escapeText(activity.title)],
+    ['DESCRIPTION', escapeText(activity.description ? `${subscription.program.title}\n\n${activity.description}` : subscription.program.title)],
+    ...getDayProperties('DTSTART', firstDay, time),
+    ['TRANSP', 'TRANSPARENT']
+  ];
+
+  // Relative activities happen once, on their day of the program
+  if (!isRelativeActivity(activity)) {
+    const rrule = getCronRRule(activity.cron);
+
+    // Schedules a single RRULE can't express are left to the daily tasks
+    if (!rrule) {
+      return null;
+    }
+
+    let until = '';
+    if (subscription.endDate) {
+      // UNTIL must be the same value type as DTSTART
+      until = `;UNTIL=${time ? formatLocalDateTime(subscription.endDate, '23:59:59') : formatDate(subscription.endDate)}`;
+    }
+
+    properties.push(['RRULE', `${rrule}${until}`]);
+  }
+
+  return { type: 'VEVENT', properties };
+};
+
+export default {
+  getCalendarFeedUrl,
+  buildTaskComponent,
+  buildActivityComponent
+};
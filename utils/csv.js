@@ -0,0 +1,105 @@
+/**
+ * Utility functions for reading and writing CSV (RFC 4180) files
+ * Fields may be quoted with double quotes, in which case they can contain
+ * commas, line breaks and doubled quotes.
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows, each an array of field values
+ */
+export const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Ignore a byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // The last row may not end with a line break
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV text with a header row into records keyed by header
+ * Blank lines are skipped.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} - Records with their `row` number, counting the header as row 1, and `values` by header
+ */
+export const parseCsv = (text) => {
+  const [headers = [], ...rows] = parseCsvRows(text);
+
+  return rows
+    .map((fields, index) => ({
+      row: index + 2,
+      values: Object.fromEntries(headers.map((header, column) => [header.trim(), (fields[column] || '').trim()]))
+    }))
+    .filter((record, index) => rows[index].some(field => field.trim() !== ''));
+};
+
+// Quote a field if it contains a separator, quote or line break
+const formatCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write records as CSV text with a header row
+ * Columns are the keys of every record, in the order they are first seen.
+ * Objects and arrays are written as JSON.
+ * @param {Array<Object>} records - Records to write
+ * @returns {string} - CSV text with CRLF line endings
+ */
+export const toCsv = (records) => {
+  const headers = [...new Set(records.flatMap(record => Object.keys(record)))];
+  const lines = [headers, ...records.map(record => headers.map(header => record[header]))];
+
+  return lines.map(fields => fields.map(formatCsvField).join(',')).join('\r\n') + '\r\n';
+};
+
+export default {
+  parseCsvRows,
+  parseCsv,
+  toCsv
+};
@@ -0,0 +1,140 @@
+import { fetchAllRows } from './db.js';
+import { toCsv } from './csv.js';
+import { createZip } from './zip.js';
+
+/**
+ * Utility functions for exporting all of a user's data
+ * An export is a ZIP archive holding every table as `data.json` and as one
+ * CSV file per table. Small accounts are exported straight away; larger ones
+ * are queued in the data_exports table and built by the data exports job.
+ */
+
+// Largest number of tasks and activity logs exported while the user waits
+export const MAX_INSTANT_EXPORT_ROWS = 5000;
+
+// Storage bucket holding archives built in the background
+export const EXPORT_BUCKET = 'exports';
+
+// Settings that grant access to the account without logging in
+const SECRET_SETTINGS = ['digest_token', 'calendar_token'];
+
+export const DATA_EXPORT_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  EXPIRED: 'expired'
+};
+
+/**
+ * Count the rows of the tables that make an account large to export
+ * @param {Object} client - Supabase client allowed to read the user's data
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Object>} - The `count`, or an error
+ */
+export const countExportRows = async (client, userId) => {
+  let count = 0;
+
+  for (const table of ['tasks', 'activity_logs']) {
+    const { count: tableCount, error } = await client
+      .from(table)
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId);
+
+    if (error) {
+      return { error };
+    }
+
+    count += tableCount || 0;
+  }
+
+  return { count };
+};
+
+/**
+ * Collect everything a user has stored, by table
+ * Activities are those of the programs the user created.
+ * @param {Object} client - Supabase client allowed to read the user's data
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Object>} - Rows by table name as data, or the first error
+ */
+export const collectUserData = async (client, userId) => {
+  const fetchTable = (table, column, value) => fetchAllRows(() => client
+    .from(table)
+    .select('*')
+    .eq(column, value)
+    .order('id', { ascending: true }));
+
+  const data = {};
+  const queries = [
+    ['profile', 'profiles', 'id'],
+    ['settings', 'settings', 'user_id'],
+    ['programs', 'programs', 'creator_id'],
+    ['subscriptions', 'subscriptions', 'user_id'],
+    ['tasks', 'tasks', 'user_id'],
+    ['activity_logs', 'activity_logs', 'user_id'],
+    ['reviews', 'program_reviews', 'user_id'],
+    ['review_replies', 'program_review_replies', 'creator_id']
+  ];
+
+  for (const [name, table, column] of queries) {
+    const { data: rows, error } = await fetchTable(table, column, userId);
+    if (error) {
+      return { data: null, error };
+    }
+    data[name] = rows;
+  }
+
+  data.activities = [];
+  const programIds = data.programs.map(program => program.id);
+  if (programIds.length > 0) {
+    const { data: activities, error } = await fetchAllRows(() => client
+      .from('activities')
+      .select('*')
+      .in('program_id', programIds)
+      .order('id', { ascending: true }));
+
+    if (error) {
+      return { data: null, error };
+    }
+    data.activities = activities;
+  }
+
+  data.settings = data.settings.map(settings => Object.fromEntries(
+    Object.entries(settings).filter(([key]) => !SECRET_SETTINGS.includes(key))
+  ));
+
+  return { data, error: null };
+};
+
+/**
+ * Build the archive for an export
+ * @param {Object} data - Rows by table name, from collectUserData
+ * @param {Date} exportedAt - When the data was collected
+ * @returns {Buffer} - ZIP archive
+ */
+export const buildExportArchive = (data, exportedAt = new Date()) => {
+  return createZip([
+    { name: 'data.json', content: JSON.stringify({ exportedAt: exportedAt.toISOString(), ...data }, null, 2) },
+    ...Object.entries(data).map(([table, rows]) => ({ name: `${table}.csv`, content: toCsv(rows) }))
+  ], exportedAt);
+};
+
+/**
+ * Get the file name an archive is downloaded as
+ * @param {Date} exportedAt - When the data was collected
+ * @returns {string} - File name
+ */
+export const getExportFilename = (exportedAt = new Date()) => {
+  return `regular-export-${exportedAt.toISOString().split('T')[0]}.zip`;
+};
+
+export default {
+  MAX_INSTANT_EXPORT_ROWS,
+  EXPORT_BUCKET,
+  DATA_EXPORT_STATUS,
+  countExportRows,
+  collectUserData,
+  buildExportArchive,
+  getExportFilename
+};
@@ -0,0 +1,216 @@
+/**
+ * Utility functions for working with calendar days
+ * Days are passed around as strings in YYYY-MM-DD format, matching the
+ * `due_date` column of the tasks table.
+ */
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a string is a valid calendar day
+ * @param {string} day - Day in YYYY-MM-DD format
+ * @returns {boolean} - True if the day is valid
+ */
+export const isValidDay = (day) => {
+  if (typeof day !== 'string' || !DAY_PATTERN.test(day)) {
+    return false;
+  }
+
+  const date = new Date(`${day}T00:00:00.000Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(day);
+};
+
+/**
+ * Add a number of days to a calendar day
+ * @param {string} day - Day in YYYY-MM-DD format
+ * @param {number} amount - Number of days to add (may be negative)
+ * @returns {string} - Resulting day in YYYY-MM-DD format
+ */
+export const addDays = (day, amount) => {
+  const date = new Date(`${day}T00:00:00.000Z`);
+  return new Date(date.getTime() + amount * MS_PER_DAY).toISOString().split('T')[0];
+};
+
+/**
+ * Get the number of days from one calendar day to another
+ * @param {string} startDay - Day in YYYY-MM-DD format
+ * @param {string} endDay - Day in YYYY-MM-DD format
+ * @returns {number} - Number of days (negative if endDay is before startDay)
+ */
+export const getDaysBetween = (startDay, endDay) => {
+  const start = new Date(`${startDay}T00:00:00.000Z`);
+  const end = new Date(`${endDay}T00:00:00.000Z`);
+  return Math.round((end - start) / MS_PER_DAY);
+};
+
+/**
+ * Get the day of the week of a calendar day
+ * @param {string} day - Day in YYYY-MM-DD format
+ * @returns {number} - Day of the week (0-6, Sunday is 0)
+ */
+export const getDayOfWeek = (day) => new Date(`${day}T00:00:00.000Z`).getUTCDay();
+
+/**
+ * Get the Sunday that starts the week containing a calendar day
+ * @param {string} day - Day in YYYY-MM-DD format
+ * @returns {string} - First day of the week in YYYY-MM-DD format
+ */
+export const getStartOfWeek = (day) => addDays(day, -getDayOfWeek(day));
+
+/**
+ * Get the first day of the day, week (starting Sunday) or month containing a day
+ * @param {string} day - Day in YYYY-MM-DD format
+ * @param {string} bucket - 'day', 'week' or 'month'
+ * @returns {string} - First day of the bucket in YYYY-MM-DD format
+ */
+export const getBucketStart = (day, bucket) => {
+  if (bucket === 'week') {
+    return getStartOfWeek(day);
+  }
+
+  if (bucket === 'month') {
+    return `${day.substring(0, 7)}-01`;
+  }
+
+  return day;
+};
+
+/**
+ * Get the first day of every day, week or month bucket overlapping a range
+ * @param {string} startDay - First day in YYYY-MM-DD format
+ * @param {string} endDay - Last day in YYYY-MM-DD format
+ * @param {string} bucket - 'day', 'week' or 'month'
+ * @returns {string[]} - Bucket start days in ascending order
+ */
+export const getBucketsInRange = (startDay, endDay, bucket) => {
+  const buckets = [];
+
+  for (let day = getBucketStart(startDay, bucket); day <= endDay;) {
+    buckets.push(day);
+
+    if (bucket === 'month') {
+      const date = new Date(`${day}T00:00:00.000Z`);
+      date.setUTCMonth(date.getUTCMonth() + 1);
+      day = date.toISOString().split('T')[0];
+    } else {
+      day = addDays(day, bucket === 'week' ? 7 : 1);
+    }
+  }
+
+  return buckets;
+};
+
+/**
+ * Get every calendar day between two days, inclusive
+ * @param {string} startDay - First day in YYYY-MM-DD format
+ * @param {string} endDay - Last day in YYYY-MM-DD format
+ * @returns {string[]} - Days in ascending order
+ */
+export const getDaysInRange = (startDay, endDay) => {
+  const days = [];
+
+  for (let day = startDay; day <= endDay; day = addDays(day, 1)) {
+    days.push(day);
+  }
+
+  return days;
+};
+
+/**
+ * Get the current calendar day in a timezone
+ * Falls back to UTC when the timezone is not recognised.
+ * @param {string} timezone - IANA timezone name (defaults to the server timezone)
+ * @param {Date} now - Moment to resolve (defaults to the current time)
+ * @returns {string} - Day in YYYY-MM-DD format
+ */
+export const getTodayInTimezone = (timezone, now = new Date()) => {
+  try {
+    // The en-CA locale formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(now);
+  } catch (error) {
+    return now.toISOString().split('T')[0];
+  }
+};
+
+/**
+ * Get the current time of day in a timezone
+ * Falls back to UTC when the timezone is not recognised.
+ * @param {string} timezone - IANA timezone name (defaults to the server timezone)
+ * @param {Date} now - Moment to resolve (defaults to the current time)
+ * @returns {string} - Time in HH:MM format
+ */
+export const getTimeInTimezone = (timezone, now = new Date()) => {
+  try {
+    return new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).format(now);
+  } catch (error) {
+    return now.toISOString().substring(11, 16);
+  }
+};
+
+/**
+ * Convert a time of day to the number of minutes since midnight
+ * @param {string} time - Time in HH:MM or HH:MM:SS format
+ * @returns {number} - Minutes since midnight
+ */
+export const getMinutesOfDay = (time) => {
+  const [hours, minutes] = time.split(':').map(part => parseInt(part, 10));
+  return hours * 60 + minutes;
+};
+
+/**
+ * Get a user's configured timezone from their settings
+ * @param {Object} userSupabase - Supabase client allowed to read the user's settings
+ * @param {string} userId - ID of the user
+ * @returns {Promise<string>} - IANA timezone name, UTC if none is configured
+ */
+export const getUserTimezone = async (userSupabase, userId) => {
+  const { data: settings, error } = await userSupabase
+    .from('settings')
+    .select('timezone')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching user timezone:', error);
+  }
+
+  return settings?.timezone || 'UTC';
+};
+
+/**
+ * Get the current calendar day for a user in their configured timezone
+ * @param {Object} userSupabase - Supabase client allowed to read the user's settings
+ * @param {string} userId - ID of the user
+ * @returns {Promise<string>} - Day in YYYY-MM-DD format
+ */
+export const getUserToday = async (userSupabase, userId) => {
+  const timezone = await getUserTimezone(userSupabase, userId);
+  return getTodayInTimezone(timezone);
+};
+
+export default {
+  isValidDay,
+  addDays,
+  getDaysBetween,
+  getDayOfWeek,
+  getStartOfWeek,
+  getBucketStart,
+  getBucketsInRange,
+  getDaysInRange,
+  getTodayInTimezone,
+  getTimeInTimezone,
+  getMinutesOfDay,
+  getUserTimezone,
+  getUserToday
+};
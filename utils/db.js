@@ -67,7 +67,33 @@ export const createAuthenticatedClient = (token) => {
   );
 };
 
+/**
+ * Fetch every row of a query, a page at a time, to get past the API row limit
+ * The query should have a stable order so pages don't overlap.
+ * @param {Function} buildQuery - Returns a fresh query builder for each page
+ * @param {number} pageSize - Number of rows fetched per request
+ * @returns {Promise<Object>} - All rows as data, or the first error
+ */
+export const fetchAllRows = async (buildQuery, pageSize = 1000) => {
+  const rows = [];
+
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await buildQuery().range(from, from + pageSize - 1);
+
+    if (error) {
+      return { data: null, error };
+    }
+
+    rows.push(...data);
+
+    if (data.length < pageSize) {
+      return { data: rows, error: null };
+    }
+  }
+};
+
 export default {
   supabase,
-  supabaseAdmin
+  supabaseAdmin,
+  fetchAllRows
 }; 
\ No newline at end of file
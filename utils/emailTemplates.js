@@ -0,0 +1,121 @@
+import config from '../config/config.js';
+
+/**
+ * Email templates
+ * Each template returns a notification with a subject, a plain-text body and
+ * an HTML body, ready to pass to sendNotification.
+ */
+
+/**
+ * Escape a value for use in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+export const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Wrap HTML content in the shared email layout
+ * @param {string} title - Heading shown at the top of the email
+ * @param {string} content - HTML content
+ * @param {string} footer - Optional HTML footer
+ * @returns {string} - Complete HTML document
+ */
+const renderLayout = (title, content, footer = '') => `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
+<h2>${escapeHtml(title)}</h2>
+${content}
+<p><a href="${config.client.url}">View your tasks</a></p>
+${footer ? `<p style="font-size: 12px; color: #888;">${footer}</p>` : ''}
+</body>
+</html>`;
+
+/**
+ * Format a task's due time for display
+ * @param {Object} task - Task with an optional due_time
+ * @returns {string} - Time in HH:MM format, or "Any time"
+ */
+const formatDueTime = (task) => (task.due_time ? task.due_time.substring(0, 5) : 'Any time');
+
+/**
+ * Render a reminder for a task that is due soon
+ * @param {Object} task - Task with a title, description and due_time
+ * @returns {Object} - Notification subject and bodies
+ */
+export const renderTaskReminder = (task) => {
+  const dueTime = formatDueTime(task);
+
+  return {
+    subject: `Reminder: ${task.title} is due at ${dueTime}`,
+    text: `"${task.title}" is due today at ${dueTime}.\n\n${task.description || ''}\n\n${config.client.url}`,
+    html: renderLayout(
+      'Task reminder',
+      `<p><strong>${escapeHtml(task.title)}</strong> is due today at ${dueTime}.</p>`
+        + (task.description ? `<p>${escapeHtml(task.description)}</p>` : '')
+    )
+  };
+};
+
+/**
+ * Render the daily digest of a user's tasks
+ * @param {Object} digest - Day, tasks (as returned by fetchTasksForDay) and unsubscribe URL
+ * @returns {Object} - Notification subject and bodies
+ */
+export const renderDailyDigest = ({ day, tasks, unsubscribeUrl }) => {
+  const subject = `Your tasks for ${day}: ${tasks.length} to do`;
+
+  const textLines = tasks.map(task => {
+    const program = task.program && !task.program.is_personal ? ` (${task.program.title})` : '';
+    return `- [${formatDueTime(task)}] ${task.title}${program}`;
+  });
+
+  const htmlItems = tasks.map(task => {
+    const program = task.program && !task.program.is_personal
+      ? ` <span style="color: #888;">${escapeHtml(task.program.title)}</span>`
+      : '';
+    return `<li>${formatDueTime(task)} - <strong>${escapeHtml(task.title)}</strong>${program}</li>`;
+  });
+
+  return {
+    subject,
+    text: `Here are your tasks for ${day}:\n\n${textLines.join('\n')}\n\n${config.client.url}\n\n`
+      + `Unsubscribe from digest emails: ${unsubscribeUrl}`,
+    html: renderLayout(
+      `Your tasks for ${day}`,
+      `<ul>${htmlItems.join('')}</ul>`,
+      `<a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a> from digest emails.`
+    )
+  };
+};
+
+/**
+ * Render the weekly summary of a user's progress
+ * @param {Object} digest - First and last day, completion stats and unsubscribe URL
+ * @returns {Object} - Notification subject and bodies
+ */
+export const renderWeeklyDigest = ({ firstDay, lastDay, stats, unsubscribeUrl }) => {
+  const summary = `You completed ${stats.completed} of ${stats.total} tasks (${stats.completionRate}%)`;
+
+  return {
+    subject: `Your week in review: ${stats.completionRate}% complete`,
+    text: `${summary} from ${firstDay} to ${lastDay}.\n\n${config.client.url}\n\n`
+      + `Unsubscribe from digest emails: ${unsubscribeUrl}`,
+    html: renderLayout(
+      'Your week in review',
+      `<p>${summary} from ${firstDay} to ${lastDay}.</p>`,
+      `<a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a> from digest emails.`
+    )
+  };
+};
+
+export default {
+  escapeHtml,
+  renderTaskReminder,
+  renderDailyDigest,
+  renderWeeklyDigest
+};
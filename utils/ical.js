@@ -0,0 +1,223 @@
+import { addDays } from './dates.js';
+
+/**
+ * Utility functions for building and reading iCalendar (RFC 5545) documents
+ * Components are described as a type and a list of [name, value] properties.
+ * Values are written as given, so text values must be passed through
+ * escapeText first.
+ */
+
+// Lines may be at most 75 octets long, excluding the line break
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a value for use in a TEXT property
+ * @param {string} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+export const escapeText = (value) => {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Fold a content line so no physical line exceeds 75 octets.
+ * Continuation lines start with a single space, and multi-byte characters
+ * are never split.
+ * @param {string} line - Unfolded content line
+ * @returns {string} - Folded line joined with CRLF
+ */
+export const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const charOctets = Buffer.byteLength(char);
+    // Continuation lines lose one octet to their leading space
+    const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + charOctets > limit) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+
+    current += char;
+    octets += charOctets;
+  }
+
+  lines.push(current);
+  return lines.join('\r\n ');
+};
+
+/**
+ * Format a day as an iCalendar DATE
+ * @param {string} day - Day in YYYY-MM-DD format
+ * @returns {string} - Date in YYYYMMDD format
+ */
+export const formatDate = (day) => day.replace(/-/g, '');
+
+/**
+ * Format a day and time as a floating iCalendar DATE-TIME, which calendar
+ * apps show at that time in whatever timezone they are in
+ * @param {string} day - Day in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM or HH:MM:SS format
+ * @returns {string} - Date-time in YYYYMMDDTHHMMSS format
+ */
+export const formatLocalDateTime = (day, time) => {
+  const [hours, minutes, seconds = '00'] = time.split(':');
+  return `${formatDate(day)}T${hours.padStart(2, '0')}${minutes}${seconds.slice(0, 2)}`;
+};
+
+/**
+ * Format a timestamp as a UTC iCalendar DATE-TIME
+ * @param {Date|string} timestamp - Timestamp to format
+ * @returns {string} - Date-time in YYYYMMDDTHHMMSSZ format
+ */
+export const formatUtcDateTime = (timestamp) => {
+  return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Get the properties that place a component on a day, either at a time or all day
+ * @param {string} name - Property name, e.g. DTSTART or DUE
+ * @param {string} day - Day in YYYY-MM-DD format
+ * @param {string|null} time - Time of day, or null for all day
+ * @returns {Array} - [name, value] properties
+ */
+export const getDayProperties = (name, day, time) => {
+  if (time) {
+    return [[name, formatLocalDateTime(day, time)]];
+  }
+
+  const properties = [[`${name};VALUE=DATE`, formatDate(day)]];
+
+  // All-day events end at the start of the next day
+  if (name === 'DTSTART') {
+    properties.push(['DTEND;VALUE=DATE', formatDate(addDays(day, 1))]);
+  }
+
+  return properties;
+};
+
+/**
+ * Build an iCalendar document
+ * @param {string} name - Calendar name shown by calendar apps
+ * @param {Array<Object>} components - Components with `type` and `properties`
+ * @returns {string} - Calendar document with CRLF line endings
+ */
+export const buildCalendar = (name, components) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Regular//Regular API//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  components.forEach(({ type, properties }) => {
+    lines.push(`BEGIN:${type}`);
+    properties.forEach(([property, value]) => {
+      lines.push(`${property}:${value}`);
+    });
+    lines.push(`END:${type}`);
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Reverse escapeText for a TEXT property value
+ * @param {string} value - Escaped text
+ * @returns {string} - Plain text
+ */
+export const unescapeText = (value) => {
+  return String(value ?? '').replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+};
+
+// Split a content line into its name, parameters and value
+const parseContentLine = (line) => {
+  // The value starts at the first colon outside a quoted parameter value
+  let inQuotes = false;
+  let separator = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      separator = i;
+      break;
+    }
+  }
+
+  if (separator === -1) {
+    return null;
+  }
+
+  const [name, ...params] = line.slice(0, separator).split(';');
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(params.map(param => {
+      const [key, ...rest] = param.split('=');
+      return [key.toUpperCase(), rest.join('=').replace(/^"|"$/g, '')];
+    })),
+    value: line.slice(separator + 1)
+  };
+};
+
+/**
+ * Parse the events and to-dos of an iCalendar document
+ * Only the first occurrence of each property is kept, and properties of
+ * nested components such as alarms are ignored.
+ * @param {string} text - iCalendar document
+ * @param {Array<string>} types - Component types to return
+ * @returns {Array<Object>} - Components with `type` and `properties` by name, each with `params` and `value`
+ */
+export const parseCalendar = (text, types = ['VEVENT', 'VTODO']) => {
+  const components = [];
+  const stack = [];
+
+  // Unfold continuation lines before splitting
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  for (const line of lines) {
+    const contentLine = parseContentLine(line);
+    if (!contentLine) {
+      continue;
+    }
+
+    const { name, value } = contentLine;
+
+    if (name === 'BEGIN') {
+      const component = { type: value.toUpperCase(), properties: {} };
+      if (stack.length > 0 && stack[stack.length - 1].type === 'VCALENDAR' && types.includes(component.type)) {
+        components.push(component);
+      }
+      stack.push(component);
+    } else if (name === 'END') {
+      stack.pop();
+    } else if (stack.length > 0 && !(name in stack[stack.length - 1].properties)) {
+      stack[stack.length - 1].properties[name] = contentLine;
+    }
+  }
+
+  return components;
+};
+
+export default {
+  escapeText,
+  foldLine,
+  formatDate,
+  formatLocalDateTime,
+  formatUtcDateTime,
+  getDayProperties,
+  buildCalendar,
+  unescapeText,
+  parseCalendar
+};
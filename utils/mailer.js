@@ -0,0 +1,81 @@
+import nodemailer from 'nodemailer';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import config from '../config/config.js';
+
+/**
+ * Nodemailer transport configuration
+ * Selected with EMAIL_TRANSPORT:
+ * - "service" (default): a well-known service such as Gmail, using EMAIL_SERVICE
+ * - "smtp": an SMTP server at EMAIL_HOST/EMAIL_PORT, e.g. a local MailHog instance
+ * - "file": writes each message as an .eml file to EMAIL_FILE_DIR, for tests
+ */
+
+/**
+ * Create a transport that writes messages to files instead of sending them
+ * @param {string} directory - Directory to write .eml files to
+ * @returns {Object} - Nodemailer transport
+ */
+const createFileTransport = (directory) => ({
+  name: 'file',
+  version: '1.0.0',
+  send: (mail, callback) => {
+    try {
+      fs.mkdirSync(directory, { recursive: true });
+
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+      const filePath = path.join(directory, fileName);
+      const output = fs.createWriteStream(filePath);
+
+      output.on('finish', () => callback(null, {
+        envelope: mail.message.getEnvelope(),
+        messageId: mail.message.messageId(),
+        path: filePath
+      }));
+      output.on('error', callback);
+
+      const input = mail.message.createReadStream();
+      input.on('error', callback);
+      input.pipe(output);
+    } catch (error) {
+      callback(error);
+    }
+  }
+});
+
+/**
+ * Create the nodemailer transporter for the configured transport
+ * @returns {Object} - Nodemailer transporter
+ */
+export const createMailTransporter = () => {
+  const auth = config.email.user ? {
+    user: config.email.user,
+    pass: config.email.password
+  } : undefined;
+
+  switch (config.email.transport) {
+    case 'file':
+      return nodemailer.createTransport(createFileTransport(config.email.fileDir));
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: config.email.host,
+        port: config.email.port,
+        secure: config.email.secure,
+        auth
+      });
+    default:
+      return nodemailer.createTransport({
+        service: config.email.service || 'gmail',
+        auth
+      });
+  }
+};
+
+// Shared transporter for every email the app sends
+export const transporter = createMailTransporter();
+
+export default {
+  createMailTransporter,
+  transporter
+};
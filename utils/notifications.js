@@ -0,0 +1,69 @@
+import { transporter } from './mailer.js';
+import config from '../config/config.js';
+
+/**
+ * Pluggable notification delivery
+ * Each channel is an object with a `send(recipient, notification)` function,
+ * where the recipient has the user's id and email and the notification has a
+ * subject, plain-text body and optional HTML body and headers. Email is built in; other
+ * channels (push, SMS, ...) can be added with registerChannel.
+ */
+
+const emailChannel = {
+  send: async (recipient, notification) => {
+    if (!recipient.email) {
+      throw new Error(`No email address for user ${recipient.userId}`);
+    }
+
+    return transporter.sendMail({
+      from: config.email.from,
+      to: recipient.email,
+      subject: notification.subject,
+      text: notification.text,
+      html: notification.html,
+      headers: notification.headers
+    });
+  }
+};
+
+const channels = {
+  email: emailChannel
+};
+
+/**
+ * Register a delivery channel, replacing any channel with the same name
+ * @param {string} name - Channel name, as stored in reminder preferences
+ * @param {Object} channel - Channel with a send(recipient, notification) function
+ */
+export const registerChannel = (name, channel) => {
+  channels[name] = channel;
+};
+
+/**
+ * Deliver a notification through a channel
+ * @param {string} channelName - Name of a registered channel
+ * @param {Object} recipient - User id and email of the recipient
+ * @param {Object} notification - Subject, text and optional html
+ * @returns {Promise<boolean>} - Success status
+ */
+export const sendNotification = async (channelName, recipient, notification) => {
+  const channel = channels[channelName];
+
+  if (!channel) {
+    console.error(`Unknown notification channel: ${channelName}`);
+    return false;
+  }
+
+  try {
+    await channel.send(recipient, notification);
+    return true;
+  } catch (error) {
+    console.error(`Error sending ${channelName} notification to user ${recipient.userId}:`, error);
+    return false;
+  }
+};
+
+export default {
+  registerChannel,
+  sendNotification
+};
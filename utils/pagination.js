@@ -0,0 +1,133 @@
+import { formatSuccessResponse } from './formatResponse.js';
+
+/**
+ * Utility functions for cursor pagination
+ * A cursor marks the last row of a page by the value the list is sorted by
+ * and the row's ID, so the next page can start right after it even when rows
+ * are added in between. Clients treat cursors as opaque strings.
+ *
+ * List endpoints fetch one row more than the page `limit` to find out whether
+ * there is another page, and respond with the page's rows as `data` and a
+ * `pagination` object holding the `limit`, the `cursor` the page was asked
+ * for and the `nextCursor` to pass for the next page, null on the last page.
+ */
+
+// Rows per page when no limit is given, and the most that can be asked for
+export const DEFAULT_PAGE_LIMIT = 20;
+export const MAX_PAGE_LIMIT = 100;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Encode the position of the last row of a page as a cursor
+ * @param {string|number} value - Value the list is sorted by
+ * @param {string} id - ID of the row
+ * @returns {string} - URL-safe cursor
+ */
+export const encodeCursor = (value, id) => {
+  return Buffer.from(JSON.stringify({ v: value, id }), 'utf8').toString('base64url');
+};
+
+/**
+ * Decode a cursor made by encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} - `value` and `id`, or null if the cursor is not valid
+ */
+export const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string' || cursor === '') {
+    return null;
+  }
+
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if ((typeof v !== 'string' && typeof v !== 'number') || typeof id !== 'string' || !UUID_PATTERN.test(id)) {
+      return null;
+    }
+    return { value: v, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read the page limit and cursor from a request's query string
+ * @param {Object} query - Query parameters, already validated
+ * @returns {Object} - `limit` and decoded `cursor`, with an `error` message if the cursor is not valid
+ */
+export const getPageParams = (query) => {
+  const limit = query.limit ? parseInt(query.limit, 10) : DEFAULT_PAGE_LIMIT;
+
+  if (!query.cursor) {
+    return { limit, cursor: null };
+  }
+
+  const cursor = decodeCursor(query.cursor);
+  return cursor ? { limit, cursor } : { limit, cursor: null, error: 'Invalid cursor' };
+};
+
+/**
+ * Limit a Supabase query to the page after a cursor
+ * The query must already be ordered by `column`; rows with the same value
+ * are ordered by ID so that pages never overlap or skip rows.
+ * @param {Object} query - Supabase query ordered by `column`
+ * @param {Object} options - The `column` sorted by, whether it is sorted `ascending`, the decoded `cursor` and the page `limit`
+ * @returns {Object} - The query, fetching up to one row more than the limit
+ */
+export const applyCursor = (query, { column, ascending = false, cursor = null, limit = DEFAULT_PAGE_LIMIT }) => {
+  let page = query.order('id', { ascending });
+
+  if (cursor) {
+    const operator = ascending ? 'gt' : 'lt';
+    // Quote the value so timestamps and text can't be read as filter syntax
+    const value = `"${String(cursor.value).replace(/["\\]/g, '')}"`;
+    page = page.or(`${column}.${operator}.${value},and(${column}.eq.${value},id.${operator}.${cursor.id})`);
+  }
+
+  return page.limit(limit + 1);
+};
+
+/**
+ * Cut the rows fetched for a page down to the limit
+ * @param {Array<Object>} rows - Rows fetched, up to one more than the limit
+ * @param {number} limit - Rows per page
+ * @param {string} column - Column the rows are sorted by
+ * @returns {Object} - The page's `items` and the `nextCursor`, or null on the last page
+ */
+export const getPage = (rows, limit, column) => {
+  const items = rows.slice(0, limit);
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    nextCursor: rows.length > limit ? encodeCursor(last[column], last.id) : null
+  };
+};
+
+/**
+ * Format a page of a list as a success response
+ * @param {string} message - Success message
+ * @param {Array<Object>} items - Rows of the page
+ * @param {Object} pagination - The page `limit`, the `cursor` it was asked for and the `nextCursor`
+ * @returns {Object} - Formatted response
+ */
+export const formatPageResponse = (message, items, { limit, cursor = null, nextCursor = null }) => {
+  return {
+    ...formatSuccessResponse(message, items),
+    pagination: {
+      limit,
+      cursor: cursor || null,
+      nextCursor
+    }
+  };
+};
+
+export default {
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  getPageParams,
+  applyCursor,
+  getPage,
+  formatPageResponse
+};
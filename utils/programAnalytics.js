@@ -0,0 +1,86 @@
+import { getBucketsInRange } from './dates.js';
+
+/**
+ * Utility functions for creator analytics
+ * The program_subscriber_growth and program_activity_completion database
+ * functions only return totals across a program's subscribers. These turn
+ * their rows into the figures shown to the program's creator.
+ */
+
+// Activities listed as the most skipped
+const MOST_SKIPPED_LIMIT = 5;
+
+/**
+ * Build the subscriber growth of a program over a range, one point per bucket
+ * Buckets without any subscription changes are filled in.
+ * @param {Array<Object>} rows - Rows from program_subscriber_growth, starting with the count before the range
+ * @param {string} startDate - First day of the range in YYYY-MM-DD format
+ * @param {string} endDate - Last day of the range in YYYY-MM-DD format
+ * @param {string} bucket - 'day', 'week' or 'month'
+ * @returns {Object} - The `growth` points, the final `subscriberCount` and the `churn` over the range
+ */
+export const getSubscriberGrowth = (rows, startDate, endDate, bucket) => {
+  const rowsByBucket = Object.fromEntries(rows.map(row => [row.bucket, row]));
+  const startingSubscribers = Number(rows[0]?.subscribers_before || 0);
+
+  let subscriberCount = startingSubscribers;
+  const growth = getBucketsInRange(startDate, endDate, bucket).map(day => {
+    const row = rowsByBucket[day];
+    const subscribed = Number(row?.subscribed || 0);
+    const unsubscribed = Number(row?.unsubscribed || 0);
+    subscriberCount += subscribed - unsubscribed;
+    return { bucket: day, subscribed, unsubscribed, net: subscribed - unsubscribed, subscribers: subscriberCount };
+  });
+
+  const newSubscribers = growth.reduce((sum, point) => sum + point.subscribed, 0);
+  const unsubscribes = growth.reduce((sum, point) => sum + point.unsubscribed, 0);
+
+  return {
+    growth,
+    subscriberCount,
+    churn: {
+      unsubscribes,
+      churnRate: Math.round((unsubscribes / (startingSubscribers + newSubscribers)) * 100) || 0
+    }
+  };
+};
+
+/**
+ * Format the completion of each activity of a program
+ * Activities with too few subscribers come back without totals and are
+ * marked as suppressed.
+ * @param {Array<Object>} rows - Rows from program_activity_completion
+ * @returns {Array<Object>} - Completion of each activity
+ */
+export const formatActivityCompletion = (rows) => {
+  return rows.map(row => ({
+    activityId: row.activity_id,
+    title: row.title,
+    versionAdded: row.version_added,
+    versionRemoved: row.version_removed,
+    suppressed: row.total === null,
+    total: row.total === null ? null : Number(row.total),
+    completed: row.completed === null ? null : Number(row.completed),
+    skipped: row.skipped === null ? null : Number(row.skipped),
+    completionRate: row.total === null ? null : Math.round((row.completed / row.total) * 100) || 0
+  }));
+};
+
+/**
+ * Get the activities subscribers skip most, leaving out suppressed ones
+ * @param {Array<Object>} activities - Activities from formatActivityCompletion
+ * @param {number} limit - Most activities to return
+ * @returns {Array<Object>} - Activities with skipped tasks, most skipped first
+ */
+export const getMostSkippedActivities = (activities, limit = MOST_SKIPPED_LIMIT) => {
+  return activities
+    .filter(activity => !activity.suppressed && activity.skipped > 0)
+    .sort((a, b) => b.skipped - a.skipped)
+    .slice(0, limit);
+};
+
+export default {
+  getSubscriberGrowth,
+  formatActivityCompletion,
+  getMostSkippedActivities
+};
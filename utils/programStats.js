@@ -0,0 +1,48 @@
+/**
+ * Utility functions for the statistics shown alongside programs
+ * Subscriber counts and ratings for a whole list of programs are read with
+ * one call to the program_stats database function, so listings run the same
+ * number of queries however many programs they hold.
+ */
+
+// Statistics of a program nobody has subscribed to or rated
+const EMPTY_STATS = {
+  subscriberCount: 0,
+  ratingAverage: null,
+  ratingCount: 0
+};
+
+/**
+ * Get the subscriber count and rating of several programs with a single query
+ * Ratings only include reviews that have not been hidden after reports.
+ * @param {Object} client - Supabase client
+ * @param {Array<string>} programIds - IDs of the programs
+ * @returns {Promise<Object>} - `stats` by program ID, or an error
+ */
+export const getProgramStats = async (client, programIds) => {
+  const stats = Object.fromEntries(programIds.map(id => [id, { ...EMPTY_STATS }]));
+
+  if (programIds.length === 0) {
+    return { stats, error: null };
+  }
+
+  const { data, error } = await client.rpc('program_stats', { p_program_ids: programIds });
+
+  if (error) {
+    return { stats, error };
+  }
+
+  for (const row of data) {
+    stats[row.program_id] = {
+      subscriberCount: Number(row.subscriber_count) || 0,
+      ratingAverage: row.rating_average === null ? null : Number(row.rating_average),
+      ratingCount: Number(row.rating_count) || 0
+    };
+  }
+
+  return { stats, error: null };
+};
+
+export default {
+  getProgramStats
+};
@@ -0,0 +1,54 @@
+/**
+ * Utility functions for program reviews
+ * Each subscriber can leave one rating from 1 to 5, with optional text, once
+ * they have followed the program for long enough to judge it. Former
+ * subscribers keep that right, as subscriptions are never deleted. Creators
+ * can reply to reviews of their programs, and reviews reported by enough
+ * users are hidden by the database.
+ */
+
+// Days after first subscribing before a subscriber can review a program.
+// Also enforced by the "Subscribers can review programs" policy.
+export const MIN_REVIEW_SUBSCRIPTION_DAYS = 7;
+
+// Reasons a review can be reported for
+export const REVIEW_REPORT_REASONS = ['spam', 'abuse', 'off_topic', 'other'];
+
+/**
+ * Get when a subscriber may first review a program
+ * The first subscription counts, so leaving and coming back doesn't reset it.
+ * @param {Object|null} subscription - The user's subscription to the program
+ * @returns {Date|null} - When reviewing opens, or null if the user never subscribed
+ */
+export const getReviewableFrom = (subscription) => {
+  if (!subscription || !subscription.created_at) {
+    return null;
+  }
+
+  const subscribedAt = new Date(subscription.created_at);
+  return new Date(subscribedAt.getTime() + MIN_REVIEW_SUBSCRIPTION_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Check whether a user may review a program
+ * @param {Object} program - Program row with `creator_id`
+ * @param {Object|null} subscription - The user's subscription to the program
+ * @param {string} userId - ID of the user
+ * @param {Date} now - Current time
+ * @returns {boolean} - True if the user may review the program
+ */
+export const canReviewProgram = (program, subscription, userId, now = new Date()) => {
+  if (program.creator_id === userId) {
+    return false;
+  }
+
+  const reviewableFrom = getReviewableFrom(subscription);
+  return reviewableFrom !== null && reviewableFrom <= now;
+};
+
+export default {
+  MIN_REVIEW_SUBSCRIPTION_DAYS,
+  REVIEW_REPORT_REASONS,
+  getReviewableFrom,
+  canReviewProgram
+};
@@ -0,0 +1,199 @@
+import cronParser from 'cron-parser';
+import { getDaysBetween, getDayOfWeek } from './dates.js';
+
+/**
+ * Utility functions for evaluating activity schedules
+ * Activities store a standard five-field cron expression
+ * (minute hour day-of-month month day-of-week) in their `cron` column.
+ * They can also be scheduled relative to the day a subscriber started the
+ * program, either on day N (`relative_day`) or on a weekday of week N
+ * (`relative_week` and `relative_weekday`). The cron still applies to
+ * relative activities and gives their time of day.
+ */
+
+// iCalendar day codes indexed by cron day-of-week (Sunday is 0)
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Parse a cron expression, returning null when it is not valid
+ * @param {string} cron - Five-field cron expression
+ * @param {Object} options - Options passed through to cron-parser
+ * @returns {Object|null} - cron-parser iterator or null
+ */
+const parseCron = (cron, options = {}) => {
+  if (!cron || typeof cron !== 'string') {
+    return null;
+  }
+
+  const parts = cron.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    return null;
+  }
+
+  try {
+    return cronParser.parseExpression(parts.join(' '), { tz: 'UTC', ...options });
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check whether a cron expression is valid
+ * @param {string} cron - Five-field cron expression
+ * @returns {boolean} - True if the expression can be evaluated
+ */
+export const isValidCron = (cron) => parseCron(cron) !== null;
+
+/**
+ * Check whether a cron expression fires at any time on the given calendar day.
+ * Evaluates every field, including day-of-month, month, steps, ranges and
+ * named days, with the usual cron rule that a restricted day-of-month and a
+ * restricted day-of-week match if either one matches.
+ * @param {string} cron - Five-field cron expression
+ * @param {string} day - Calendar day in YYYY-MM-DD format
+ * @returns {boolean} - True if the schedule matches the day
+ */
+export const cronMatchesDay = (cron, day) => {
+  const dayStart = new Date(`${day}T00:00:00.000Z`);
+  if (isNaN(dayStart.getTime())) {
+    return false;
+  }
+
+  const interval = parseCron(cron, {
+    currentDate: new Date(dayStart.getTime() - 1000),
+    endDate: new Date(`${day}T23:59:59.999Z`)
+  });
+
+  return interval !== null && interval.hasNext();
+};
+
+/**
+ * Get the time of day an activity is due, if its cron names a single time
+ * @param {string} cron - Five-field cron expression
+ * @returns {string|null} - Time in HH:MM:SS format, or null for all-day activities
+ */
+export const getCronTimeOfDay = (cron) => {
+  if (!parseCron(cron)) {
+    return null;
+  }
+
+  const [minute, hour] = cron.trim().split(/\s+/);
+  if (!/^\d{1,2}$/.test(minute) || !/^\d{1,2}$/.test(hour)) {
+    return null;
+  }
+
+  return `${hour.padStart(2, '0')}:${minute.padStart(2, '0')}:00`;
+};
+
+/**
+ * Convert the days a cron expression fires on to an iCalendar (RFC 5545) RRULE.
+ * Only the day fields are used; the time of day comes from getCronTimeOfDay.
+ * Expressions that restrict both day-of-month and day-of-week fire when either
+ * matches, which a single RRULE can't express, so they return null, as do
+ * special characters like L and #.
+ * @param {string} cron - Five-field cron expression
+ * @returns {string|null} - RRULE value without the "RRULE:" prefix, or null
+ */
+export const getCronRRule = (cron) => {
+  const interval = parseCron(cron);
+  if (!interval) {
+    return null;
+  }
+
+  const [, , dayOfMonth, month, dayOfWeek] = cron.trim().split(/\s+/);
+  const isWildcard = (field) => field === '*' || field === '?';
+  const { fields } = interval;
+
+  const values = [...fields.dayOfMonth, ...fields.month, ...fields.dayOfWeek];
+  if (values.some(value => typeof value !== 'number')) {
+    return null;
+  }
+
+  const byMonth = isWildcard(month) ? '' : `;BYMONTH=${fields.month.join(',')}`;
+
+  if (!isWildcard(dayOfMonth) && !isWildcard(dayOfWeek)) {
+    return null;
+  }
+
+  if (!isWildcard(dayOfMonth)) {
+    return `FREQ=${byMonth ? 'YEARLY' : 'MONTHLY'}${byMonth};BYMONTHDAY=${fields.dayOfMonth.join(',')}`;
+  }
+
+  if (!isWildcard(dayOfWeek)) {
+    const days = [...new Set(fields.dayOfWeek.map(day => day % 7))].sort();
+    return `FREQ=WEEKLY${byMonth};BYDAY=${days.map(day => RRULE_DAYS[day]).join(',')}`;
+  }
+
+  return `FREQ=DAILY${byMonth}`;
+};
+
+/**
+ * Check whether an activity is scheduled relative to the subscriber's start date
+ * @param {Object} activity - Activity row
+ * @returns {boolean} - True if the activity has a day or week number
+ */
+export const isRelativeActivity = (activity) =>
+  activity.relative_day != null || activity.relative_week != null;
+
+/**
+ * Check that an activity's relative fields can be saved together
+ * An activity is scheduled on a day number or on a weekday of a week number,
+ * never both, and a week number needs its weekday.
+ * @param {Object} activity - Activity row with optional relative fields
+ * @returns {boolean} - True if the fields make up at most one relative schedule
+ */
+export const hasValidRelativeSchedule = (activity) =>
+  !(activity.relative_day != null && activity.relative_week != null) &&
+  (activity.relative_week == null) === (activity.relative_weekday == null);
+
+/**
+ * Get the day number of a calendar day within a subscriber's run of a program
+ * @param {string} startDate - Day the subscriber started, in YYYY-MM-DD format
+ * @param {string} day - Calendar day in YYYY-MM-DD format
+ * @returns {number} - Day number, where the start date is day 1
+ */
+export const getProgramDayNumber = (startDate, day) => getDaysBetween(startDate, day) + 1;
+
+/**
+ * Check whether an activity is scheduled on a calendar day for a subscriber.
+ * Relative activities only match when their day number, or their week number
+ * and weekday, line up with the subscriber's start date, and never match
+ * without one.
+ * @param {Object} activity - Activity row with `cron` and optional relative fields
+ * @param {string} day - Calendar day in YYYY-MM-DD format
+ * @param {string|null} startDate - Day the subscriber started, in YYYY-MM-DD format
+ * @returns {boolean} - True if a task is due on the day
+ */
+export const activityMatchesDay = (activity, day, startDate = null) => {
+  if (!cronMatchesDay(activity.cron, day)) {
+    return false;
+  }
+
+  if (!isRelativeActivity(activity)) {
+    return true;
+  }
+
+  if (!startDate || day < startDate) {
+    return false;
+  }
+
+  const dayNumber = getProgramDayNumber(startDate, day);
+
+  if (activity.relative_day != null) {
+    return dayNumber === activity.relative_day;
+  }
+
+  const weekNumber = Math.ceil(dayNumber / 7);
+  return weekNumber === activity.relative_week && getDayOfWeek(day) === activity.relative_weekday;
+};
+
+export default {
+  isValidCron,
+  cronMatchesDay,
+  getCronTimeOfDay,
+  getCronRRule,
+  isRelativeActivity,
+  hasValidRelativeSchedule,
+  getProgramDayNumber,
+  activityMatchesDay
+};
@@ -0,0 +1,157 @@
+import { supabaseAdmin } from './db.js';
+
+/**
+ * In-process scheduler for background jobs
+ * Each job runs on its own interval. Work that must only happen once across
+ * every server instance is guarded by claiming a row in the job_runs table,
+ * whose unique (job_name, run_key) constraint acts as a distributed lock.
+ */
+
+const timers = [];
+
+/**
+ * Claim a unit of work so no other server instance performs it
+ * @param {string} jobName - Name of the job
+ * @param {string} runKey - Key identifying the unit of work (e.g. user and day)
+ * @returns {Promise<boolean>} - True if this instance claimed the work
+ */
+export const claimJobRun = async (jobName, runKey) => {
+  const { error } = await supabaseAdmin
+    .from('job_runs')
+    .insert({
+      job_name: jobName,
+      run_key: runKey,
+      claimed_at: new Date().toISOString()
+    });
+
+  if (error) {
+    // Unique violation: another instance already claimed this run
+    if (error.code !== '23505') {
+      console.error(`Error claiming ${jobName} run ${runKey}:`, error);
+    }
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Release a claimed unit of work so it is retried on a later tick
+ * @param {string} jobName - Name of the job
+ * @param {string} runKey - Key identifying the unit of work
+ * @returns {Promise<boolean>} - Success status
+ */
+export const releaseJobRun = async (jobName, runKey) => {
+  const { error } = await supabaseAdmin
+    .from('job_runs')
+    .delete()
+    .eq('job_name', jobName)
+    .eq('run_key', runKey);
+
+  if (error) {
+    console.error(`Error releasing ${jobName} run ${runKey}:`, error);
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Delete old claims for a job so the job_runs table doesn't grow forever
+ * @param {string} jobName - Name of the job
+ * @param {number} maxAgeDays - Age after which claims are deleted
+ * @returns {Promise<boolean>} - Success status
+ */
+export const pruneJobRuns = async (jobName, maxAgeDays = 7) => {
+  const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000);
+
+  const { error } = await supabaseAdmin
+    .from('job_runs')
+    .delete()
+    .eq('job_name', jobName)
+    .lt('claimed_at', cutoff.toISOString());
+
+  if (error) {
+    console.error(`Error pruning ${jobName} runs:`, error);
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Find which of the given users have active accounts
+ * Accounts pending deletion get no tasks, reminders or digests until they
+ * are restored.
+ * @param {string[]} userIds - IDs of the users
+ * @returns {Promise<Set<string>|null>} - IDs of the active accounts, or null on error
+ */
+export const getActiveUserIds = async (userIds) => {
+  if (userIds.length === 0) {
+    return new Set();
+  }
+
+  const { data: profiles, error } = await supabaseAdmin
+    .from('profiles')
+    .select('id')
+    .in('id', userIds)
+    .eq('is_active', true)
+    .is('deletion_requested_at', null);
+
+  if (error) {
+    console.error('Error fetching active accounts:', error);
+    return null;
+  }
+
+  return new Set(profiles.map(profile => profile.id));
+};
+
+/**
+ * Start running the given jobs on their intervals
+ * A job is skipped on a tick if its previous run has not finished yet.
+ * @param {Object[]} jobs - Jobs with a name, intervalMinutes and run function
+ */
+export const startScheduler = (jobs) => {
+  for (const job of jobs) {
+    let isRunning = false;
+
+    const tick = async () => {
+      if (isRunning) {
+        return;
+      }
+
+      isRunning = true;
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`Scheduled job ${job.name} failed:`, error);
+      } finally {
+        isRunning = false;
+      }
+    };
+
+    const timer = setInterval(tick, job.intervalMinutes * 60 * 1000);
+    timers.push(timer);
+    tick();
+
+    console.log(`Scheduled job ${job.name} every ${job.intervalMinutes} minutes`);
+  }
+};
+
+/**
+ * Stop all scheduled jobs
+ */
+export const stopScheduler = () => {
+  while (timers.length > 0) {
+    clearInterval(timers.pop());
+  }
+};
+
+export default {
+  claimJobRun,
+  releaseJobRun,
+  pruneJobRuns,
+  getActiveUserIds,
+  startScheduler,
+  stopScheduler
+};
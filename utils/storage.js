@@ -1,4 +1,4 @@
-import { supabase } from './db.js';
+import { supabase, supabaseAdmin } from './db.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -32,7 +32,8 @@ export const initializeStorageBuckets = async (force = false) => {
     // Define required buckets
     const requiredBuckets = [
       { name: 'avatars', public: true },
-      { name: 'programs', public: true }
+      { name: 'programs', public: true },
+      { name: 'exports', public: false }
     ];
     
     // Only create buckets if force is true or if they don't exist
@@ -120,10 +121,13 @@ export const uploadFile = async (file, bucketName, folder = '') => {
 
 /**
  * Delete a file from Supabase Storage
+ * Only the file's owner can delete it, so work done without the owner's
+ * session, such as background jobs, must pass the service role client.
  * @param {string} fileUrl - Public URL of the file to delete
+ * @param {Object} client - Supabase client allowed to delete the file
  * @returns {Promise<boolean>} - Success status
  */
-export const deleteFile = async (fileUrl) => {
+export const deleteFile = async (fileUrl, client = supabase) => {
   try {
     // Extract bucket name and path from URL
     const urlObj = new URL(fileUrl);
@@ -140,7 +144,7 @@ export const deleteFile = async (fileUrl) => {
     const filePath = pathParts.slice(bucketIndex + 1).join('/');
     
     // Delete from Supabase
-    const { error } = await supabase.storage
+    const { error } = await client.storage
       .from(bucketName)
       .remove([filePath]);
     
@@ -156,6 +160,71 @@ export const deleteFile = async (fileUrl) => {
   }
 };
 
+/**
+ * Upload a file to a private Supabase Storage bucket
+ * Private files can only be read through signed URLs, so the service role is used.
+ * @param {Buffer} fileData - File contents
+ * @param {string} bucketName - Name of the storage bucket
+ * @param {string} filePath - Path of the file within the bucket
+ * @param {string} contentType - MIME type of the file
+ * @returns {Promise<boolean>} - Success status
+ */
+export const uploadPrivateFile = async (fileData, bucketName, filePath, contentType) => {
+  const { error } = await supabaseAdmin.storage
+    .from(bucketName)
+    .upload(filePath, fileData, {
+      contentType,
+      upsert: true
+    });
+
+  if (error) {
+    console.error('Error uploading private file to Supabase Storage:', error);
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Get a temporary download link for a file in a private bucket
+ * @param {string} bucketName - Name of the storage bucket
+ * @param {string} filePath - Path of the file within the bucket
+ * @param {number} expiresIn - Seconds the link stays valid for
+ * @param {string|boolean} downloadName - File name the browser saves the file as, or true to keep its name
+ * @returns {Promise<string|null>} - Signed URL, or null on error
+ */
+export const getSignedFileUrl = async (bucketName, filePath, expiresIn = 60 * 60, downloadName = true) => {
+  const { data, error } = await supabaseAdmin.storage
+    .from(bucketName)
+    .createSignedUrl(filePath, expiresIn, { download: downloadName });
+
+  if (error) {
+    console.error('Error creating signed URL:', error);
+    return null;
+  }
+
+  return data.signedUrl;
+};
+
+/**
+ * Delete files from a private Supabase Storage bucket
+ * @param {string} bucketName - Name of the storage bucket
+ * @param {string[]} filePaths - Paths of the files within the bucket
+ * @returns {Promise<boolean>} - Success status
+ */
+export const deletePrivateFiles = async (bucketName, filePaths) => {
+  const { error } = await supabaseAdmin.storage
+    .from(bucketName)
+    .remove(filePaths);
+
+  if (error) {
+    console.error('Error deleting private files from Supabase Storage:', error);
+    return false;
+  }
+
+  return true;
+};
+
 /**
  * Migrate files from local storage to Supabase
  * @param {string} localDir - Local directory path
@@ -262,5 +331,8 @@ export default {
   initializeStorageBuckets,
   uploadFile,
   deleteFile,
+  uploadPrivateFile,
+  getSignedFileUrl,
+  deletePrivateFiles,
   migrateLocalFilesToSupabase
 }; 
\ No newline at end of file
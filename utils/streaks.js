@@ -0,0 +1,86 @@
+import { getDayOfWeek } from './dates.js';
+
+/**
+ * Utility functions for calculating completion streaks
+ * A streak is a run of consecutive completed occurrences, where an occurrence
+ * is a scheduled task (for an activity) or a scheduled day (for a user).
+ */
+
+/**
+ * Calculate the current and longest streak of completed occurrences
+ * An incomplete occurrence today doesn't break the current streak, since the
+ * day isn't over yet.
+ * @param {Object[]} occurrences - Objects with a day (YYYY-MM-DD) and completed flag, in ascending day order
+ * @param {string} today - The user's current day in YYYY-MM-DD format
+ * @returns {Object} - Current and longest streak lengths
+ */
+export const calculateStreaks = (occurrences, today) => {
+  let longest = 0;
+  let run = 0;
+
+  for (const occurrence of occurrences) {
+    if (occurrence.day > today) {
+      break;
+    }
+
+    if (occurrence.completed) {
+      run++;
+      longest = Math.max(longest, run);
+    } else if (occurrence.day !== today) {
+      run = 0;
+    }
+  }
+
+  return { current: run, longest };
+};
+
+/**
+ * Calculate the share of occurrences that were completed
+ * @param {Object[]} occurrences - Objects with a completed flag
+ * @returns {number} - Completion rate as a whole percentage
+ */
+export const calculateCompletionRate = (occurrences) => {
+  if (occurrences.length === 0) {
+    return 0;
+  }
+
+  const completed = occurrences.filter(occurrence => occurrence.completed).length;
+  return Math.round((completed / occurrences.length) * 100);
+};
+
+/**
+ * Turn a user's tasks into one occurrence per day for day-level streaks
+ * Days without tasks and configured rest days are left out, so they neither
+ * extend nor break a streak.
+ * @param {Object[]} tasks - Tasks with a due_date and is_completed flag
+ * @param {Object} options - Streak rule ('any' or 'all') and rest days of the week (0-6)
+ * @returns {Object[]} - Occurrences with a day and completed flag, in ascending day order
+ */
+export const groupTasksByDay = (tasks, { rule = 'any', restDays = [] } = {}) => {
+  const tasksByDay = {};
+
+  for (const task of tasks) {
+    const day = task.due_date.split('T')[0];
+    if (restDays.includes(getDayOfWeek(day))) {
+      continue;
+    }
+
+    if (!tasksByDay[day]) {
+      tasksByDay[day] = [];
+    }
+    tasksByDay[day].push(task);
+  }
+
+  return Object.keys(tasksByDay).sort().map(day => ({
+    day,
+    completed: rule === 'all'
+      ? tasksByDay[day].every(task => task.is_completed)
+      : tasksByDay[day].some(task => task.is_completed)
+  }));
+};
+
+export default {
+  calculateStreaks,
+  groupTasksByDay,
+  calculateCompletionRate
+};
@@ -0,0 +1,138 @@
+import { addDays } from './dates.js';
+
+/**
+ * Utility functions for working with program subscriptions
+ * Subscriptions are never deleted; their `status` column records where they
+ * are in their lifecycle, with `subscribed_at`, `paused_at` and `ended_at`
+ * recording when they last changed. Paused subscriptions may carry a
+ * `resume_on` day on which they become active again. Every pause is also
+ * kept in `subscription_pauses`, from its first paused day up to the day the
+ * subscription resumed, so no tasks are created for those days later on.
+ * Subscriptions to fixed-length programs are marked completed once the
+ * program has run its course.
+ *
+ * Subscribers can only read their subscriptions and pauses, so they can't
+ * set their own status, start date or program version. The API makes every
+ * change with the service role client once it has checked it.
+ */
+
+export const SUBSCRIPTION_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  ENDED: 'ended',
+  COMPLETED: 'completed'
+};
+
+/**
+ * Statuses of subscriptions the user still holds, and which count towards
+ * a program's subscribers
+ */
+export const CURRENT_SUBSCRIPTION_STATUSES = [
+  SUBSCRIPTION_STATUS.ACTIVE,
+  SUBSCRIPTION_STATUS.PAUSED
+];
+
+/**
+ * Check whether a subscription is still held by the user
+ * @param {Object|null} subscription - Subscription row
+ * @returns {boolean} - True if the subscription exists and has not ended or completed
+ */
+export const isCurrentSubscription = (subscription) =>
+  !!subscription && CURRENT_SUBSCRIPTION_STATUSES.includes(subscription.status);
+
+/**
+ * Set the day a subscription's current pause ends
+ * Earlier pauses ended before that day and are left as they are.
+ * @param {Object} userSupabase - Service role client, as subscribers can't update their pauses
+ * @param {string} subscriptionId - ID of the subscription
+ * @param {string} from - The user's current day in YYYY-MM-DD format
+ * @param {string|null} resumeOn - Day the subscription becomes active again, or null if unknown
+ * @returns {Promise<Object>} - Supabase response
+ */
+export const setPauseEnd = async (userSupabase, subscriptionId, from, resumeOn) => {
+  return userSupabase
+    .from('subscription_pauses')
+    .update({ resume_on: resumeOn })
+    .eq('subscription_id', subscriptionId)
+    .or(`resume_on.is.null,resume_on.gt.${from}`);
+};
+
+/**
+ * Check whether a subscription was paused on a day
+ * @param {Array<Object>} pauses - Pause rows with `paused_from` and `resume_on`
+ * @param {string} day - Day in YYYY-MM-DD format
+ * @returns {boolean} - True if one of the pauses covers the day
+ */
+export const isPausedOn = (pauses, day) => {
+  return (pauses || []).some(pause =>
+    pause.paused_from <= day && (!pause.resume_on || day < pause.resume_on)
+  );
+};
+
+/**
+ * Resume a paused subscription, clearing its pause details
+ * The pause stays on record as ending on the day the subscription resumed.
+ * @param {Object} userSupabase - Service role client, as subscribers can't update their subscriptions
+ * @param {string} subscriptionId - ID of the subscription
+ * @param {string} resumedOn - Day the subscription is active again, in YYYY-MM-DD format
+ * @returns {Promise<Object>} - Supabase response with the updated subscription
+ */
+export const resumeSubscription = async (userSupabase, subscriptionId, resumedOn) => {
+  const { error: pauseError } = await setPauseEnd(userSupabase, subscriptionId, resumedOn, resumedOn);
+
+  if (pauseError) {
+    return { data: null, error: pauseError };
+  }
+
+  return userSupabase
+    .from('subscriptions')
+    .update({
+      status: SUBSCRIPTION_STATUS.ACTIVE,
+      paused_at: null,
+      resume_on: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', subscriptionId)
+    .select()
+    .single();
+};
+
+/**
+ * Get the number of days a fixed-length program runs for
+ * @param {Object} program - Program row with `duration` and `duration_unit`
+ * @returns {number|null} - Length in days, or null if the program runs forever
+ */
+export const getProgramLengthInDays = (program) => {
+  if (!program || !program.duration) {
+    return null;
+  }
+
+  return program.duration * (program.duration_unit === 'weeks' ? 7 : 1);
+};
+
+/**
+ * Get the last day of a subscriber's run of a fixed-length program
+ * @param {string|null} startDate - Day the subscriber started, in YYYY-MM-DD format
+ * @param {Object} program - Program row with `duration` and `duration_unit`
+ * @returns {string|null} - Last day in YYYY-MM-DD format, or null if the program runs forever
+ */
+export const getSubscriptionEndDate = (startDate, program) => {
+  const lengthInDays = getProgramLengthInDays(program);
+
+  if (!startDate || !lengthInDays) {
+    return null;
+  }
+
+  return addDays(startDate, lengthInDays - 1);
+};
+
+export default {
+  SUBSCRIPTION_STATUS,
+  CURRENT_SUBSCRIPTION_STATUSES,
+  isCurrentSubscription,
+  setPauseEnd,
+  isPausedOn,
+  resumeSubscription,
+  getProgramLengthInDays,
+  getSubscriptionEndDate
+};
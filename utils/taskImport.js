@@ -0,0 +1,177 @@
+import { parseCsv } from './csv.js';
+import { parseCalendar, unescapeText } from './ical.js';
+import { getTodayInTimezone, getTimeInTimezone } from './dates.js';
+
+/**
+ * Utility functions for importing tasks from other tools
+ * Each row of a CSV file, or each to-do or event of an iCalendar file, is
+ * mapped to the fields accepted when creating a task. Rows that can't be
+ * mapped carry an error instead, so a whole file can be reported on at once.
+ */
+
+// Largest number of rows that can be imported from one file
+export const MAX_IMPORT_ROWS = 1000;
+
+// CSV headers accepted for each task field, compared without case or punctuation
+const CSV_HEADERS = {
+  title: ['title', 'name', 'task', 'summary'],
+  description: ['description', 'notes', 'details'],
+  dueDate: ['duedate', 'due', 'date'],
+  dueTime: ['duetime', 'time'],
+  priority: ['priority'],
+  isSticky: ['sticky', 'issticky']
+};
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', ''];
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z]/g, '');
+
+// Get the value of the first header given for a task field
+const getCsvValue = (values, field) => {
+  const header = Object.keys(values).find(key => CSV_HEADERS[field].includes(normalizeHeader(key)));
+  return header === undefined ? '' : values[header];
+};
+
+/**
+ * Map a CSV record to task fields
+ * @param {Object} record - Record from parseCsv
+ * @returns {Object} - `row` with either `task` fields or an `error` message
+ */
+export const mapCsvRecordToTask = ({ row, values }) => {
+  const dueTime = getCsvValue(values, 'dueTime');
+  const priority = getCsvValue(values, 'priority').toLowerCase();
+  const sticky = getCsvValue(values, 'isSticky').toLowerCase();
+
+  if (![...TRUE_VALUES, ...FALSE_VALUES].includes(sticky)) {
+    return { row, error: `Sticky must be yes or no, not "${sticky}"` };
+  }
+
+  return {
+    row,
+    task: {
+      title: getCsvValue(values, 'title'),
+      description: getCsvValue(values, 'description'),
+      dueDate: getCsvValue(values, 'dueDate') || null,
+      // Times with seconds are accepted, but tasks are due to the minute
+      dueTime: dueTime ? dueTime.replace(/^(\d{1,2}:\d{2}):\d{2}$/, '$1') : null,
+      priority: priority || 'medium',
+      isSticky: TRUE_VALUES.includes(sticky)
+    }
+  };
+};
+
+/**
+ * Convert an iCalendar DATE or DATE-TIME value to a day and time
+ * UTC times are converted to the user's timezone; floating times, and times
+ * in a named timezone, are taken as the user's local time.
+ * @param {Object} property - Parsed property with `params` and `value`
+ * @param {string} timezone - The user's IANA timezone name
+ * @returns {Object|null} - `dueDate` and `dueTime`, or null if the value is not a date
+ */
+export const parseCalendarDate = (property, timezone) => {
+  const match = property.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}(Z)?)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours, minutes, utc] = match;
+
+  if (!hours || property.params.VALUE === 'DATE') {
+    return { dueDate: `${year}-${month}-${day}`, dueTime: null };
+  }
+
+  if (utc) {
+    const moment = new Date(`${year}-${month}-${day}T${hours}:${minutes}:00.000Z`);
+    return { dueDate: getTodayInTimezone(timezone, moment), dueTime: getTimeInTimezone(timezone, moment) };
+  }
+
+  return { dueDate: `${year}-${month}-${day}`, dueTime: `${hours}:${minutes}` };
+};
+
+// Map an iCalendar priority, where 1 is highest and 0 is undefined
+const mapCalendarPriority = (value) => {
+  const priority = parseInt(value, 10);
+
+  if (!priority) return 'medium';
+  if (priority < 5) return 'high';
+  if (priority > 5) return 'low';
+  return 'medium';
+};
+
+/**
+ * Map an iCalendar to-do or event to task fields
+ * @param {Object} component - Component from parseCalendar
+ * @param {number} row - Position of the component in the file, from 1
+ * @param {string} timezone - The user's IANA timezone name
+ * @returns {Object} - `row` with either `task` fields or an `error` message
+ */
+export const mapCalendarComponentToTask = ({ type, properties }, row, timezone) => {
+  const text = (name) => (properties[name] ? unescapeText(properties[name].value).trim() : '');
+
+  if (properties.RRULE) {
+    return { row, error: 'Recurring entries are not imported' };
+  }
+
+  if (type === 'VTODO' && text('STATUS').toUpperCase() === 'COMPLETED') {
+    return { row, error: 'Completed to-dos are not imported' };
+  }
+
+  // Events are due when they start
+  const dueProperty = type === 'VTODO' ? properties.DUE : properties.DTSTART;
+  let due = { dueDate: null, dueTime: null };
+  if (dueProperty) {
+    due = parseCalendarDate(dueProperty, timezone);
+    if (!due) {
+      return { row, error: `Due date "${dueProperty.value}" is not a valid date` };
+    }
+  }
+
+  return {
+    row,
+    task: {
+      title: text('SUMMARY'),
+      description: text('DESCRIPTION'),
+      ...due,
+      priority: mapCalendarPriority(text('PRIORITY')),
+      isSticky: false
+    }
+  };
+};
+
+/**
+ * Get the format of an uploaded task file from its name or type
+ * @param {Object} file - File from multer
+ * @returns {string|null} - 'csv', 'ics', or null if the format is not supported
+ */
+export const getTaskFileFormat = (file) => {
+  const name = (file.originalname || '').toLowerCase();
+
+  if (name.endsWith('.csv') || file.mimetype === 'text/csv') return 'csv';
+  if (name.endsWith('.ics') || file.mimetype === 'text/calendar') return 'ics';
+  return null;
+};
+
+/**
+ * Map the rows of an uploaded task file to task fields
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' or 'ics'
+ * @param {string} timezone - The user's IANA timezone name
+ * @returns {Array<Object>} - Rows with either `task` fields or an `error` message
+ */
+export const parseTaskFile = (text, format, timezone) => {
+  if (format === 'csv') {
+    return parseCsv(text).map(mapCsvRecordToTask);
+  }
+
+  return parseCalendar(text).map((component, index) => mapCalendarComponentToTask(component, index + 1, timezone));
+};
+
+export default {
+  MAX_IMPORT_ROWS,
+  mapCsvRecordToTask,
+  parseCalendarDate,
+  mapCalendarComponentToTask,
+  getTaskFileFormat,
+  parseTaskFile
+};
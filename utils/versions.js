@@ -0,0 +1,102 @@
+import { CURRENT_SUBSCRIPTION_STATUSES } from './subscriptions.js';
+
+/**
+ * Utility functions for program versions
+ * Activities are never changed in place once a subscriber may be following
+ * them. Instead the old row is retired by setting `version_removed` and a new
+ * row is added with `version_added`, so every subscriber keeps the activities
+ * of the `program_version` recorded on their subscription until they upgrade.
+ */
+
+/**
+ * Check whether an activity is part of a version of its program
+ * @param {Object} activity - Activity row with version fields
+ * @param {number} version - Program version
+ * @returns {boolean} - True if the activity belongs to the version
+ */
+export const isActivityInVersion = (activity, version) => {
+  if (activity.version_added > version) {
+    return false;
+  }
+
+  // Activities deleted before versioning have no version_removed
+  if (activity.version_removed == null) {
+    return !activity.is_deleted;
+  }
+
+  return version < activity.version_removed;
+};
+
+/**
+ * Get the version a creator's edit to a program should be made in.
+ * A new version is only started when someone other than the creator is
+ * following the current one; otherwise the current version is edited.
+ * The creator's own subscription is moved to the new version.
+ * @param {Object} userSupabase - Supabase client acting as the creator
+ * @param {Object} adminSupabase - Service role client, as subscribers can't change their program version
+ * @param {Object} program - Program row with `id`, `creator_id` and `current_version`
+ * @returns {Promise<Object>} - The version and whether it is new, or an error
+ */
+export const getEditVersion = async (userSupabase, adminSupabase, program) => {
+  const currentVersion = program.current_version;
+
+  const { count, error: countError } = await userSupabase
+    .from('subscriptions')
+    .select('id', { count: 'exact', head: true })
+    .eq('program_id', program.id)
+    .eq('program_version', currentVersion)
+    .neq('user_id', program.creator_id)
+    .in('status', CURRENT_SUBSCRIPTION_STATUSES);
+
+  if (countError) {
+    return { error: countError };
+  }
+
+  if (!count) {
+    return { version: currentVersion, isNewVersion: false };
+  }
+
+  const version = currentVersion + 1;
+
+  // The unique version number stops two concurrent edits from both starting it
+  const { error: versionError } = await userSupabase
+    .from('program_versions')
+    .insert({
+      program_id: program.id,
+      version,
+      created_at: new Date().toISOString()
+    });
+
+  if (versionError) {
+    return { error: versionError };
+  }
+
+  const { error: programError } = await userSupabase
+    .from('programs')
+    .update({
+      current_version: version,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', program.id);
+
+  if (programError) {
+    return { error: programError };
+  }
+
+  const { error: subscriptionError } = await adminSupabase
+    .from('subscriptions')
+    .update({ program_version: version })
+    .eq('program_id', program.id)
+    .eq('user_id', program.creator_id);
+
+  if (subscriptionError) {
+    console.error('Error moving creator to new program version:', subscriptionError);
+  }
+
+  return { version, isNewVersion: true };
+};
+
+export default {
+  isActivityInVersion,
+  getEditVersion
+};